@@ -0,0 +1,158 @@
+// Local stand-in for the weather, energy and certification oracle APIs.
+// Point WEATHER_API_URL, ENERGY_API_URL and CERT_API_URL at http://localhost:<MOCK_ORACLE_PORT>
+// and run `npm run oracle:mock`. Readings are derived from the project ID so they are stable
+// between runs; PUT /readings/:projectId overrides them to drive a verification scenario.
+//
+//   MOCK_ORACLE_PORT     port to listen on (default 4010)
+//   MOCK_ORACLE_API_KEY  when set, requests must pass it as apiKey (appid for /weather)
+//   MOCK_ORACLE_FAIL     comma-separated providers to answer with 503: weather,energy,certification
+//   MOCK_ORACLE_LATENCY  artificial delay in ms, for exercising provider timeouts
+//   MOCK_ORACLE_WEBHOOK_URL     base URL of the backend webhook route (default http://localhost:5000/api/oracle/webhooks)
+//   MOCK_ORACLE_WEBHOOK_SECRET  secret shared with the backend provider settings, for POST /push
+import crypto from 'crypto'
+import express from 'express'
+
+const port = parseInt(process.env.MOCK_ORACLE_PORT, 10) || 4010
+const apiKey = process.env.MOCK_ORACLE_API_KEY
+const failing = new Set((process.env.MOCK_ORACLE_FAIL || '').split(',').map(name => name.trim()).filter(Boolean))
+const latency = parseInt(process.env.MOCK_ORACLE_LATENCY, 10) || 0
+const webhookUrl = process.env.MOCK_ORACLE_WEBHOOK_URL || 'http://localhost:5000/api/oracle/webhooks'
+const webhookSecret = process.env.MOCK_ORACLE_WEBHOOK_SECRET
+
+const overrides = new Map()
+
+// Deterministic value in [min, max] for a seed
+const seeded = (seed, min, max) => {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest()
+  return min + (hash.readUInt32BE(0) / 0xffffffff) * (max - min)
+}
+
+const round = (value, digits = 2) => Number(value.toFixed(digits))
+
+const provider = (name) => (req, res, next) => {
+  if (failing.has(name)) {
+    return res.status(503).json({ error: `${name} provider unavailable` })
+  }
+
+  const key = name === 'weather' ? req.query.appid : req.query.apiKey
+  if (apiKey && key !== apiKey) {
+    return res.status(401).json({ error: 'Invalid API key' })
+  }
+
+  setTimeout(next, latency)
+}
+
+const app = express()
+app.use(express.json())
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', failing: [...failing], latency })
+})
+
+app.get('/weather', provider('weather'), (req, res) => {
+  const seed = `${req.query.lat},${req.query.lon}`
+  const cloudiness = Math.round(seeded(`${seed}:clouds`, 0, 60))
+
+  res.json({
+    main: {
+      temp: round(seeded(`${seed}:temp`, 18, 38), 1),
+      humidity: Math.round(seeded(`${seed}:humidity`, 20, 80))
+    },
+    wind: { speed: round(seeded(`${seed}:wind`, 1, 12), 1) },
+    clouds: { all: cloudiness },
+    weather: [{ main: cloudiness > 40 ? 'Clouds' : 'Clear' }],
+    dt: Math.floor(Date.now() / 1000)
+  })
+})
+
+const energyReading = (projectId) => {
+  const produced = round(seeded(`${projectId}:produced`, 5000, 50000))
+  const reading = {
+    production: { total: produced },
+    consumption: { total: round(produced * seeded(`${projectId}:consumed`, 0.05, 0.2)) },
+    efficiency: round(seeded(`${projectId}:efficiency`, 60, 80), 1),
+    carbonMetrics: { offset: round(produced * 0.0098) },
+    renewablePercentage: round(seeded(`${projectId}:renewable`, 85, 100), 1),
+    timestamp: new Date().toISOString()
+  }
+
+  return { ...reading, ...overrides.get(projectId)?.energy }
+}
+
+const certificationReading = (projectId) => {
+  const validUntil = new Date()
+  validUntil.setFullYear(validUntil.getFullYear() + 1)
+
+  const reading = {
+    status: 'certified',
+    certNumber: `GH-${crypto.createHash('sha256').update(projectId).digest('hex').slice(0, 8).toUpperCase()}`,
+    issuer: 'Mock Certification Authority',
+    validUntil: validUntil.toISOString(),
+    complianceScore: round(seeded(`${projectId}:compliance`, 80, 100), 1),
+    violations: []
+  }
+
+  return { ...reading, ...overrides.get(projectId)?.certification }
+}
+
+app.get('/energy/:projectId', provider('energy'), (req, res) => {
+  res.json(energyReading(req.params.projectId))
+})
+
+app.get('/certifications/:projectId', provider('certification'), (req, res) => {
+  res.json(certificationReading(req.params.projectId))
+})
+
+// Replace the readings returned for a project, e.g. { "energy": { "efficiency": 55 } }
+app.put('/readings/:projectId', (req, res) => {
+  const { energy, certification } = req.body || {}
+  overrides.set(req.params.projectId, { energy, certification })
+  res.json({ projectId: req.params.projectId, overrides: overrides.get(req.params.projectId) })
+})
+
+app.delete('/readings/:projectId', (req, res) => {
+  overrides.delete(req.params.projectId)
+  res.status(204).end()
+})
+
+// Push the current reading to the backend webhook as a signed delivery, e.g.
+// POST /push/energy { "projectId": "GH-2024-001", "milestoneId": "GH-2024-001-MS-..." }
+app.post('/push/:provider', async (req, res) => {
+  const readings = { energy: energyReading, certification: certificationReading }
+  const reading = readings[req.params.provider]
+  const { projectId, milestoneId, providerId = req.params.provider } = req.body || {}
+
+  if (!reading || !projectId || !milestoneId) {
+    return res.status(400).json({ error: 'Push energy or certification data with a projectId and milestoneId' })
+  }
+
+  if (!webhookSecret) {
+    return res.status(400).json({ error: 'MOCK_ORACLE_WEBHOOK_SECRET is not set' })
+  }
+
+  const body = JSON.stringify({ milestoneId, observedAt: new Date().toISOString(), data: reading(projectId) })
+  const timestamp = Math.floor(Date.now() / 1000).toString()
+  const nonce = crypto.randomBytes(16).toString('hex')
+  const signature = 'sha256=' + crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${nonce}.${body}`).digest('hex')
+
+  try {
+    const response = await fetch(`${webhookUrl}/${providerId}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Oracle-Timestamp': timestamp,
+        'X-Oracle-Nonce': nonce,
+        'X-Oracle-Signature': signature
+      },
+      body
+    })
+
+    res.status(response.status).json(await response.json())
+  } catch (error) {
+    res.status(502).json({ error: error.message })
+  }
+})
+
+app.listen(port, () => {
+  console.log(`Mock oracle server listening on http://localhost:${port}`)
+})
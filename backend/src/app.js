@@ -80,7 +80,15 @@ const limiter = rateLimit({
 app.use('/api/', limiter)
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }))
+// Oracle webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/oracle/webhooks/')) {
+      req.rawBody = buf
+    }
+  }
+}))
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
 
 // Compression
@@ -3,6 +3,63 @@ import dotenv from 'dotenv'
 // Load environment variables
 dotenv.config()
 
+const DEFAULT_NETWORK = process.env.BLOCKCHAIN_NETWORK || 'localhost'
+
+// Transaction types with a fee cap, and the variables that set them (in the network's native currency)
+const FEE_CAP_VARIABLES = {
+  createProject: 'MAX_FEE_CREATE_PROJECT',
+  createMilestone: 'MAX_FEE_CREATE_MILESTONE',
+  releaseSubsidy: 'MAX_FEE_RELEASE_SUBSIDY'
+}
+
+// Build a network entry from <NETWORK>_* variables (e.g. POLYGON_RPC_URL). The default network
+// also falls back to the single-network variables (BLOCKCHAIN_RPC_URL, CONTRACT_ADDRESS, CHAIN_ID).
+const defineNetwork = (key, defaults) => {
+  const env = (name) => process.env[`${key.toUpperCase()}_${name}`]
+  const legacy = (name) => key === DEFAULT_NETWORK ? process.env[name] : undefined
+
+  const rpcUrl = env('RPC_URL') || legacy('BLOCKCHAIN_RPC_URL') || defaults.rpcUrl
+  const contractAddress = env('CONTRACT_ADDRESS') || legacy('CONTRACT_ADDRESS')
+
+  return {
+    key,
+    name: defaults.name,
+    chainId: parseInt(env('CHAIN_ID') || legacy('CHAIN_ID')) || defaults.chainId,
+    rpcUrl,
+    contractAddress,
+    privateKey: env('PRIVATE_KEY') || process.env.PRIVATE_KEY,
+    confirmations: parseInt(env('CONFIRMATIONS') || legacy('BLOCKCHAIN_CONFIRMATIONS')) || defaults.confirmations,
+    nativeCurrency: defaults.nativeCurrency,
+    explorerUrl: env('EXPLORER_URL') || defaults.explorerUrl,
+    // Most a single transaction of each type may cost; <NETWORK>_MAX_FEE_* overrides MAX_FEE_*
+    maxFee: Object.fromEntries(Object.entries(FEE_CAP_VARIABLES)
+      .map(([functionName, name]) => [functionName, env(name) || process.env[name] || null])),
+    // Other networks are only used once both an RPC endpoint and a deployed contract are configured
+    enabled: key === DEFAULT_NETWORK || Boolean(env('RPC_URL') && contractAddress)
+  }
+}
+
+// Oracle provider from <PREFIX>_API_URL / _API_KEY / _WEIGHT / _TIMEOUT (e.g. ENERGY_API_URL)
+const defineOracleProvider = (id, prefix, defaults) => ({
+  id,
+  type: defaults.type || id,
+  name: defaults.name,
+  endpoint: process.env[`${prefix}_API_URL`],
+  apiKey: process.env[`${prefix}_API_KEY`],
+  webhookSecret: process.env[`${prefix}_WEBHOOK_SECRET`],
+  weight: parseFloat(process.env[`${prefix}_WEIGHT`]) || defaults.weight,
+  timeout: parseInt(process.env[`${prefix}_TIMEOUT`]) || parseInt(process.env.ORACLE_PROVIDER_TIMEOUT) || 5000,
+  rateLimit: parseInt(process.env[`${prefix}_RATE_LIMIT`]) || 0,
+  enabled: process.env[`${prefix}_ENABLED`] !== 'false'
+})
+
+// Subsidy release approval tiers; the tier with the highest minAmount not above the release amount applies.
+// RELEASE_APPROVAL_POLICIES replaces them with a JSON array of the same shape.
+const DEFAULT_RELEASE_APPROVAL_POLICIES = [
+  { name: 'standard', minAmount: 0, requiredApprovals: 0, distinctOrganizations: false },
+  { name: 'high_value', minAmount: 10000000, requiredApprovals: 2, distinctOrganizations: true }
+]
+
 const config = {
   // Server
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -21,19 +78,84 @@ const config = {
   // JWT
   jwt: {
     secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access tokens are short-lived; clients renew via refresh token
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d'
   },
 
   // Blockchain
   blockchain: {
     rpcUrl: process.env.RPC_URL || 'http://localhost:8545',
-    contractAddress: process.env.CONTRACT_ADDRESS || '0x1234567890123456789012345678901234567890',
+    contractAddress: process.env.CONTRACT_ADDRESS,
     chainId: parseInt(process.env.CHAIN_ID) || 31337,
     privateKey: process.env.PRIVATE_KEY || '0x0000000000000000000000000000000000000000000000000000000000000000',
     oraclePrivateKey: process.env.ORACLE_PRIVATE_KEY || '0x0000000000000000000000000000000000000000000000000000000000000001',
     gasLimit: process.env.GAS_LIMIT || '500000',
-    gasPrice: process.env.GAS_PRICE || '20000000000' // 20 gwei
+    gasPrice: process.env.GAS_PRICE || '20000000000', // 20 gwei
+    confirmations: parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS) || 1,
+    confirmationTimeout: parseInt(process.env.BLOCKCHAIN_CONFIRMATION_TIMEOUT) || 120000, // 2 minutes
+
+    // Network registry; each project is bound to one of these
+    defaultNetwork: DEFAULT_NETWORK,
+    networks: {
+      localhost: defineNetwork('localhost', {
+        name: 'Localhost',
+        chainId: 31337,
+        rpcUrl: 'http://localhost:8545',
+        confirmations: 1,
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        explorerUrl: null
+      }),
+      ethereum: defineNetwork('ethereum', {
+        name: 'Ethereum',
+        chainId: 1,
+        confirmations: 12,
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        explorerUrl: 'https://etherscan.io'
+      }),
+      polygon: defineNetwork('polygon', {
+        name: 'Polygon PoS',
+        chainId: 137,
+        confirmations: 32,
+        nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+        explorerUrl: 'https://polygonscan.com'
+      }),
+      bsc: defineNetwork('bsc', {
+        name: 'BNB Smart Chain',
+        chainId: 56,
+        confirmations: 15,
+        nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 },
+        explorerUrl: 'https://bscscan.com'
+      })
+    },
+
+    // Transaction queue
+    queue: {
+      pollInterval: parseInt(process.env.TX_QUEUE_POLL_INTERVAL) || 5000,
+      stuckAfter: parseInt(process.env.TX_QUEUE_STUCK_AFTER) || 3 * 60 * 1000, // replace after 3 minutes unmined
+      gasBumpPercent: parseInt(process.env.TX_QUEUE_GAS_BUMP_PERCENT) || 15,
+      maxReplacements: parseInt(process.env.TX_QUEUE_MAX_REPLACEMENTS) || 5,
+      maxRetries: parseInt(process.env.TX_QUEUE_MAX_RETRIES) || 5,
+      retryBaseDelay: parseInt(process.env.TX_QUEUE_RETRY_BASE_DELAY) || 5000,
+      gasLimitBuffer: parseInt(process.env.TX_QUEUE_GAS_LIMIT_BUFFER_PERCENT) || 20, // headroom over the gas estimate
+      lockTtl: parseInt(process.env.TX_QUEUE_LOCK_TTL) || 2 * 60 * 1000 // signer lease shared by all API processes
+    },
+
+    // Contract event indexer
+    indexer: {
+      enabled: process.env.CHAIN_INDEXER_ENABLED !== 'false',
+      pollInterval: parseInt(process.env.CHAIN_INDEXER_POLL_INTERVAL) || 15000,
+      confirmations: parseInt(process.env.CHAIN_INDEXER_CONFIRMATIONS) || 12, // reorg depth; newer blocks are not indexed
+      batchSize: parseInt(process.env.CHAIN_INDEXER_BATCH_SIZE) || 2000,
+      startBlock: parseInt(process.env.CHAIN_INDEXER_START_BLOCK) || 0,
+      discrepancyGracePeriod: parseInt(process.env.CHAIN_INDEXER_GRACE_PERIOD) || 15 * 60 * 1000 // 15 minutes
+    }
+  },
+
+  // Multi-signature approval of subsidy releases
+  releaseApprovals: {
+    policies: process.env.RELEASE_APPROVAL_POLICIES
+      ? JSON.parse(process.env.RELEASE_APPROVAL_POLICIES)
+      : DEFAULT_RELEASE_APPROVAL_POLICIES
   },
 
   // Oracle
@@ -41,14 +163,40 @@ const config = {
     enabled: process.env.ORACLE_ENABLED === 'true' || true,
     apiKey: process.env.ORACLE_API_KEY || 'demo-oracle-key',
     webhookUrl: process.env.ORACLE_WEBHOOK_URL,
-    verificationThreshold: parseFloat(process.env.ORACLE_THRESHOLD) || 0.85
+    verificationThreshold: parseFloat(process.env.ORACLE_THRESHOLD) || 0.85,
+    // Signed webhook pushes more than this many seconds from the server clock are rejected
+    webhookTolerance: parseInt(process.env.ORACLE_WEBHOOK_TOLERANCE) || 300,
+    // Scheduled refresh of oracle data for in-progress milestones
+    polling: {
+      enabled: process.env.ORACLE_POLLING_ENABLED !== 'false',
+      schedule: process.env.ORACLE_POLLING_CRON || '0 * * * *' // hourly
+    },
+    // Default providers; settings stored in the database override these by id
+    providers: [
+      defineOracleProvider('weather', 'WEATHER', { name: 'Weather Oracle', weight: 0.3 }),
+      defineOracleProvider('energy', 'ENERGY', { name: 'Energy Oracle', weight: 0.4 }),
+      defineOracleProvider('certification', 'CERT', { name: 'Certification Oracle', weight: 0.3 })
+    ]
+  },
+
+  // Production meter readings
+  meters: {
+    // Day and month rollups follow this timezone
+    timezone: process.env.METER_TIMEZONE || process.env.TIMEZONE || 'Asia/Kolkata',
+    maxReadingsPerUpload: parseInt(process.env.METER_MAX_READINGS_PER_UPLOAD) || 10000,
+    maxRawPoints: parseInt(process.env.METER_MAX_RAW_POINTS) || 5000,
+    // Ingests into one meter run one at a time; a concurrent upload waits this long for its turn (ms)
+    ingestLockWait: parseInt(process.env.METER_INGEST_LOCK_WAIT) || 15000,
+    ingestLockTtl: parseInt(process.env.METER_INGEST_LOCK_TTL) || 5 * 60 * 1000
   },
 
   // File Upload
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
     allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/csv', 'application/vnd.ms-excel'],
-    destination: process.env.UPLOAD_PATH || './uploads'
+    destination: process.env.UPLOAD_PATH || './uploads',
+    maxFiles: parseInt(process.env.MAX_FILES_PER_UPLOAD) || 10,
+    storage: process.env.STORAGE_DRIVER || 'local'
   },
 
   // External APIs
@@ -69,7 +217,40 @@ const config = {
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
     rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
-    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 100
+    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+    // Auth rate limit store: 'memory' (single process) or 'mongo' (shared across instances)
+    rateLimitStore: process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory'),
+    rateLimitMaxBackoff: parseInt(process.env.RATE_LIMIT_MAX_BACKOFF) || 24 * 60 * 60 * 1000, // 24 hours
+    maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+    lockoutDuration: parseInt(process.env.LOCKOUT_DURATION) || 2 * 60 * 60 * 1000 // 2 hours
+  },
+
+  // Two-Factor Authentication
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Green Hydrogen Platform',
+    window: parseInt(process.env.TWO_FACTOR_WINDOW) || 1, // Accepted clock drift in 30s steps
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+    requiredRoles: process.env.TWO_FACTOR_REQUIRED_ROLES ? process.env.TWO_FACTOR_REQUIRED_ROLES.split(',') : ['government']
+  },
+
+  // Invitations
+  invitations: {
+    // Roles that can only be registered through an invitation
+    privilegedRoles: process.env.INVITE_ONLY_ROLES ? process.env.INVITE_ONLY_ROLES.split(',') : ['government', 'auditor'],
+    expiresIn: parseInt(process.env.INVITATION_EXPIRES_IN) || 7 * 24 * 60 * 60 * 1000 // 7 days
+  },
+
+  // KYC
+  kyc: {
+    requiredRoles: process.env.KYC_REQUIRED_ROLES ? process.env.KYC_REQUIRED_ROLES.split(',') : ['producer']
+  },
+
+  // Sign-In With Ethereum (EIP-4361)
+  siwe: {
+    domain: process.env.SIWE_DOMAIN || 'localhost:3002',
+    uri: process.env.SIWE_URI || 'http://localhost:3002',
+    statement: process.env.SIWE_STATEMENT || 'Sign in to the Green Hydrogen Subsidy Platform',
+    nonceTtl: parseInt(process.env.SIWE_NONCE_TTL) || 5 * 60 * 1000 // 5 minutes
   },
 
   // Logging
@@ -0,0 +1,59 @@
+// Fine-grained permissions checked by authorizePermission()
+export const PERMISSIONS = [
+  'create_project',
+  'update_project',
+  'delete_project',
+  'approve_project',
+  'assign_auditor',
+  'create_milestone',
+  'update_milestone',
+  'complete_milestone',
+  'verify_milestone',
+  'approve_milestone',
+  'release_subsidy',
+  'view_audit_logs',
+  'view_security_events',
+  'review_audit_logs',
+  'export_data',
+  'review_kyc',
+  'manage_users',
+  'view_transactions',
+  'manage_oracles'
+]
+
+// Permissions each role holds unless explicitly revoked on the user
+export const DEFAULT_ROLE_PERMISSIONS = {
+  government: [
+    'create_project',
+    'update_project',
+    'delete_project',
+    'approve_project',
+    'assign_auditor',
+    'create_milestone',
+    'update_milestone',
+    'approve_milestone',
+    'release_subsidy',
+    'view_audit_logs',
+    'view_security_events',
+    'review_audit_logs',
+    'export_data',
+    'review_kyc',
+    'manage_users',
+    'view_transactions',
+    'manage_oracles'
+  ],
+  producer: [
+    'update_project',
+    'create_milestone',
+    'update_milestone',
+    'complete_milestone'
+  ],
+  auditor: [
+    'update_milestone',
+    'verify_milestone',
+    'view_audit_logs',
+    'review_audit_logs',
+    'view_transactions'
+  ],
+  oracle: []
+}
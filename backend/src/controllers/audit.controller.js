@@ -4,10 +4,9 @@ import { ErrorResponse } from '../utils/errorResponse.js'
 
 // @desc    Get audit logs
 // @route   GET /api/audit
-// @access  Private (Government and Auditor)
+// @access  Private (view_audit_logs permission)
 export const getAuditLogs = asyncHandler(async (req, res) => {
-  // Only government and auditors can view audit logs
-  if (!['government', 'auditor'].includes(req.user.role)) {
+  if (!req.user.hasPermission('view_audit_logs')) {
     throw new ErrorResponse('Not authorized to view audit logs', 403)
   }
 
@@ -147,10 +146,9 @@ export const getAuditTrail = asyncHandler(async (req, res) => {
 
 // @desc    Get security events
 // @route   GET /api/audit/security
-// @access  Private (Government only)
+// @access  Private (view_security_events permission)
 export const getSecurityEvents = asyncHandler(async (req, res) => {
-  // Only government can view security events
-  if (req.user.role !== 'government') {
+  if (!req.user.hasPermission('view_security_events')) {
     throw new ErrorResponse('Not authorized to view security events', 403)
   }
 
@@ -250,10 +248,9 @@ export const getUserActivity = asyncHandler(async (req, res) => {
 
 // @desc    Get audit statistics
 // @route   GET /api/audit/statistics
-// @access  Private (Government and Auditor)
+// @access  Private (view_audit_logs permission)
 export const getAuditStatistics = asyncHandler(async (req, res) => {
-  // Only government and auditors can view audit statistics
-  if (!['government', 'auditor'].includes(req.user.role)) {
+  if (!req.user.hasPermission('view_audit_logs')) {
     throw new ErrorResponse('Not authorized to view audit statistics', 403)
   }
 
@@ -383,10 +380,9 @@ export const getAuditStatistics = asyncHandler(async (req, res) => {
 
 // @desc    Flag audit log for review
 // @route   POST /api/audit/:id/flag
-// @access  Private (Government and Auditor)
+// @access  Private (review_audit_logs permission)
 export const flagAuditLog = asyncHandler(async (req, res) => {
-  // Only government and auditors can flag audit logs
-  if (!['government', 'auditor'].includes(req.user.role)) {
+  if (!req.user.hasPermission('review_audit_logs')) {
     throw new ErrorResponse('Not authorized to flag audit logs', 403)
   }
 
@@ -435,10 +431,9 @@ export const flagAuditLog = asyncHandler(async (req, res) => {
 
 // @desc    Mark audit log as reviewed
 // @route   POST /api/audit/:id/review
-// @access  Private (Government and Auditor)
+// @access  Private (review_audit_logs permission)
 export const reviewAuditLog = asyncHandler(async (req, res) => {
-  // Only government and auditors can review audit logs
-  if (!['government', 'auditor'].includes(req.user.role)) {
+  if (!req.user.hasPermission('review_audit_logs')) {
     throw new ErrorResponse('Not authorized to review audit logs', 403)
   }
 
@@ -486,10 +481,9 @@ export const reviewAuditLog = asyncHandler(async (req, res) => {
 
 // @desc    Export audit logs
 // @route   GET /api/audit/export
-// @access  Private (Government only)
+// @access  Private (export_data permission)
 export const exportAuditLogs = asyncHandler(async (req, res) => {
-  // Only government can export audit logs
-  if (req.user.role !== 'government') {
+  if (!req.user.hasPermission('export_data')) {
     throw new ErrorResponse('Not authorized to export audit logs', 403)
   }
 
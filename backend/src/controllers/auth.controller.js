@@ -1,13 +1,51 @@
 import bcrypt from 'bcryptjs'
 import jwt from 'jsonwebtoken'
 import crypto from 'crypto'
-import { User } from '../models/index.js'
+import { User, Session, WalletNonce, Invitation } from '../models/index.js'
 import { Audit } from '../models/index.js'
+import config from '../config/index.js'
 import logger from '../utils/logger.js'
 import { sendEmail } from '../utils/email.js'
+import { generateNonce } from '../utils/signer.util.js'
+import {
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweTimestamps,
+  verifySiweSignature
+} from '../utils/siwe.js'
 import { asyncHandler } from '../middleware/asyncHandler.js'
 import { ErrorResponse } from '../utils/errorResponse.js'
 
+// Open a session for the user and issue an access/refresh token pair
+const issueSession = (user, req, authMethod) => {
+  return Session.issue(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    authMethod
+  })
+}
+
+// A rotated-out token was replayed: assume theft, kill the whole session and reject the request
+const rejectRefreshTokenReuse = async (req, compromisedSession) => {
+  await Session.updateOne(
+    { _id: compromisedSession._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+  )
+
+  await Audit.logSecurityEvent(
+    'refresh_token_reuse',
+    {
+      userId: compromisedSession.user,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    `Refresh token reuse detected for session ${compromisedSession._id}. Session revoked.`,
+    'critical'
+  )
+
+  throw new ErrorResponse('Refresh token has already been used. Please login again.', 401)
+}
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -20,9 +58,28 @@ export const register = asyncHandler(async (req, res) => {
     walletAddress,
     organization,
     phoneNumber,
-    address
+    address,
+    invitationToken
   } = req.body
 
+  // Privileged roles can only be registered through an invitation
+  let invitation = null
+  if (config.invitations.privilegedRoles.includes(role) || invitationToken) {
+    if (!invitationToken) {
+      throw new ErrorResponse(`Registration as ${role} requires an invitation`, 403)
+    }
+
+    invitation = await Invitation.findPendingByToken(invitationToken)
+
+    if (!invitation) {
+      throw new ErrorResponse('Invitation is invalid, expired or already used', 400)
+    }
+
+    if (invitation.email !== email.toLowerCase() || invitation.role !== role) {
+      throw new ErrorResponse('Invitation does not match the provided email and role', 400)
+    }
+  }
+
   // Check if user already exists
   let existingUser = await User.findOne({ email })
   if (existingUser) {
@@ -37,22 +94,69 @@ export const register = asyncHandler(async (req, res) => {
     }
   }
 
+  // Claim the invitation before creating the account so it cannot be used twice
+  if (invitation) {
+    invitation = await Invitation.consume(invitationToken)
+
+    if (!invitation) {
+      throw new ErrorResponse('Invitation is invalid, expired or already used', 400)
+    }
+  }
+
   // Create user
-  const user = await User.create({
-    name,
-    email,
-    password,
-    role,
-    walletAddress,
-    organization,
-    phoneNumber,
-    address,
-    profile: {
-      organization,
+  let user
+  try {
+    user = await User.create({
+      name,
+      email,
+      password,
+      role,
+      walletAddress,
+      organization: invitation ? invitation.organization : organization,
       phoneNumber,
-      address
+      address,
+      // The invitation link was delivered to this address
+      emailVerified: !!invitation,
+      profile: {
+        organization,
+        phoneNumber,
+        address
+      }
+    })
+  } catch (error) {
+    if (invitation) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } })
     }
-  })
+    throw error
+  }
+
+  if (invitation) {
+    invitation.acceptedBy = user._id
+    await invitation.save()
+
+    await Audit.createAuditLog({
+      eventType: 'invitation_accepted',
+      actor: {
+        userId: user._id,
+        userEmail: user.email,
+        role: user.role,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      },
+      resource: {
+        type: 'user',
+        id: invitation._id.toString(),
+        name: invitation.email,
+        details: {
+          invitedBy: invitation.invitedBy.toString()
+        }
+      },
+      action: 'register',
+      description: `Invitation accepted by ${user.email} as ${user.role}`,
+      category: 'authorization',
+      severity: 'medium'
+    })
+  }
 
   // Generate email verification token
   const verificationToken = user.generateEmailVerificationToken()
@@ -96,14 +200,15 @@ export const register = asyncHandler(async (req, res) => {
     // Don't throw error, just log it
   }
 
-  // Generate JWT token
-  const token = user.generateJWT()
+  // Open session and issue tokens
+  const { token, refreshToken } = await issueSession(user, req, 'registration')
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully. Please check your email for verification.',
     data: {
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -148,7 +253,7 @@ export const login = asyncHandler(async (req, res) => {
   }
 
   // Check if account is locked
-  if (user.accountLocked && user.lockUntil > Date.now()) {
+  if (user.isLocked) {
     const remainingTime = Math.ceil((user.lockUntil - Date.now()) / 60000)
     throw new ErrorResponse(`Account locked. Try again in ${remainingTime} minutes`, 423)
   }
@@ -157,8 +262,22 @@ export const login = asyncHandler(async (req, res) => {
   const isMatch = await user.matchPassword(password)
 
   if (!isMatch) {
-    // Increment failed attempts
-    await user.incrementLoginAttempts()
+    // Increment failed attempts (locks the account once the limit is reached)
+    await user.incLoginAttempts()
+
+    if (!user.isLocked && user.loginAttempts + 1 >= config.security.maxLoginAttempts) {
+      await Audit.logSecurityEvent(
+        'account_locked',
+        {
+          userId: user._id,
+          userEmail: user.email,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        },
+        `Account locked after ${config.security.maxLoginAttempts} failed login attempts: ${user.email}`,
+        'high'
+      )
+    }
     
     // Log failed login attempt
     await Audit.logSecurityEvent(
@@ -181,22 +300,21 @@ export const login = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Account is deactivated. Please contact support.', 403)
   }
 
+  if (user.passwordResetRequired) {
+    throw new ErrorResponse('Password reset required. Please use the reset link sent to your email.', 403)
+  }
+
   // Reset failed login attempts on successful login
-  if (user.loginAttempts > 0) {
-    await User.updateOne(
-      { _id: user._id },
-      {
-        $unset: {
-          loginAttempts: 1,
-          lockUntil: 1
-        }
-      }
-    )
+  if (user.loginAttempts > 0 || user.lockUntil) {
+    await user.resetLoginAttempts()
+  }
+
+  if (req.rateLimit) {
+    await req.rateLimit.resetAccount()
   }
 
   // Update last login
   user.lastLogin = new Date()
-  user.loginCount += 1
   await user.save()
 
   // Log successful login
@@ -220,14 +338,180 @@ export const login = asyncHandler(async (req, res) => {
     severity: 'low'
   })
 
-  // Generate JWT token
-  const token = user.generateJWT()
+  // Open session and issue tokens
+  const { token, refreshToken } = await issueSession(user, req, 'password')
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        walletAddress: user.walletAddress,
+        isEmailVerified: user.isEmailVerified,
+        kycStatus: user.kycStatus,
+        lastLogin: user.lastLogin
+      }
+    }
+  })
+})
+
+// @desc    Get a single-use nonce for Sign-In With Ethereum
+// @route   GET /api/auth/wallet/nonce
+// @access  Public
+export const getWalletNonce = asyncHandler(async (req, res) => {
+  const { address } = req.query
+
+  const issuedAt = new Date()
+  const expiresAt = new Date(issuedAt.getTime() + config.siwe.nonceTtl)
+
+  // EIP-4361 nonces must be alphanumeric, so drop the 0x prefix
+  const nonce = generateNonce().slice(2)
+
+  await WalletNonce.create({
+    nonce,
+    address,
+    ipAddress: req.ip,
+    expiresAt
+  })
+
+  const data = {
+    nonce,
+    domain: config.siwe.domain,
+    uri: config.siwe.uri,
+    statement: config.siwe.statement,
+    version: '1',
+    chainId: config.blockchain.chainId,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: expiresAt.toISOString()
+  }
+
+  // Hand back a ready-to-sign message when the wallet address is already known
+  if (address) {
+    data.message = buildSiweMessage({ ...data, address })
+  }
+
+  res.json({
+    success: true,
+    data
+  })
+})
+
+// @desc    Login with a signed SIWE message
+// @route   POST /api/auth/wallet/login
+// @access  Public
+export const walletLogin = asyncHandler(async (req, res) => {
+  const { message, signature } = req.body
+
+  const rejectLogin = async (reason, address) => {
+    await Audit.logSecurityEvent(
+      'wallet_login_failed',
+      {
+        walletAddress: address,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      },
+      `Failed wallet login${address ? ` for ${address}` : ''}: ${reason}`,
+      'medium'
+    )
+
+    throw new ErrorResponse(reason, 401)
+  }
+
+  let fields
+  try {
+    fields = parseSiweMessage(message)
+  } catch (error) {
+    throw new ErrorResponse(`Invalid sign-in message: ${error.message}`, 400)
+  }
+
+  if (fields.domain !== config.siwe.domain) {
+    return rejectLogin('Sign-in message domain does not match', fields.address)
+  }
+
+  if (fields.uri !== config.siwe.uri) {
+    return rejectLogin('Sign-in message URI does not match', fields.address)
+  }
+
+  if (fields.chainId !== config.blockchain.chainId) {
+    return rejectLogin(`Sign-in message must target chain ${config.blockchain.chainId}`, fields.address)
+  }
+
+  const timestampError = validateSiweTimestamps(fields)
+  if (timestampError) {
+    return rejectLogin(timestampError, fields.address)
+  }
+
+  if (!verifySiweSignature(message, signature, fields.address)) {
+    return rejectLogin('Invalid signature', fields.address)
+  }
+
+  // Consume the nonce only after the signature checks out so a bad request cannot burn it
+  const walletNonce = await WalletNonce.consume(fields.nonce)
+  if (!walletNonce) {
+    return rejectLogin('Nonce is invalid, expired or already used', fields.address)
+  }
+
+  if (walletNonce.address && walletNonce.address !== fields.address.toLowerCase()) {
+    return rejectLogin('Nonce was issued for a different wallet address', fields.address)
+  }
+
+  const user = await User.findByWalletAddress(fields.address)
+  if (!user) {
+    return rejectLogin('No account is linked to this wallet address', fields.address)
+  }
+
+  if (user.isLocked) {
+    const remainingTime = Math.ceil((user.lockUntil - Date.now()) / 60000)
+    throw new ErrorResponse(`Account locked. Try again in ${remainingTime} minutes`, 423)
+  }
+
+  if (!user.isActive) {
+    throw new ErrorResponse('Account is deactivated. Please contact support.', 403)
+  }
+
+  if (user.passwordResetRequired) {
+    throw new ErrorResponse('Password reset required. Please use the reset link sent to your email.', 403)
+  }
+
+  user.lastLogin = new Date()
+  await user.save()
+
+  await Audit.createAuditLog({
+    eventType: 'user_login',
+    actor: {
+      userId: user._id,
+      userEmail: user.email,
+      walletAddress: fields.address,
+      role: user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'user',
+      id: user._id.toString(),
+      name: user.name
+    },
+    action: 'login',
+    description: `User logged in with wallet: ${fields.address}`,
+    category: 'authentication',
+    severity: 'low'
+  })
+
+  // Open session and issue tokens
+  const { token, refreshToken } = await issueSession(user, req, 'wallet')
 
   res.json({
     success: true,
     message: 'Login successful',
     data: {
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -259,6 +543,7 @@ export const getMe = asyncHandler(async (req, res) => {
         walletAddress: user.walletAddress,
         isEmailVerified: user.isEmailVerified,
         kycStatus: user.kycStatus,
+        twoFactorEnabled: user.twoFactorEnabled,
         profile: user.profile,
         preferences: user.preferences,
         lastLogin: user.lastLogin
@@ -340,11 +625,14 @@ export const changePassword = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Current password is incorrect', 400)
   }
 
-  // Update password
+  // Update password (backdated a second so tokens issued right after still pass the iat check)
   user.password = newPassword
-  user.passwordChangedAt = new Date()
+  user.passwordChangedAt = new Date(Date.now() - 1000)
   await user.save()
 
+  // Sign out every other device - the current session can renew its access token via refresh
+  await Session.revokeAllForUser(user._id, 'password_change', req.authSession?._id)
+
   // Log security event
   await Audit.logSecurityEvent(
     'password_change',
@@ -377,7 +665,7 @@ export const forgotPassword = asyncHandler(async (req, res) => {
   }
 
   // Generate reset token
-  const resetToken = user.generatePasswordResetToken()
+  const resetToken = user.generateResetPasswordToken()
   await user.save()
 
   // Create reset URL
@@ -415,8 +703,8 @@ export const forgotPassword = asyncHandler(async (req, res) => {
       message: 'Password reset email sent'
     })
   } catch (error) {
-    user.passwordResetToken = undefined
-    user.passwordResetExpire = undefined
+    user.resetPasswordToken = undefined
+    user.resetPasswordExpire = undefined
     await user.save()
 
     logger.error('Email could not be sent:', error)
@@ -437,8 +725,8 @@ export const resetPassword = asyncHandler(async (req, res) => {
     .digest('hex')
 
   const user = await User.findOne({
-    passwordResetToken: resetPasswordToken,
-    passwordResetExpire: { $gt: Date.now() }
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() }
   })
 
   if (!user) {
@@ -447,11 +735,15 @@ export const resetPassword = asyncHandler(async (req, res) => {
 
   // Set new password
   user.password = password
-  user.passwordResetToken = undefined
-  user.passwordResetExpire = undefined
-  user.passwordChangedAt = new Date()
+  user.resetPasswordToken = undefined
+  user.resetPasswordExpire = undefined
+  user.passwordResetRequired = false
+  user.passwordChangedAt = new Date(Date.now() - 1000)
   await user.save()
 
+  // A reset means the old password may be compromised - kill every existing session
+  await Session.revokeAllForUser(user._id, 'password_change')
+
   // Log security event
   await Audit.logSecurityEvent(
     'password_reset_complete',
@@ -465,14 +757,15 @@ export const resetPassword = asyncHandler(async (req, res) => {
     'medium'
   )
 
-  // Generate JWT token
-  const token = user.generateJWT()
+  // Open a fresh session
+  const { token, refreshToken } = await issueSession(user, req, 'password_reset')
 
   res.json({
     success: true,
     message: 'Password reset successful',
     data: {
-      token
+      token,
+      refreshToken
     }
   })
 })
@@ -533,6 +826,9 @@ export const verifyEmail = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/logout
 // @access  Private
 export const logout = asyncHandler(async (req, res) => {
+  // Revoke the current session so its refresh token can no longer be used
+  await req.authSession.revoke('logout')
+
   // Log audit event
   await Audit.createAuditLog({
     eventType: 'user_logout',
@@ -559,3 +855,118 @@ export const logout = asyncHandler(async (req, res) => {
     message: 'Logged out successfully'
   })
 })
+
+// @desc    Exchange a refresh token for a new token pair (rotation)
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken: presentedToken } = req.body
+
+  const { session, reused, compromisedSession } = await Session.findForRefresh(presentedToken)
+
+  if (reused) {
+    await rejectRefreshTokenReuse(req, compromisedSession)
+  }
+
+  if (!session || !session.isActive) {
+    throw new ErrorResponse('Invalid or expired refresh token', 401)
+  }
+
+  const user = await User.findById(session.user)
+
+  if (!user || !user.isActive) {
+    await session.revoke('account_deactivated')
+    throw new ErrorResponse('Account is deactivated. Please contact support.', 403)
+  }
+
+  // Rotate: the presented token becomes invalid as soon as the new one is issued. Losing the swap means
+  // another request already rotated the same token, which is treated as reuse.
+  const rotated = await Session.rotate(session._id, presentedToken, req.ip)
+
+  if (!rotated) {
+    await rejectRefreshTokenReuse(req, session)
+  }
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      token: rotated.session.generateAccessToken(user),
+      refreshToken: rotated.refreshToken
+    }
+  })
+})
+
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveByUser(req.user.id)
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => session.toPublic(req.authSession._id)),
+      count: sessions.length
+    }
+  })
+})
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user.id })
+
+  if (!session || !session.isActive) {
+    throw new ErrorResponse('Session not found', 404)
+  }
+
+  await session.revoke('user_revoked')
+
+  await Audit.logSecurityEvent(
+    'session_revoked',
+    {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    `Session ${session._id} revoked by ${req.user.email}`,
+    'medium'
+  )
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  })
+})
+
+// @desc    Revoke all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user.id, 'user_revoked', req.authSession._id)
+
+  await Audit.logSecurityEvent(
+    'session_revoked',
+    {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    `${result.modifiedCount} other sessions revoked by ${req.user.email}`,
+    'medium'
+  )
+
+  res.json({
+    success: true,
+    message: 'All other sessions revoked successfully',
+    data: {
+      revoked: result.modifiedCount
+    }
+  })
+})
@@ -0,0 +1,267 @@
+import { ethers } from 'ethers'
+import { BlockchainTransaction, ChainDiscrepancy, Project, Audit } from '../models/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { isValidTxHash, getBlockchainService } from '../utils/blockchain.js'
+import { chainIndexerService } from '../services/chainIndexerService.js'
+import { networkFilter, getNetwork, toPublicNetwork } from '../utils/networks.js'
+import config from '../config/index.js'
+
+// @desc    Get queued blockchain transactions
+// @route   GET /api/blockchain/transactions
+// @access  Private (view_transactions permission)
+export const getBlockchainTransactions = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    functionName,
+    referenceType,
+    referenceId,
+    txHash,
+    network,
+    sortOrder = 'desc'
+  } = req.query
+
+  const query = {}
+
+  if (network) query.network = networkFilter(network)
+  if (status) query.status = status
+  if (functionName) query.functionName = functionName
+  if (referenceType) query['reference.type'] = referenceType
+  if (referenceId) query['reference.id'] = referenceId
+  if (txHash) query['attempts.txHash'] = txHash
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { createdAt: sortOrder === 'asc' ? 1 : -1 },
+    populate: {
+      path: 'requestedBy',
+      select: 'name email role'
+    }
+  }
+
+  const transactions = await BlockchainTransaction.paginate(query, options)
+
+  const counts = await BlockchainTransaction.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ])
+
+  res.json({
+    success: true,
+    data: {
+      transactions: transactions.docs,
+      summary: Object.fromEntries(counts.map(item => [item._id, item.count])),
+      pagination: {
+        current: transactions.page,
+        pages: transactions.totalPages,
+        total: transactions.totalDocs,
+        limit: transactions.limit
+      }
+    }
+  })
+})
+
+// @desc    Get a queued blockchain transaction by queue ID or transaction hash
+// @route   GET /api/blockchain/transactions/:id
+// @access  Private (view_transactions permission)
+export const getBlockchainTransaction = asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  // Replacements change the hash, so match any attempt
+  const query = isValidTxHash(id)
+    ? BlockchainTransaction.findOne({ 'attempts.txHash': id })
+    : BlockchainTransaction.findById(id)
+
+  const transaction = await query.populate('requestedBy', 'name email role')
+
+  if (!transaction) {
+    throw new ErrorResponse('Blockchain transaction not found', 404)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      transaction
+    }
+  })
+})
+
+// @desc    Get the blockchain network registry
+// @route   GET /api/blockchain/networks
+// @access  Private (view_transactions permission)
+export const getBlockchainNetworks = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaultNetwork: config.blockchain.defaultNetwork,
+      networks: Object.values(config.blockchain.networks).map(toPublicNetwork)
+    }
+  })
+})
+
+// @desc    Get current gas prices and per-transaction fee caps for a network
+// @route   GET /api/blockchain/gas-price
+// @access  Private (view_transactions permission)
+export const getGasPrice = asyncHandler(async (req, res) => {
+  const network = getNetwork(req.query.network)
+
+  if (!network.enabled) {
+    throw new ErrorResponse(`Blockchain network '${network.key}' is not enabled`, 400)
+  }
+
+  const gasPrice = await getBlockchainService(network.key).getGasPrice()
+
+  res.json({
+    success: true,
+    data: {
+      network: network.key,
+      ...gasPrice,
+      maxFee: network.maxFee
+    }
+  })
+})
+
+// @desc    Get fees paid for blockchain transactions per project and per month
+// @route   GET /api/blockchain/gas-report
+// @access  Private (view_transactions permission)
+export const getGasReport = asyncHandler(async (req, res) => {
+  const { network, project, from, to } = req.query
+
+  const report = await BlockchainTransaction.getFeeReport({
+    network: network ? networkFilter(network) : undefined,
+    project,
+    from,
+    to
+  })
+
+  const projects = await Project.find({
+    _id: { $in: report.byProject.map(row => row.project).filter(Boolean) }
+  }).select('name projectId')
+  const projectsById = new Map(projects.map(item => [item._id.toString(), item]))
+
+  const format = (row) => {
+    const { key, nativeCurrency } = getNetwork(row.network)
+    return {
+      ...row,
+      network: key,
+      currency: nativeCurrency,
+      feeFormatted: ethers.formatEther(row.fee)
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      filters: { network, project, from, to },
+      byNetwork: report.byNetwork.map(format),
+      byProject: report.byProject.map(row => {
+        const item = row.project && projectsById.get(row.project.toString())
+        return {
+          ...format(row),
+          project: item ? { _id: item._id, name: item.name, projectId: item.projectId } : row.project
+        }
+      }),
+      byMonth: report.byMonth.map(format)
+    }
+  })
+})
+
+// @desc    Get contract event indexer progress
+// @route   GET /api/blockchain/indexer
+// @access  Private (view_transactions permission)
+export const getIndexerStatus = asyncHandler(async (req, res) => {
+  const status = await chainIndexerService.getStatus()
+
+  res.json({
+    success: true,
+    data: {
+      indexer: status
+    }
+  })
+})
+
+// @desc    Get discrepancies between indexed contract events and the database
+// @route   GET /api/blockchain/discrepancies
+// @access  Private (view_transactions permission)
+export const getChainDiscrepancies = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    type,
+    milestone,
+    network,
+    sortOrder = 'desc'
+  } = req.query
+
+  const query = {}
+
+  if (network) query.network = networkFilter(network)
+  if (status) query.status = status
+  if (type) query.type = type
+  if (milestone) query.milestone = milestone
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { detectedAt: sortOrder === 'asc' ? 1 : -1 },
+    populate: [
+      { path: 'milestone', select: 'title milestoneId released releasedAmount releaseTxHash' },
+      { path: 'project', select: 'name projectId' },
+      { path: 'resolvedBy', select: 'name email role' }
+    ]
+  }
+
+  const discrepancies = await ChainDiscrepancy.paginate(query, options)
+
+  res.json({
+    success: true,
+    data: {
+      discrepancies: discrepancies.docs,
+      pagination: {
+        current: discrepancies.page,
+        pages: discrepancies.totalPages,
+        total: discrepancies.totalDocs,
+        limit: discrepancies.limit
+      }
+    }
+  })
+})
+
+// @desc    Resolve a chain discrepancy after investigation
+// @route   PUT /api/blockchain/discrepancies/:id/resolve
+// @access  Private (review_audit_logs permission)
+export const resolveChainDiscrepancy = asyncHandler(async (req, res) => {
+  const discrepancy = await ChainDiscrepancy.findById(req.params.id)
+
+  if (!discrepancy) {
+    throw new ErrorResponse('Discrepancy not found', 404)
+  }
+
+  if (discrepancy.status === 'resolved') {
+    throw new ErrorResponse('Discrepancy is already resolved', 400)
+  }
+
+  await discrepancy.resolve(req.user.id, req.body.resolution)
+
+  await Audit.logUserAction(req.user.id, 'update', {
+    type: discrepancy.milestone ? 'milestone' : 'blockchain',
+    id: discrepancy.milestone?.toString() || discrepancy.txHash,
+    details: { discrepancyId: discrepancy._id.toString() }
+  }, {
+    eventType: 'chain_discrepancy',
+    description: `Chain discrepancy resolved: ${req.body.resolution}`,
+    category: 'financial',
+    severity: 'medium'
+  })
+
+  res.json({
+    success: true,
+    message: 'Discrepancy resolved successfully',
+    data: {
+      discrepancy
+    }
+  })
+})
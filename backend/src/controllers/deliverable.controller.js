@@ -0,0 +1,235 @@
+import { Milestone, Project, Audit } from '../models/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { storageService } from '../services/storageService.js'
+import logger from '../utils/logger.js'
+
+// Load a milestone with its project, honouring the nested /projects/:projectId route
+const getMilestoneWithProject = async (req) => {
+  const milestone = await Milestone.findById(req.params.id)
+
+  if (!milestone || !milestone.isActive) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  if (req.params.projectId && milestone.project.toString() !== req.params.projectId) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  const project = await Project.findById(milestone.project)
+
+  if (!project) {
+    throw new ErrorResponse('Project not found', 404)
+  }
+
+  return { milestone, project }
+}
+
+const getDeliverable = (milestone, deliverableId) => {
+  const deliverable = milestone.deliverables.id(deliverableId)
+
+  if (!deliverable) {
+    throw new ErrorResponse('Deliverable not found', 404)
+  }
+
+  return deliverable
+}
+
+// @desc    Upload evidence for a milestone deliverable
+// @route   POST /api/milestones/:id/evidence
+// @access  Private (Project producer)
+export const uploadMilestoneEvidence = asyncHandler(async (req, res) => {
+  const { deliverableId } = req.body
+
+  const { milestone, project } = await getMilestoneWithProject(req)
+
+  // Only the project producer can submit evidence
+  if (req.user.role !== 'producer' || project.producer.toString() !== req.user.id) {
+    throw new ErrorResponse('Only the project producer can submit milestone evidence', 403)
+  }
+
+  if (milestone.status === 'cancelled' || milestone.verification.isVerified) {
+    throw new ErrorResponse('Evidence can no longer be submitted for this milestone', 400)
+  }
+
+  const deliverable = getDeliverable(milestone, deliverableId)
+
+  if (deliverable.review?.status === 'accepted') {
+    throw new ErrorResponse('Deliverable has already been accepted', 400)
+  }
+
+  const stored = []
+  try {
+    for (const file of req.files) {
+      const metadata = await storageService.store(`milestones/${milestone._id}/${deliverable._id}`, file)
+      stored.push({
+        name: file.originalname,
+        mimeType: file.mimetype,
+        ...metadata
+      })
+    }
+
+    await milestone.submitDeliverable(deliverable._id, stored, req.user.id)
+  } catch (error) {
+    // Don't leave orphaned files behind if the milestone could not be updated
+    await Promise.all(stored.map(file =>
+      storageService.remove(file.storageProvider, file.storageKey).catch(err => logger.error('Storage cleanup error:', err))
+    ))
+    throw error
+  }
+
+  const uploaded = deliverable.evidence.slice(-stored.length)
+
+  // Log audit event
+  await Audit.logUserAction(
+    req.user.id,
+    'upload',
+    {
+      type: 'milestone',
+      id: milestone._id.toString(),
+      name: milestone.title,
+      details: {
+        deliverableId: deliverable._id.toString(),
+        deliverable: deliverable.name,
+        evidence: uploaded.map(file => ({
+          id: file._id.toString(),
+          name: file.name,
+          sha256: file.sha256,
+          size: file.size
+        }))
+      }
+    },
+    {
+      eventType: 'deliverable_submitted',
+      description: `Submitted ${uploaded.length} evidence file(s) for deliverable ${deliverable.name} of milestone: ${milestone.title}`,
+      category: 'data_modification'
+    }
+  )
+
+  res.status(201).json({
+    success: true,
+    message: `${uploaded.length} evidence file(s) uploaded successfully`,
+    data: {
+      deliverable
+    }
+  })
+})
+
+// @desc    Download a deliverable evidence file
+// @route   GET /api/milestones/:id/deliverables/:deliverableId/evidence/:evidenceId
+// @access  Private (Project members)
+export const downloadMilestoneEvidence = asyncHandler(async (req, res) => {
+  const { milestone, project } = await getMilestoneWithProject(req)
+
+  if (!project.isMember(req.user)) {
+    throw new ErrorResponse('Not authorized to access evidence for this milestone', 403)
+  }
+
+  const deliverable = getDeliverable(milestone, req.params.deliverableId)
+  const evidence = deliverable.evidence.id(req.params.evidenceId)
+
+  if (!evidence) {
+    throw new ErrorResponse('Evidence not found', 404)
+  }
+
+  const stream = storageService.createReadStream(evidence.storageProvider, evidence.storageKey)
+
+  // Log audit event
+  await Audit.logUserAction(
+    req.user.id,
+    'download',
+    {
+      type: 'document',
+      id: evidence._id.toString(),
+      name: evidence.name,
+      details: {
+        milestoneId: milestone._id.toString(),
+        deliverableId: deliverable._id.toString(),
+        sha256: evidence.sha256
+      }
+    },
+    {
+      eventType: 'document_accessed',
+      description: `Downloaded evidence ${evidence.name} for milestone: ${milestone.title}`,
+      category: 'data_access'
+    }
+  )
+
+  stream.on('error', (error) => {
+    logger.error(`Evidence stream error for ${evidence.storageKey}:`, error)
+    if (!res.headersSent) {
+      res.status(404).json({ success: false, error: 'Evidence file not found' })
+    } else {
+      res.destroy(error)
+    }
+  })
+
+  stream.once('open', () => {
+    res.set({
+      'Content-Type': evidence.mimeType,
+      'Content-Length': evidence.size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(evidence.name)}`,
+      'X-Content-SHA256': evidence.sha256
+    })
+    stream.pipe(res)
+  })
+})
+
+// @desc    Accept or reject a milestone deliverable
+// @route   PUT /api/milestones/:id/deliverables/:deliverableId/review
+// @access  Private (Assigned auditor, verify_milestone permission)
+export const reviewMilestoneDeliverable = asyncHandler(async (req, res) => {
+  const { decision, comments } = req.body
+
+  const { milestone, project } = await getMilestoneWithProject(req)
+
+  // Only assigned auditor can review deliverables
+  if (req.user.role !== 'auditor' || project.auditor?.toString() !== req.user.id) {
+    throw new ErrorResponse('Only the assigned auditor can review deliverables', 403)
+  }
+
+  if (milestone.verification.isVerified) {
+    throw new ErrorResponse('Milestone is already verified', 400)
+  }
+
+  const deliverable = getDeliverable(milestone, req.params.deliverableId)
+
+  if (!deliverable.isSubmitted) {
+    throw new ErrorResponse('Deliverable has no submitted evidence to review', 400)
+  }
+
+  const status = decision === 'accept' ? 'accepted' : 'rejected'
+
+  await milestone.reviewDeliverable(deliverable._id, status, req.user.id, comments)
+
+  // Log audit event
+  await Audit.logUserAction(
+    req.user.id,
+    decision === 'accept' ? 'approve' : 'reject',
+    {
+      type: 'milestone',
+      id: milestone._id.toString(),
+      name: milestone.title,
+      details: {
+        deliverableId: deliverable._id.toString(),
+        deliverable: deliverable.name
+      }
+    },
+    {
+      eventType: `deliverable_${status}`,
+      description: `${status === 'accepted' ? 'Accepted' : 'Rejected'} deliverable ${deliverable.name} of milestone: ${milestone.title}${comments ? '. Comments: ' + comments : ''}`,
+      category: 'data_modification',
+      severity: 'medium'
+    }
+  )
+
+  logger.info(`Deliverable ${status}: ${deliverable.name} (${milestone.title}) by ${req.user.email}`)
+
+  res.json({
+    success: true,
+    message: `Deliverable ${status} successfully`,
+    data: {
+      deliverable
+    }
+  })
+})
@@ -0,0 +1,224 @@
+import { Project, Audit } from '../models/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { storageService } from '../services/storageService.js'
+import logger from '../utils/logger.js'
+
+// Load a project and make sure the current user is a member
+const getMemberProject = async (req) => {
+  const project = await Project.findById(req.params.id)
+
+  if (!project || !project.isActive) {
+    throw new ErrorResponse('Project not found', 404)
+  }
+
+  if (!project.isMember(req.user)) {
+    throw new ErrorResponse('Not authorized to access documents for this project', 403)
+  }
+
+  return project
+}
+
+const getDocument = (project, documentId) => {
+  const document = project.documents.id(documentId)
+
+  if (!document) {
+    throw new ErrorResponse('Document not found', 404)
+  }
+
+  return document
+}
+
+// @desc    Get project documents
+// @route   GET /api/projects/:id/documents
+// @access  Private (Project members)
+export const getProjectDocuments = asyncHandler(async (req, res) => {
+  const project = await getMemberProject(req)
+
+  await project.populate('documents.uploadedBy', 'name email role')
+
+  res.json({
+    success: true,
+    data: {
+      documents: project.documents
+    }
+  })
+})
+
+// @desc    Upload project documents
+// @route   POST /api/projects/:id/documents
+// @access  Private (Project members)
+export const uploadProjectDocuments = asyncHandler(async (req, res) => {
+  const { type = 'other', description } = req.body
+
+  const project = await getMemberProject(req)
+
+  const stored = []
+  try {
+    for (const file of req.files) {
+      const metadata = await storageService.store(`projects/${project._id}`, file)
+      stored.push(metadata)
+
+      const document = project.documents.create({
+        name: file.originalname,
+        type,
+        description,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        uploadedBy: req.user._id,
+        ...metadata
+      })
+      document.url = `/api/projects/${project._id}/documents/${document._id}`
+      project.documents.push(document)
+    }
+
+    await project.save()
+  } catch (error) {
+    // Don't leave orphaned files behind if the project could not be updated
+    await Promise.all(stored.map(file =>
+      storageService.remove(file.storageProvider, file.storageKey).catch(err => logger.error('Storage cleanup error:', err))
+    ))
+    throw error
+  }
+
+  const uploaded = project.documents.slice(-req.files.length)
+
+  // Log audit event
+  await Audit.createAuditLog({
+    eventType: 'document_uploaded',
+    actor: {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'document',
+      id: project._id.toString(),
+      name: project.name,
+      details: {
+        documents: uploaded.map(document => ({
+          id: document._id.toString(),
+          name: document.name,
+          sha256: document.sha256,
+          size: document.size
+        }))
+      }
+    },
+    action: 'upload',
+    description: `Uploaded ${uploaded.length} document(s) to project: ${project.name}`,
+    category: 'data_modification',
+    severity: 'low'
+  })
+
+  res.status(201).json({
+    success: true,
+    message: `${uploaded.length} document(s) uploaded successfully`,
+    data: {
+      documents: uploaded
+    }
+  })
+})
+
+// @desc    Download a project document
+// @route   GET /api/projects/:id/documents/:documentId
+// @access  Private (Project members)
+export const downloadProjectDocument = asyncHandler(async (req, res) => {
+  const project = await getMemberProject(req)
+  const document = getDocument(project, req.params.documentId)
+
+  if (!document.storageKey) {
+    throw new ErrorResponse('Document is stored externally and cannot be downloaded here', 400)
+  }
+
+  const stream = storageService.createReadStream(document.storageProvider, document.storageKey)
+
+  // Log audit event
+  await Audit.createAuditLog({
+    eventType: 'document_accessed',
+    actor: {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'document',
+      id: document._id.toString(),
+      name: document.name,
+      details: {
+        projectId: project._id.toString(),
+        sha256: document.sha256
+      }
+    },
+    action: 'download',
+    description: `Downloaded document ${document.name} from project: ${project.name}`,
+    category: 'data_access',
+    severity: 'low'
+  })
+
+  stream.on('error', (error) => {
+    logger.error(`Document stream error for ${document.storageKey}:`, error)
+    if (!res.headersSent) {
+      res.status(404).json({ success: false, error: 'Document file not found' })
+    } else {
+      res.destroy(error)
+    }
+  })
+
+  stream.once('open', () => {
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': document.size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(document.name)}`,
+      'X-Content-SHA256': document.sha256
+    })
+    stream.pipe(res)
+  })
+})
+
+// @desc    Delete a project document
+// @route   DELETE /api/projects/:id/documents/:documentId
+// @access  Private (Uploader or update_project permission)
+export const deleteProjectDocument = asyncHandler(async (req, res) => {
+  const project = await getMemberProject(req)
+  const document = getDocument(project, req.params.documentId)
+
+  const isUploader = document.uploadedBy?.toString() === req.user._id.toString()
+  if (!isUploader && !(req.user.role === 'government' && req.user.hasPermission('update_project'))) {
+    throw new ErrorResponse('Not authorized to delete this document', 403)
+  }
+
+  const { storageProvider, storageKey, name } = document
+
+  document.deleteOne()
+  await project.save()
+
+  if (storageKey) {
+    await storageService.remove(storageProvider, storageKey)
+  }
+
+  // Log audit event
+  await Audit.logUserAction(
+    req.user.id,
+    'delete',
+    {
+      type: 'document',
+      id: req.params.documentId,
+      name
+    },
+    {
+      eventType: 'project_updated',
+      description: `Deleted document ${name} from project: ${project.name}`,
+      category: 'data_modification',
+      severity: 'medium'
+    }
+  )
+
+  res.json({
+    success: true,
+    message: 'Document deleted successfully'
+  })
+})
@@ -1,5 +1,14 @@
 // Central export point for all controllers
 export * from './auth.controller.js'
+export * from './twoFactor.controller.js'
 export * from './project.controller.js'
 export * from './milestone.controller.js'
 export * from './audit.controller.js'
+export * from './kyc.controller.js'
+export * from './user.controller.js'
+export * from './invitation.controller.js'
+export * from './document.controller.js'
+export * from './deliverable.controller.js'
+export * from './blockchain.controller.js'
+export * from './oracle.controller.js'
+export * from './meter.controller.js'
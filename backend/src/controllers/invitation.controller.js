@@ -0,0 +1,234 @@
+import { User, Invitation, Audit } from '../models/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js'
+import { sendEmail, emailTemplates } from '../utils/email.js'
+import logger from '../utils/logger.js'
+
+const sendInvitationEmail = async (invitation, inviter, token) => {
+  try {
+    await sendEmail({
+      to: invitation.email,
+      ...emailTemplates.invitation(invitation, inviter, token)
+    })
+  } catch (error) {
+    logger.error('Invitation email failed:', error)
+    throw new ErrorResponse('Invitation email could not be sent', 500)
+  }
+}
+
+const logInvitationEvent = (req, invitation, eventType, action, description) => {
+  return Audit.createAuditLog({
+    eventType,
+    actor: {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'user',
+      id: invitation._id.toString(),
+      name: invitation.email,
+      details: {
+        role: invitation.role,
+        organization: invitation.organization?.name
+      }
+    },
+    action,
+    description,
+    category: 'authorization',
+    severity: 'medium'
+  })
+}
+
+// Accepting an invitation grants the role's defaults, so the same no-delegation rule as role changes applies
+const assertCanInviteRole = (req, role) => {
+  const missing = (DEFAULT_ROLE_PERMISSIONS[role] || []).filter(permission => !req.user.hasPermission(permission))
+  if (missing.length) {
+    throw new ErrorResponse(`You cannot invite a user as ${role} without holding its permissions: ${missing.join(', ')}`, 403)
+  }
+}
+
+// @desc    Invite a user to register with a given role
+// @route   POST /api/users/invitations
+// @access  Private (manage_users permission)
+export const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role, organization, message } = req.body
+
+  assertCanInviteRole(req, role)
+
+  if (await User.findOne({ email: email.toLowerCase() })) {
+    throw new ErrorResponse('A user with this email already exists', 400)
+  }
+
+  if (await Invitation.findPendingByEmail(email)) {
+    throw new ErrorResponse('A pending invitation already exists for this email. Resend or revoke it instead.', 400)
+  }
+
+  const invitation = new Invitation({
+    email,
+    role,
+    organization,
+    message,
+    invitedBy: req.user._id
+  })
+  const token = invitation.generateToken()
+  await invitation.save()
+
+  await sendInvitationEmail(invitation, req.user, token)
+
+  await logInvitationEvent(req, invitation, 'user_invited', 'create', `Invited ${invitation.email} as ${invitation.role}`)
+
+  logger.info(`Invitation sent to ${invitation.email} (${invitation.role}) by ${req.user.email}`)
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: {
+      invitation
+    }
+  })
+})
+
+// @desc    Get invitations
+// @route   GET /api/users/invitations
+// @access  Private (manage_users permission)
+export const getInvitations = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    status,
+    search
+  } = req.query
+
+  const query = {}
+  const now = new Date()
+
+  if (status === 'pending') {
+    Object.assign(query, { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $gt: now } })
+  } else if (status === 'accepted') {
+    query.acceptedAt = { $exists: true }
+  } else if (status === 'revoked') {
+    query.revokedAt = { $exists: true }
+  } else if (status === 'expired') {
+    Object.assign(query, { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $lte: now } })
+  }
+
+  if (search) {
+    query.email = { $regex: search, $options: 'i' }
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { createdAt: -1 },
+    populate: [
+      { path: 'invitedBy', select: 'name email' },
+      { path: 'acceptedBy', select: 'name email' }
+    ]
+  }
+
+  const invitations = await Invitation.paginate(query, options)
+
+  res.json({
+    success: true,
+    data: {
+      invitations: invitations.docs,
+      pagination: {
+        current: invitations.page,
+        pages: invitations.totalPages,
+        total: invitations.totalDocs,
+        limit: invitations.limit
+      }
+    }
+  })
+})
+
+// @desc    Resend an invitation with a fresh token
+// @route   POST /api/users/invitations/:id/resend
+// @access  Private (manage_users permission)
+export const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id)
+
+  if (!invitation) {
+    throw new ErrorResponse('Invitation not found', 404)
+  }
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw new ErrorResponse(`Invitation has already been ${invitation.status}`, 400)
+  }
+
+  // The resender's permissions may differ from the original inviter's
+  assertCanInviteRole(req, invitation.role)
+
+  // The previous link stops working as soon as the token is replaced
+  const token = invitation.generateToken()
+  invitation.sentCount += 1
+  await invitation.save()
+
+  await sendInvitationEmail(invitation, req.user, token)
+
+  await logInvitationEvent(req, invitation, 'user_invited', 'update', `Resent invitation to ${invitation.email}`)
+
+  res.json({
+    success: true,
+    message: 'Invitation resent successfully',
+    data: {
+      invitation
+    }
+  })
+})
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private (manage_users permission)
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id)
+
+  if (!invitation) {
+    throw new ErrorResponse('Invitation not found', 404)
+  }
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw new ErrorResponse(`Invitation has already been ${invitation.status}`, 400)
+  }
+
+  invitation.revokedAt = new Date()
+  invitation.revokedBy = req.user._id
+  await invitation.save()
+
+  await logInvitationEvent(req, invitation, 'invitation_revoked', 'delete', `Revoked invitation for ${invitation.email}`)
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked successfully',
+    data: {
+      invitation
+    }
+  })
+})
+
+// @desc    Look up an invitation by token to pre-fill registration
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+export const getInvitationByToken = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findPendingByToken(req.params.token)
+
+  if (!invitation) {
+    throw new ErrorResponse('Invitation is invalid, expired or already used', 404)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        organization: invitation.organization,
+        expiresAt: invitation.expiresAt
+      }
+    }
+  })
+})
@@ -0,0 +1,276 @@
+import { User, Audit } from '../models/index.js'
+import config from '../config/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { sendEmail, emailTemplates } from '../utils/email.js'
+import logger from '../utils/logger.js'
+
+// Statuses from which a user may (re)submit KYC details
+const SUBMITTABLE_STATUSES = ['pending', 'more_info_required', 'rejected']
+
+// Review decisions mapped to the resulting KYC status and audit event
+const REVIEW_DECISIONS = {
+  approve: { status: 'approved', eventType: 'kyc_approved', action: 'approve' },
+  reject: { status: 'rejected', eventType: 'kyc_rejected', action: 'reject' },
+  request_info: { status: 'more_info_required', eventType: 'kyc_info_requested', action: 'update' }
+}
+
+const getKYCSummary = (user) => ({
+  userId: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  organization: user.organization,
+  kycStatus: user.kycStatus,
+  registrationNumber: user.kyc?.registrationNumber,
+  documents: user.kyc?.documents || [],
+  submittedAt: user.kyc?.submittedAt,
+  reviewedAt: user.kyc?.reviewedAt,
+  reviewedBy: user.kyc?.reviewedBy,
+  reviewNotes: user.kyc?.reviewNotes,
+  history: user.kyc?.history || []
+})
+
+// @desc    Get current user's KYC status
+// @route   GET /api/kyc/me
+// @access  Private
+export const getMyKYC = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+
+  res.json({
+    success: true,
+    data: {
+      kyc: getKYCSummary(user)
+    }
+  })
+})
+
+// @desc    Submit KYC details for review
+// @route   POST /api/kyc
+// @access  Private (Roles requiring KYC)
+export const submitKYC = asyncHandler(async (req, res) => {
+  const { registrationNumber, organization, documents } = req.body
+
+  const user = await User.findById(req.user.id)
+
+  if (!config.kyc.requiredRoles.includes(user.role)) {
+    throw new ErrorResponse(`KYC is not required for the ${user.role} role`, 400)
+  }
+
+  if (!SUBMITTABLE_STATUSES.includes(user.kycStatus)) {
+    throw new ErrorResponse(`KYC cannot be submitted while status is ${user.kycStatus}`, 400)
+  }
+
+  user.set('organization', {
+    ...user.toObject().organization,
+    ...organization,
+    registrationNumber
+  })
+
+  user.kyc.registrationNumber = registrationNumber
+  user.kyc.documents = documents
+  user.kyc.submittedAt = new Date()
+  user.setKYCStatus('under_review', user._id, 'KYC submitted for review')
+
+  await user.save()
+
+  // Log audit event
+  await Audit.createAuditLog({
+    eventType: 'kyc_submitted',
+    actor: {
+      userId: user._id,
+      userEmail: user.email,
+      role: user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'user',
+      id: user._id.toString(),
+      name: user.name,
+      details: {
+        registrationNumber,
+        documentCount: documents.length
+      }
+    },
+    action: 'create',
+    description: `KYC submitted for review by ${user.email}`,
+    category: 'compliance',
+    severity: 'low',
+    personalDataInvolved: true
+  })
+
+  logger.info(`KYC submitted by ${user.email}`)
+
+  res.status(201).json({
+    success: true,
+    message: 'KYC submitted for review',
+    data: {
+      kyc: getKYCSummary(user)
+    }
+  })
+})
+
+// @desc    Get KYC review queue
+// @route   GET /api/kyc/queue
+// @access  Private (review_kyc permission)
+export const getKYCQueue = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    status = 'under_review',
+    search
+  } = req.query
+
+  const query = {
+    kycStatus: status,
+    role: { $in: config.kyc.requiredRoles }
+  }
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { 'organization.name': { $regex: search, $options: 'i' } },
+      { 'kyc.registrationNumber': { $regex: search, $options: 'i' } }
+    ]
+  }
+
+  // Oldest submissions first so the queue is worked in order
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { 'kyc.submittedAt': 1 },
+    select: 'name email role organization kycStatus kyc.registrationNumber kyc.submittedAt kyc.documents'
+  }
+
+  const submissions = await User.paginate(query, options)
+
+  res.json({
+    success: true,
+    data: {
+      submissions: submissions.docs,
+      pagination: {
+        current: submissions.page,
+        pages: submissions.totalPages,
+        total: submissions.totalDocs,
+        limit: submissions.limit
+      }
+    }
+  })
+})
+
+// @desc    Get a user's KYC submission
+// @route   GET /api/kyc/:userId
+// @access  Private (review_kyc permission)
+export const getKYCSubmission = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId)
+    .populate('kyc.reviewedBy', 'name email')
+    .populate('kyc.history.changedBy', 'name email role')
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404)
+  }
+
+  // Log audit event
+  await Audit.logUserAction(
+    req.user.id,
+    'read',
+    {
+      type: 'user',
+      id: user._id.toString(),
+      name: user.name
+    },
+    {
+      eventType: 'document_accessed',
+      description: `Viewed KYC submission for ${user.email}`,
+      category: 'compliance',
+      personalDataInvolved: true
+    }
+  )
+
+  res.json({
+    success: true,
+    data: {
+      kyc: getKYCSummary(user)
+    }
+  })
+})
+
+// @desc    Review a KYC submission (approve, reject or request more info)
+// @route   PUT /api/kyc/:userId/review
+// @access  Private (review_kyc permission)
+export const reviewKYC = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body
+  const outcome = REVIEW_DECISIONS[decision]
+
+  const user = await User.findById(req.params.userId)
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404)
+  }
+
+  if (user._id.toString() === req.user.id.toString()) {
+    throw new ErrorResponse('You cannot review your own KYC submission', 403)
+  }
+
+  if (user.kycStatus !== 'under_review') {
+    throw new ErrorResponse(`Only submissions under review can be reviewed. Current status: ${user.kycStatus}`, 400)
+  }
+
+  const previousStatus = user.kycStatus
+
+  user.kyc.reviewedAt = new Date()
+  user.kyc.reviewedBy = req.user.id
+  user.kyc.reviewNotes = note
+  user.setKYCStatus(outcome.status, req.user.id, note)
+
+  await user.save()
+
+  // Log audit event
+  await Audit.createAuditLog({
+    eventType: outcome.eventType,
+    actor: {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'user',
+      id: user._id.toString(),
+      name: user.name,
+      details: {
+        previousStatus,
+        newStatus: outcome.status,
+        note
+      }
+    },
+    action: outcome.action,
+    description: `KYC ${outcome.status.replace(/_/g, ' ')} for ${user.email}`,
+    category: 'compliance',
+    severity: 'medium',
+    personalDataInvolved: true
+  })
+
+  // Notify the applicant of the outcome
+  try {
+    await sendEmail({
+      to: user.email,
+      ...emailTemplates.kycReviewOutcome(user, outcome.status, note)
+    })
+  } catch (error) {
+    logger.error('KYC outcome email failed:', error)
+  }
+
+  logger.info(`KYC ${outcome.status} for ${user.email} by ${req.user.email}`)
+
+  res.json({
+    success: true,
+    message: `KYC ${outcome.status.replace(/_/g, ' ')}`,
+    data: {
+      kyc: getKYCSummary(user)
+    }
+  })
+})
@@ -0,0 +1,358 @@
+import { Meter, Project, Milestone, Audit } from '../models/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { meterService } from '../services/meterService.js'
+import logger from '../utils/logger.js'
+
+// Government and the project's producer manage meters and submit readings
+const canManageMeters = (user, project) =>
+  user.role === 'government' || (user.role === 'producer' && project.producer.toString() === user.id)
+
+const getProjectForMeters = async (req, { manage = false } = {}) => {
+  const projectId = req.params.projectId || req.query.project
+
+  if (!projectId) {
+    throw new ErrorResponse('Project ID is required', 400)
+  }
+
+  const project = await Project.findById(projectId)
+
+  if (!project) {
+    throw new ErrorResponse('Project not found', 404)
+  }
+
+  if (manage ? !canManageMeters(req.user, project) : !project.isMember(req.user)) {
+    throw new ErrorResponse(`Not authorized to ${manage ? 'manage' : 'view'} meters of this project`, 403)
+  }
+
+  return project
+}
+
+const getMeterWithProject = async (req, { manage = false } = {}) => {
+  const meter = await Meter.findById(req.params.id).populate('project', 'name projectId producer auditor')
+
+  if (!meter) {
+    throw new ErrorResponse('Meter not found', 404)
+  }
+
+  if (req.params.projectId && meter.project._id.toString() !== req.params.projectId) {
+    throw new ErrorResponse('Meter not found', 404)
+  }
+
+  if (manage ? !canManageMeters(req.user, meter.project) : !meter.project.isMember(req.user)) {
+    throw new ErrorResponse(`Not authorized to ${manage ? 'manage' : 'view'} this meter`, 403)
+  }
+
+  return meter
+}
+
+const getMilestoneForProduction = async (req) => {
+  const milestone = await Milestone.findById(req.params.id)
+    .populate('project', 'name projectId producer auditor')
+
+  if (!milestone || !milestone.isActive) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  if (req.params.projectId && milestone.project._id.toString() !== req.params.projectId) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  if (!milestone.project.isMember(req.user)) {
+    throw new ErrorResponse('Not authorized to view this milestone', 403)
+  }
+
+  return milestone
+}
+
+const logReadingIngest = (req, meter, result, source) => Audit.logUserAction(
+  req.user.id,
+  'create',
+  {
+    type: 'project',
+    id: meter.project._id.toString(),
+    name: meter.project.name
+  },
+  {
+    eventType: 'project_updated',
+    description: `Ingested ${result.inserted} ${source} readings for meter ${meter.meterId}`,
+    category: 'data_modification',
+    severity: 'low',
+    context: {
+      meter: meter.meterId,
+      inserted: result.inserted,
+      duplicates: result.duplicates,
+      from: result.from,
+      to: result.to
+    }
+  }
+)
+
+// @desc    Get meters of a project
+// @route   GET /api/projects/:projectId/meters (or /api/meters?project=)
+// @access  Private (project members)
+export const getMeters = asyncHandler(async (req, res) => {
+  const project = await getProjectForMeters(req)
+
+  const query = { project: project._id }
+  if (req.query.status) query.status = req.query.status
+
+  const meters = await Meter.find(query).sort({ meterId: 1 })
+
+  res.json({
+    success: true,
+    data: {
+      meters
+    }
+  })
+})
+
+// @desc    Register a production meter for a project
+// @route   POST /api/projects/:projectId/meters
+// @access  Private (Government and project producer)
+export const registerMeter = asyncHandler(async (req, res) => {
+  const project = await getProjectForMeters(req, { manage: true })
+
+  const meter = await Meter.create({
+    ...req.body,
+    project: project._id,
+    registeredBy: req.user._id
+  })
+
+  await Audit.logUserAction(
+    req.user.id,
+    'update',
+    {
+      type: 'project',
+      id: project._id.toString(),
+      name: project.name
+    },
+    {
+      eventType: 'project_updated',
+      description: `Registered meter ${meter.meterId} (${meter.metrics.join(', ')}) for project ${project.name}`,
+      category: 'data_modification',
+      severity: 'low'
+    }
+  )
+
+  logger.info(`Meter ${meter.meterId} registered for project ${project.projectId} by ${req.user.email}`)
+
+  res.status(201).json({
+    success: true,
+    message: 'Meter registered successfully',
+    data: {
+      meter
+    }
+  })
+})
+
+// @desc    Get a meter
+// @route   GET /api/meters/:id
+// @access  Private (project members)
+export const getMeter = asyncHandler(async (req, res) => {
+  const meter = await getMeterWithProject(req)
+
+  res.json({
+    success: true,
+    data: {
+      meter
+    }
+  })
+})
+
+// @desc    Update a meter's details or status
+// @route   PUT /api/meters/:id
+// @access  Private (Government and project producer)
+export const updateMeter = asyncHandler(async (req, res) => {
+  const meter = await getMeterWithProject(req, { manage: true })
+
+  // Dropping a metric would orphan readings already stored for it
+  const removed = req.body.metrics && meter.metrics.filter(metric => !req.body.metrics.includes(metric))
+  if (removed?.length && meter.readingCount > 0) {
+    throw new ErrorResponse(`Cannot remove metrics ${removed.join(', ')} from a meter that has readings`, 400)
+  }
+
+  Object.assign(meter, req.body)
+  await meter.save()
+
+  await Audit.logUserAction(
+    req.user.id,
+    'update',
+    {
+      type: 'project',
+      id: meter.project._id.toString(),
+      name: meter.project.name
+    },
+    {
+      eventType: 'project_updated',
+      description: `Updated meter ${meter.meterId}`,
+      category: 'data_modification',
+      severity: 'low',
+      context: req.body
+    }
+  )
+
+  res.json({
+    success: true,
+    message: 'Meter updated successfully',
+    data: {
+      meter
+    }
+  })
+})
+
+// @desc    Submit meter readings
+// @route   POST /api/meters/:id/readings
+// @access  Private (Government and project producer)
+export const ingestMeterReadings = asyncHandler(async (req, res) => {
+  const meter = await getMeterWithProject(req, { manage: true })
+
+  if (meter.status !== 'active') {
+    throw new ErrorResponse(`Meter is ${meter.status} and does not accept readings`, 400)
+  }
+
+  const result = await meterService.ingestReadings(meter, req.body.readings, 'api')
+
+  if (result.errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Readings rejected; nothing was stored' },
+      data: { errors: result.errors }
+    })
+  }
+
+  await logReadingIngest(req, meter, result, 'api')
+
+  res.status(201).json({
+    success: true,
+    message: `${result.inserted} readings stored`,
+    data: result
+  })
+})
+
+// @desc    Upload meter readings as CSV (timestamp column plus hydrogen_kg, energy_mwh and/or water_m3)
+// @route   POST /api/meters/:id/readings/csv
+// @access  Private (Government and project producer)
+export const uploadMeterReadingsCsv = asyncHandler(async (req, res) => {
+  const meter = await getMeterWithProject(req, { manage: true })
+
+  if (meter.status !== 'active') {
+    throw new ErrorResponse(`Meter is ${meter.status} and does not accept readings`, 400)
+  }
+
+  const [file] = req.files
+  if (file.mimetype !== 'text/csv') {
+    throw new ErrorResponse('Meter readings must be uploaded as a text/csv file', 400)
+  }
+
+  const result = await meterService.ingestCsv(meter, file.buffer.toString('utf8'))
+
+  if (result.errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'CSV rejected; nothing was stored' },
+      data: { errors: result.errors.slice(0, 100), totalErrors: result.errors.length }
+    })
+  }
+
+  await logReadingIngest(req, meter, result, 'csv')
+
+  res.status(201).json({
+    success: true,
+    message: `${result.inserted} readings stored from ${file.originalname}`,
+    data: result
+  })
+})
+
+// @desc    Get a meter's readings as raw points or hourly, daily or monthly totals
+// @route   GET /api/meters/:id/readings
+// @access  Private (project members)
+export const getMeterReadings = asyncHandler(async (req, res) => {
+  const meter = await getMeterWithProject(req)
+
+  const series = await meterService.getMeterSeries(meter, req.query)
+
+  res.json({
+    success: true,
+    data: {
+      meter: {
+        _id: meter._id,
+        meterId: meter.meterId,
+        name: meter.name,
+        metrics: meter.metrics
+      },
+      ...series
+    }
+  })
+})
+
+// @desc    Get a project's production across all its meters as hourly, daily or monthly totals
+// @route   GET /api/projects/:projectId/meters/production
+// @access  Private (project members)
+export const getProjectProduction = asyncHandler(async (req, res) => {
+  const project = await getProjectForMeters(req)
+
+  const series = await meterService.getProjectSeries(project._id, req.query)
+
+  res.json({
+    success: true,
+    data: series
+  })
+})
+
+// @desc    Get production over a milestone's period and the performance target values derived from it
+// @route   GET /api/milestones/:id/production
+// @access  Private (project members)
+export const getMilestoneProduction = asyncHandler(async (req, res) => {
+  const milestone = await getMilestoneForProduction(req)
+
+  const production = await meterService.getMilestoneProduction(milestone)
+
+  res.json({
+    success: true,
+    data: production
+  })
+})
+
+// @desc    Record production-derived values on a milestone's performance targets
+// @route   POST /api/milestones/:id/production/evaluate
+// @access  Private (verify_milestone permission)
+export const evaluateMilestoneProduction = asyncHandler(async (req, res) => {
+  const milestone = await getMilestoneForProduction(req)
+
+  if (milestone.verification?.isVerified) {
+    throw new ErrorResponse('Milestone has already been verified', 400)
+  }
+
+  const result = await meterService.evaluateMilestone(milestone)
+
+  await Audit.logUserAction(
+    req.user.id,
+    'update',
+    {
+      type: 'milestone',
+      id: milestone._id.toString(),
+      name: milestone.title
+    },
+    {
+      eventType: 'milestone_updated',
+      description: `Evaluated performance targets of milestone ${milestone.title} against meter readings`,
+      category: 'data_modification',
+      severity: 'low',
+      context: {
+        from: result.from,
+        to: result.to,
+        totals: result.totals,
+        evaluated: result.evaluated
+      }
+    }
+  )
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      performanceTargets: milestone.technicalSpecs?.performanceTargets || []
+    }
+  })
+})
@@ -1,7 +1,74 @@
-import { Milestone, Project, Audit } from '../models/index.js'
+import { Milestone, Project, Disbursement, Audit } from '../models/index.js'
 import { asyncHandler } from '../middleware/asyncHandler.js'
 import { ErrorResponse } from '../utils/errorResponse.js'
 import logger from '../utils/logger.js'
+import { disbursementService } from '../services/disbursementService.js'
+import { chainRegistrationService } from '../services/chainRegistrationService.js'
+import { findDependencyCycle } from '../utils/schedule.js'
+import { describeTarget } from '../utils/performanceRules.js'
+import { getProjectNetwork } from '../utils/networks.js'
+import { verifySignature } from '../utils/signer.util.js'
+import {
+  getReleasePolicy,
+  buildReleaseApprovalMessage,
+  evaluateReleaseApprovals,
+  describeQuorum,
+  organizationKey
+} from '../utils/releaseApprovals.js'
+
+// Make sure dependencies point at milestones of the same project and don't form a cycle
+const assertValidDependencies = async (projectId, milestoneId, dependencies) => {
+  const milestones = await Milestone.find({ project: projectId, isActive: true })
+    .select('title dependencies')
+
+  const known = new Set(milestones.map(milestone => milestone._id.toString()))
+  const unknown = dependencies.filter(dependency => !known.has(dependency.milestoneId.toString()))
+
+  if (unknown.length > 0) {
+    throw new ErrorResponse('Dependencies must reference active milestones of the same project', 400)
+  }
+
+  const id = milestoneId ? milestoneId.toString() : 'new'
+  const current = milestones.find(milestone => milestone._id.toString() === id)
+  const graph = milestones
+    .filter(milestone => milestone !== current)
+    .concat({ _id: id, title: current?.title || 'new milestone', dependencies })
+
+  const cycle = findDependencyCycle(graph)
+  if (cycle) {
+    const titles = new Map(graph.map(milestone => [milestone._id.toString(), milestone.title]))
+    throw new ErrorResponse(`Dependency cycle detected: ${cycle.map(node => titles.get(node)).join(' -> ')}`, 400)
+  }
+}
+
+const describeDependencies = (dependencies) =>
+  dependencies.map(dependency => `${dependency.title} (${dependency.type})`).join(', ')
+
+// Resolve the tranche a release request is for: the given one, or the next unreleased tranche
+const getReleaseTranche = async (milestone, trancheId) => {
+  // Milestones created before tranches existed get their single default tranche persisted
+  if (milestone.tranches.length === 0) {
+    await milestone.save()
+  }
+
+  const tranche = trancheId ? milestone.tranches.id(trancheId) : milestone.getNextTranche()
+
+  if (!tranche) {
+    throw new ErrorResponse(trancheId ? 'Tranche not found' : 'Subsidy already released for this milestone', trancheId ? 404 : 400)
+  }
+
+  return tranche
+}
+
+// Resolve the approval policy for a tranche release, the message approvers sign and the signatures collected for it.
+// The tier follows the milestone's whole subsidy, so splitting it into tranches cannot lower the quorum.
+const getReleaseQuorum = (milestone, tranche, project) => {
+  const policy = getReleasePolicy(milestone.subsidyAmount)
+  const message = buildReleaseApprovalMessage({ milestone, tranche, project, network: getProjectNetwork(project) })
+  const approvals = milestone.releaseApprovals.filter(approval => approval.tranche?.equals(tranche._id))
+
+  return { message, ...evaluateReleaseApprovals(policy, approvals, message) }
+}
 
 // @desc    Get milestones for a project
 // @route   GET /api/projects/:projectId/milestones
@@ -151,17 +218,28 @@ export const createMilestone = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Not authorized to create milestones for this project', 403)
   }
 
+  if (req.body.dependencies?.length) {
+    await assertValidDependencies(projectId, null, req.body.dependencies)
+  }
+
   const milestoneData = {
     ...req.body,
     project: projectId,
     projectId: project.projectId
   }
 
-  const milestone = await Milestone.create(milestoneData)
+  const created = await Milestone.create(milestoneData)
 
   // Update project milestone count
   await project.addMilestone()
 
+  // Registered on-chain right away if the project already is, otherwise once the project's registration confirms
+  const milestone = await chainRegistrationService.registerMilestone(created, project, {
+    userId: req.user.id,
+    userEmail: req.user.email,
+    role: req.user.role
+  })
+
   await milestone.populate([
     {
       path: 'project',
@@ -218,17 +296,62 @@ export const updateMilestone = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Not authorized to update this milestone', 403)
   }
 
+  // Targets and their actual values decide verification, so the producer can't set them
+  if (req.body.technicalSpecs?.performanceTargets && req.user.role === 'producer') {
+    throw new ErrorResponse('Only government or the project auditor can define performance targets', 403)
+  }
+
+  if (req.body.dependencies) {
+    await assertValidDependencies(milestone.project, milestone._id, req.body.dependencies)
+  }
+
+  // Replacing the deliverables list would discard submitted evidence and reviews
+  if (req.body.deliverables && milestone.deliverables.some(deliverable => deliverable.evidence.length > 0)) {
+    throw new ErrorResponse('Deliverables cannot be replaced once evidence has been submitted', 400)
+  }
+
+  if (req.body.tranches && milestone.tranches.some(tranche => tranche.released)) {
+    throw new ErrorResponse('Tranches cannot be changed once a tranche has been released', 400)
+  }
+
+  // Registered tranches are contract milestones with fixed amounts
+  if (req.body.tranches && (['pending', 'confirmed'].includes(milestone.blockchainSync?.status) ||
+    milestone.tranches.some(tranche => tranche.registrationTxHash))) {
+    throw new ErrorResponse('Tranches cannot be changed once the milestone is registered on-chain', 400)
+  }
+
   // Store old values for audit
   const oldValues = {
     status: milestone.status,
     completionPercentage: milestone.completionPercentage
   }
+  const previousTargets = new Map((milestone.technicalSpecs?.performanceTargets || [])
+    .map(target => [target.parameter, target]))
 
   milestone = await Milestone.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
   }).populate('project', 'name')
 
+  // Allocate amounts to the new tranches
+  if (req.body.tranches) {
+    milestone.allocateTranches()
+    await milestone.save()
+  }
+
+  // Evaluate any actual values submitted with the update
+  if (req.body.technicalSpecs?.performanceTargets) {
+    milestone.technicalSpecs.performanceTargets.forEach(target => {
+      if (typeof target.actualValue !== 'number') return
+
+      // Values resubmitted unchanged keep their oracle or meter source
+      const previous = previousTargets.get(target.parameter)
+      target.valueSource = previous?.actualValue === target.actualValue ? previous.valueSource || 'manual' : 'manual'
+    })
+    milestone.evaluatePerformanceTargets()
+    await milestone.save()
+  }
+
   // Log audit event
   await Audit.logUserAction(
     req.user.id,
@@ -278,6 +401,11 @@ export const startMilestone = asyncHandler(async (req, res) => {
     throw new ErrorResponse(`Milestone is ${milestone.status} and cannot be started`, 400)
   }
 
+  const unmetDependencies = await milestone.getUnmetDependencies('start')
+  if (unmetDependencies.length > 0) {
+    throw new ErrorResponse(`Milestone cannot start until dependencies are met: ${describeDependencies(unmetDependencies)}`, 400)
+  }
+
   await milestone.start(req.user.id)
 
   // Log audit event
@@ -325,6 +453,19 @@ export const completeMilestone = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Milestone is already completed', 400)
   }
 
+  const unmetDependencies = await milestone.getUnmetDependencies('complete')
+  if (unmetDependencies.length > 0) {
+    throw new ErrorResponse(`Milestone cannot be completed until dependencies are met: ${describeDependencies(unmetDependencies)}`, 400)
+  }
+
+  const missingDeliverables = milestone.getMissingDeliverables()
+  if (missingDeliverables.length > 0) {
+    throw new ErrorResponse(
+      `Required deliverables have not been submitted: ${missingDeliverables.map(deliverable => deliverable.name).join(', ')}`,
+      400
+    )
+  }
+
   await milestone.complete(req.user.id)
 
   // Update project milestone count
@@ -361,7 +502,7 @@ export const completeMilestone = asyncHandler(async (req, res) => {
 // @route   POST /api/milestones/:id/verify
 // @access  Private (Auditor)
 export const verifyMilestone = asyncHandler(async (req, res) => {
-  const { comments } = req.body
+  const { comments, overrideReason } = req.body
   
   const milestone = await Milestone.findById(req.params.id)
 
@@ -384,7 +525,49 @@ export const verifyMilestone = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Milestone is already verified', 400)
   }
 
-  await milestone.verify(req.user.id, comments)
+  const unacceptedDeliverables = milestone.deliverables.filter(
+    deliverable => deliverable.isRequired && deliverable.review?.status !== 'accepted'
+  )
+  if (unacceptedDeliverables.length > 0) {
+    throw new ErrorResponse(
+      `Required deliverables must be accepted before verification: ${unacceptedDeliverables.map(deliverable => deliverable.name).join(', ')}`,
+      400
+    )
+  }
+
+  // Mandatory performance targets must be met unless the auditor records why they are overriding
+  const unmetTargets = milestone.getUnmetMandatoryTargets().map(describeTarget)
+  if (unmetTargets.length > 0 && !overrideReason) {
+    throw new ErrorResponse(
+      `Mandatory performance targets are not met: ${unmetTargets.join('; ')}. Provide an override reason to verify anyway`,
+      400
+    )
+  }
+
+  const targetOverride = unmetTargets.length > 0
+    ? { reason: overrideReason, unmetTargets }
+    : null
+
+  await milestone.verify(req.user.id, comments, targetOverride)
+
+  if (targetOverride) {
+    await Audit.logUserAction(
+      req.user.id,
+      'verify',
+      {
+        type: 'milestone',
+        id: milestone._id.toString(),
+        name: milestone.title,
+        details: targetOverride
+      },
+      {
+        eventType: 'performance_target_override',
+        description: `Verified milestone ${milestone.title} despite unmet performance targets. Reason: ${overrideReason}`,
+        category: 'compliance',
+        severity: 'high'
+      }
+    )
+  }
 
   // Log audit event
   await Audit.logUserAction(
@@ -415,7 +598,7 @@ export const verifyMilestone = asyncHandler(async (req, res) => {
 
 // @desc    Approve milestone
 // @route   POST /api/milestones/:id/approve
-// @access  Private (Government)
+// @access  Private (approve_milestone permission)
 export const approveMilestone = asyncHandler(async (req, res) => {
   const { comments } = req.body
   
@@ -425,9 +608,8 @@ export const approveMilestone = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Milestone not found', 404)
   }
 
-  // Only government can approve
-  if (req.user.role !== 'government') {
-    throw new ErrorResponse('Only government entities can approve milestones', 403)
+  if (!req.user.hasPermission('approve_milestone')) {
+    throw new ErrorResponse('Not authorized to approve milestones', 403)
   }
 
   if (!milestone.verification.isVerified) {
@@ -467,21 +649,169 @@ export const approveMilestone = asyncHandler(async (req, res) => {
   })
 })
 
-// @desc    Release subsidy for milestone
+// @desc    Get the approval policy, message to sign and signatures collected for a tranche release (the next unreleased tranche unless trancheId is given)
+// @route   GET /api/milestones/:id/release-approvals
+// @access  Private (approve_milestone permission)
+export const getReleaseApprovals = asyncHandler(async (req, res) => {
+  const milestone = await Milestone.findById(req.params.id)
+    .populate('releaseApprovals.approver', 'name email organization.name')
+
+  if (!milestone) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  const tranche = await getReleaseTranche(milestone, req.query.trancheId)
+  const project = await Project.findById(milestone.project)
+  const { approvals, ...quorum } = getReleaseQuorum(milestone, tranche, project)
+
+  res.json({
+    success: true,
+    data: {
+      ...quorum,
+      tranche: {
+        _id: tranche._id,
+        label: tranche.label,
+        percentage: tranche.percentage
+      },
+      amount: tranche.amount,
+      released: tranche.released,
+      approvals
+    }
+  })
+})
+
+// @desc    Sign the subsidy release of a milestone with the approver's wallet
+// @route   POST /api/milestones/:id/release-approvals
+// @access  Private (Government, approve_milestone permission)
+export const signReleaseApproval = asyncHandler(async (req, res) => {
+  const { signature, comments, trancheId } = req.body
+
+  const milestone = await Milestone.findById(req.params.id)
+
+  if (!milestone) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  if (req.user.role !== 'government') {
+    throw new ErrorResponse('Only government approvers can sign subsidy releases', 403)
+  }
+
+  if (!milestone.approval.isApproved) {
+    throw new ErrorResponse('Milestone must be approved before its release can be signed', 400)
+  }
+
+  const tranche = await getReleaseTranche(milestone, trancheId)
+
+  if (tranche.released) {
+    throw new ErrorResponse(`Tranche "${tranche.label}" has already been released`, 400)
+  }
+
+  const project = await Project.findById(milestone.project)
+  const quorum = getReleaseQuorum(milestone, tranche, project)
+
+  if (quorum.requiredApprovals === 0) {
+    throw new ErrorResponse(`The ${quorum.policy} approval policy does not require signatures for this release`, 400)
+  }
+
+  if (!req.user.walletAddress) {
+    throw new ErrorResponse('Connect a wallet to your account before signing releases', 400)
+  }
+
+  if (!verifySignature(quorum.message, signature, req.user.walletAddress)) {
+    throw new ErrorResponse('Signature does not match the release message and your wallet address', 400)
+  }
+
+  const organization = req.user.organization?.name
+
+  if (quorum.distinctOrganizations) {
+    if (!organization) {
+      throw new ErrorResponse('Approvers must belong to an organization to sign this release', 400)
+    }
+
+    const signed = quorum.approvals.find(approval =>
+      organizationKey(approval.organization) === organizationKey(organization)
+    )
+    if (signed) {
+      throw new ErrorResponse(`An approver from ${organization} has already signed this release`, 409)
+    }
+  }
+
+  const updated = await Milestone.addReleaseApproval(milestone._id, {
+    approver: req.user._id,
+    tranche: tranche._id,
+    walletAddress: req.user.walletAddress,
+    organization,
+    message: quorum.message,
+    signature,
+    comments
+  })
+
+  if (!updated) {
+    throw new ErrorResponse('You have already signed this release', 409)
+  }
+
+  const { approvals, ...status } = getReleaseQuorum(updated, updated.tranches.id(tranche._id), project)
+
+  await Audit.createAuditLog({
+    eventType: 'release_approval_signed',
+    actor: {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      walletAddress: req.user.walletAddress,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'milestone',
+      id: milestone._id.toString(),
+      name: milestone.title,
+      details: {
+        policy: status.policy,
+        tranche: tranche._id.toString(),
+        organization,
+        message: quorum.message,
+        signature,
+        collected: status.collected,
+        requiredApprovals: status.requiredApprovals
+      }
+    },
+    action: 'approve',
+    description: `Signed subsidy release for milestone: ${milestone.title} (${status.collected}/${status.requiredApprovals})${comments ? '. Comments: ' + comments : ''}`,
+    financial: {
+      amount: milestone.subsidyAmount,
+      toAddress: project.producerWalletAddress
+    },
+    category: 'financial',
+    severity: 'high'
+  })
+
+  logger.info(`Subsidy release for milestone ${milestone.title} signed by ${req.user.email} (${status.collected}/${status.requiredApprovals})`)
+
+  res.status(201).json({
+    success: true,
+    message: status.met ? 'Release signed, approval quorum reached' : 'Release signed',
+    data: {
+      ...status,
+      approvals
+    }
+  })
+})
+
+// @desc    Release subsidy for milestone, one tranche at a time (the next unreleased tranche unless trancheId is given)
 // @route   POST /api/milestones/:id/release-subsidy
-// @access  Private (Government)
+// @access  Private (release_subsidy permission)
 export const releaseSubsidy = asyncHandler(async (req, res) => {
-  const { txHash } = req.body
-  
+  const { trancheId } = req.body
+
   const milestone = await Milestone.findById(req.params.id)
 
   if (!milestone) {
     throw new ErrorResponse('Milestone not found', 404)
   }
 
-  // Only government can release subsidy
-  if (req.user.role !== 'government') {
-    throw new ErrorResponse('Only government entities can release subsidies', 403)
+  if (!req.user.hasPermission('release_subsidy')) {
+    throw new ErrorResponse('Not authorized to release subsidies', 403)
   }
 
   if (!milestone.approval.isApproved) {
@@ -492,46 +822,123 @@ export const releaseSubsidy = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Subsidy already released for this milestone', 400)
   }
 
-  await milestone.releaseSubsidy(txHash)
+  if (milestone.blockchainSync?.status !== 'confirmed') {
+    throw new ErrorResponse('Milestone is not registered on-chain yet', 409)
+  }
+
+  const tranche = await getReleaseTranche(milestone, trancheId)
+
+  if (tranche.released) {
+    throw new ErrorResponse(`Tranche "${tranche.label}" has already been released`, 400)
+  }
+
+  const availableAt = milestone.getTrancheAvailableAt(tranche)
+  if (availableAt > new Date()) {
+    throw new ErrorResponse(`Tranche "${tranche.label}" is retained until ${availableAt.toISOString()}`, 400)
+  }
+
+  if (await Disbursement.findActiveForTranche(milestone._id, tranche._id)) {
+    throw new ErrorResponse(`A subsidy release is already in progress for tranche "${tranche.label}"`, 409)
+  }
 
   const project = await Project.findById(milestone.project)
-  await project.completeMilestone(milestone.subsidyAmount)
 
-  // Log blockchain transaction
-  await Audit.logBlockchainTransaction(
-    txHash,
-    project.contractAddress,
-    'releaseSubsidy',
-    {
+  // High-value releases need signatures from several approvers; stale ones (e.g. recipient changed) don't count
+  const quorum = getReleaseQuorum(milestone, tranche, project)
+  if (!quorum.met) {
+    throw new ErrorResponse(`Release needs approval under the ${quorum.policy} policy: ${describeQuorum(quorum)}`, 409)
+  }
+
+  let disbursement
+  try {
+    disbursement = await disbursementService.releaseMilestoneSubsidy(milestone, project, tranche, {
       userId: req.user.id,
       userEmail: req.user.email,
-      role: req.user.role
-    },
-    {
-      description: `Subsidy released for milestone: ${milestone.title}`,
-      financial: {
-        amount: milestone.subsidyAmount,
-        currency: 'INR',
-        toAddress: project.producerWalletAddress
-      }
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }, quorum)
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ErrorResponse(`A subsidy release is already in progress for tranche "${tranche.label}"`, 409)
     }
-  )
 
-  logger.info(`Subsidy released: ${milestone.subsidyAmount} for milestone ${milestone.title} by ${req.user.email}`)
+    throw new ErrorResponse(`Subsidy release transaction failed: ${error.shortMessage || error.reason || error.message}`, 502)
+  }
+
+  if (disbursement.status !== 'confirmed') {
+    return res.status(202).json({
+      success: true,
+      message: 'Subsidy release submitted and awaiting confirmations',
+      data: {
+        disbursement
+      }
+    })
+  }
+
+  logger.info(`Subsidy released: ${disbursement.amount} for milestone ${milestone.title}, tranche ${tranche.label} by ${req.user.email}`)
 
   res.json({
     success: true,
     message: 'Subsidy released successfully',
     data: {
-      milestone,
+      milestone: await Milestone.findById(milestone._id),
+      disbursement,
       transaction: {
-        hash: txHash,
-        amount: milestone.subsidyAmount
+        hash: disbursement.txHash,
+        blockNumber: disbursement.blockNumber,
+        amount: disbursement.amount
       }
     }
   })
 })
 
+// @desc    Get the latest subsidy disbursement for a milestone
+// @route   GET /api/milestones/:id/disbursement
+// @access  Private
+export const getMilestoneDisbursement = asyncHandler(async (req, res) => {
+  const milestone = await Milestone.findById(req.params.id)
+
+  if (!milestone) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  const project = await Project.findById(milestone.project)
+
+  // Check access permissions
+  if (req.user.role === 'producer' && project.producer.toString() !== req.user.id) {
+    throw new ErrorResponse('Not authorized to view this milestone', 403)
+  }
+
+  if (req.user.role === 'auditor' && project.auditor?.toString() !== req.user.id) {
+    throw new ErrorResponse('Not authorized to view this milestone', 403)
+  }
+
+  let disbursement = await Disbursement.findOne({ milestone: milestone._id })
+    .sort({ createdAt: -1 })
+    .populate('initiatedBy', 'name email')
+
+  if (!disbursement) {
+    throw new ErrorResponse('No subsidy disbursement found for this milestone', 404)
+  }
+
+  // Pick up confirmations that arrived after the release request timed out
+  if (disbursement.status === 'submitted') {
+    try {
+      disbursement = await disbursementService.reconcile(disbursement)
+    } catch (error) {
+      logger.error(`Failed to reconcile disbursement ${disbursement._id}:`, error)
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      disbursement
+    }
+  })
+})
+
 // @desc    Add milestone update
 // @route   POST /api/milestones/:id/updates
 // @access  Private
@@ -687,7 +1094,7 @@ export const getMilestoneStatistics = asyncHandler(async (req, res) => {
         completedMilestones: milestones.filter(m => m.status === 'completed').length,
         overdueMilestones: milestones.filter(m => m.status === 'overdue').length,
         totalSubsidy: milestones.reduce((sum, m) => sum + m.subsidyAmount, 0),
-        releasedSubsidy: milestones.reduce((sum, m) => sum + (m.released ? m.subsidyAmount : 0), 0),
+        releasedSubsidy: milestones.reduce((sum, m) => sum + (m.released ? m.subsidyAmount : m.releasedAmount), 0),
         avgCompletion: milestones.reduce((sum, m) => sum + m.completionPercentage, 0) / milestones.length || 0
       }
     }
@@ -0,0 +1,328 @@
+import { Milestone, OracleProviderConfig, OracleSnapshot, Audit } from '../models/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { oracleService } from '../services/oracleService.js'
+import { oracleSchedulerService } from '../services/oracleSchedulerService.js'
+import { ATTESTATION_TYPES, ATTESTATION_PRIMARY_TYPE, verifyAttestation } from '../utils/oracleAttestation.js'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+// @desc    Get configured oracle providers and the available provider types
+// @route   GET /api/oracle/providers
+// @access  Private (manage_oracles permission)
+export const getOracleProviders = asyncHandler(async (req, res) => {
+  const providers = await oracleService.getProviders()
+
+  res.json({
+    success: true,
+    data: {
+      providers,
+      types: oracleService.getProviderTypes(),
+      // Public base URL providers push to, followed by /:providerId
+      webhookUrl: config.oracle.webhookUrl || null
+    }
+  })
+})
+
+// @desc    Register or update an oracle provider; stored settings override the config defaults
+// @route   PUT /api/oracle/providers/:providerId
+// @access  Private (manage_oracles permission)
+export const upsertOracleProvider = asyncHandler(async (req, res) => {
+  const providerId = req.params.providerId.toLowerCase()
+  const defaults = (await oracleService.getProviders()).find(provider => provider.id === providerId)
+  const type = req.body.type || defaults?.constructor.type
+
+  if (!type) {
+    throw new ErrorResponse('Provider type is required for a new provider', 400)
+  }
+
+  if (!oracleService.getProviderTypes().includes(type)) {
+    throw new ErrorResponse(`Unknown oracle provider type: ${type}`, 400)
+  }
+
+  const providerConfig = await OracleProviderConfig.findOneAndUpdate(
+    { providerId },
+    { $set: { ...req.body, type, updatedBy: req.user._id } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  )
+
+  await oracleService.reloadProviders()
+  const provider = oracleService.dataProviders.get(providerId)
+
+  await Audit.logUserAction(
+    req.user.id,
+    'update',
+    {
+      type: 'system',
+      id: providerConfig._id.toString(),
+      name: `Oracle provider ${providerId}`,
+      // Never log the credentials themselves
+      details: {
+        ...req.body,
+        apiKey: req.body.apiKey ? '[updated]' : undefined,
+        webhookSecret: req.body.webhookSecret ? '[updated]' : undefined
+      }
+    },
+    {
+      eventType: 'admin_action',
+      description: `Configured oracle provider ${providerId} (${type})`,
+      category: 'system',
+      severity: 'medium'
+    }
+  )
+
+  logger.info(`Oracle provider ${providerId} configured by ${req.user.email}`)
+
+  res.json({
+    success: true,
+    message: 'Oracle provider saved',
+    data: {
+      provider
+    }
+  })
+})
+
+// @desc    Remove stored settings for an oracle provider, reverting it to the config defaults (if any)
+// @route   DELETE /api/oracle/providers/:providerId
+// @access  Private (manage_oracles permission)
+export const deleteOracleProvider = asyncHandler(async (req, res) => {
+  const providerId = req.params.providerId.toLowerCase()
+
+  const providerConfig = await OracleProviderConfig.findOneAndDelete({ providerId })
+
+  if (!providerConfig) {
+    throw new ErrorResponse('No stored settings for this oracle provider', 404)
+  }
+
+  await oracleService.reloadProviders()
+
+  await Audit.logUserAction(
+    req.user.id,
+    'delete',
+    {
+      type: 'system',
+      id: providerConfig._id.toString(),
+      name: `Oracle provider ${providerId}`
+    },
+    {
+      eventType: 'admin_action',
+      description: `Removed stored settings of oracle provider ${providerId}`,
+      category: 'system',
+      severity: 'medium'
+    }
+  )
+
+  res.json({
+    success: true,
+    message: 'Oracle provider settings removed',
+    data: {
+      provider: oracleService.dataProviders.get(providerId) || null
+    }
+  })
+})
+
+// @desc    Check that the enabled oracle providers are reachable
+// @route   GET /api/oracle/health
+// @access  Private (manage_oracles permission)
+export const getOracleHealth = asyncHandler(async (req, res) => {
+  const health = await oracleService.healthCheck()
+
+  res.json({
+    success: true,
+    data: {
+      providers: health,
+      polling: oracleSchedulerService.getStatus()
+    }
+  })
+})
+
+// @desc    Refresh oracle data for all in-progress milestones now instead of waiting for the schedule
+// @route   POST /api/oracle/polling/run
+// @access  Private (manage_oracles permission)
+export const runOraclePolling = asyncHandler(async (req, res) => {
+  if (oracleSchedulerService.running) {
+    throw new ErrorResponse('Oracle polling is already running', 409)
+  }
+
+  // A run waits out provider rate limits, so it continues in the background
+  oracleSchedulerService.run().catch(error => logger.error('Manual oracle polling failed:', error))
+
+  logger.info(`Oracle polling started manually by ${req.user.email}`)
+
+  res.status(202).json({
+    success: true,
+    message: 'Oracle polling started',
+    data: oracleSchedulerService.getStatus()
+  })
+})
+
+// @desc    Get the history of oracle readings for a milestone
+// @route   GET /api/oracle/milestones/:id/snapshots
+// @access  Private (view_audit_logs permission)
+export const getOracleSnapshots = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    source,
+    from,
+    to,
+    sortOrder = 'desc'
+  } = req.query
+
+  const milestone = await Milestone.findById(req.params.id).select('_id')
+
+  if (!milestone) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  const query = { milestone: milestone._id }
+
+  if (source) query.source = source
+  if (from || to) {
+    query.capturedAt = {}
+    if (from) query.capturedAt.$gte = new Date(from)
+    if (to) query.capturedAt.$lte = new Date(to)
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { capturedAt: sortOrder === 'asc' ? 1 : -1 },
+    select: '-data.sources'
+  }
+
+  const snapshots = await OracleSnapshot.paginate(query, options)
+
+  res.json({
+    success: true,
+    data: {
+      snapshots: snapshots.docs,
+      pagination: {
+        current: snapshots.page,
+        pages: snapshots.totalPages,
+        total: snapshots.totalDocs,
+        limit: snapshots.limit
+      }
+    }
+  })
+})
+
+// @desc    Fetch oracle data for a milestone and evaluate it against the verification rules
+// @route   POST /api/oracle/milestones/:id/verify
+// @access  Private (verify_milestone permission)
+export const verifyMilestoneWithOracles = asyncHandler(async (req, res) => {
+  const milestone = await Milestone.findById(req.params.id).select('_id')
+
+  if (!milestone) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  const result = await oracleService.verifyMilestoneCompletion(milestone._id)
+
+  res.json({
+    success: true,
+    data: {
+      verification: result
+    }
+  })
+})
+
+// @desc    Get a milestone's signed oracle attestation (latest, or ?snapshot=<id>) and check its signature and data hash
+// @route   GET /api/oracle/milestones/:id/attestation
+// @access  Private (view_audit_logs permission)
+export const getOracleAttestation = asyncHandler(async (req, res) => {
+  const milestone = await Milestone.findById(req.params.id).select('milestoneId title oracleData').lean()
+
+  if (!milestone) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  let reading = milestone.oracleData || {}
+
+  if (req.query.snapshot) {
+    reading = await OracleSnapshot.findOne({ _id: req.query.snapshot, milestone: milestone._id }).lean()
+
+    if (!reading) {
+      throw new ErrorResponse('Oracle snapshot not found for this milestone', 404)
+    }
+  }
+
+  const { attestation, data, verificationHash } = reading
+
+  if (!attestation?.signature) {
+    throw new ErrorResponse('No signed oracle attestation for this milestone', 404)
+  }
+
+  const verification = verifyAttestation(attestation, data, oracleService.getOracleAddress())
+
+  res.json({
+    success: true,
+    data: {
+      milestone: {
+        _id: milestone._id,
+        milestoneId: milestone.milestoneId,
+        title: milestone.title
+      },
+      // Everything needed to re-check the signature with any EIP-712 implementation
+      typedData: {
+        domain: attestation.domain,
+        types: ATTESTATION_TYPES,
+        primaryType: ATTESTATION_PRIMARY_TYPE,
+        message: attestation.message
+      },
+      signature: attestation.signature,
+      signer: attestation.signer,
+      signedAt: attestation.signedAt,
+      verificationHash,
+      // dataHash is keccak256 of this data as JSON with keys sorted and empty objects omitted
+      oracleData: data,
+      verification
+    }
+  })
+})
+
+// @desc    Receive data pushed by an oracle provider and apply it to a milestone
+// @route   POST /api/oracle/webhooks/:providerId
+// @access  Oracle provider (HMAC-signed request, see verifyOracleWebhook)
+export const receiveOracleWebhook = asyncHandler(async (req, res) => {
+  const provider = req.oracleProvider
+  const { milestoneId, observedAt, data } = req.body
+
+  const { error, value } = provider.constructor.payloadSchema.validate(data, { abortEarly: false })
+  if (error) {
+    throw new ErrorResponse(`Invalid ${provider.constructor.type} payload: ${error.details.map(detail => detail.message).join(', ')}`, 400)
+  }
+
+  const milestone = await Milestone.findOne({ milestoneId }).populate('project')
+
+  if (!milestone) {
+    throw new ErrorResponse('Milestone not found', 404)
+  }
+
+  const oracleData = await oracleService.ingestWebhookReading(
+    provider,
+    milestone,
+    milestone.project,
+    provider.parseReading(value),
+    observedAt ? new Date(observedAt) : new Date()
+  )
+
+  logger.info(`Oracle webhook from ${provider.id} applied to milestone ${milestone.milestoneId}`)
+
+  res.json({
+    success: true,
+    message: 'Oracle data accepted',
+    data: {
+      milestoneId: milestone.milestoneId,
+      verificationScore: oracleData.verificationScore,
+      consensus: oracleData.consensus,
+      verificationHash: milestone.oracleData.verificationHash,
+      performanceTargets: (milestone.technicalSpecs?.performanceTargets || []).map(target => ({
+        parameter: target.parameter,
+        targetValue: target.targetValue,
+        actualValue: target.actualValue,
+        achieved: target.achieved
+      }))
+    }
+  })
+})
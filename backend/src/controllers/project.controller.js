@@ -2,6 +2,10 @@ import { Project, Milestone, User, Audit } from '../models/index.js'
 import { asyncHandler } from '../middleware/asyncHandler.js'
 import { ErrorResponse } from '../utils/errorResponse.js'
 import logger from '../utils/logger.js'
+import { computeSchedule } from '../utils/schedule.js'
+import { chainRegistrationService } from '../services/chainRegistrationService.js'
+import config from '../config/index.js'
+import { getNetwork, getProjectNetwork, toPublicNetwork } from '../utils/networks.js'
 
 // @desc    Get all projects
 // @route   GET /api/projects
@@ -134,6 +138,7 @@ export const getProject = asyncHandler(async (req, res) => {
     data: {
       project: {
         ...project.toObject(),
+        network: toPublicNetwork(getProjectNetwork(project)),
         milestones
       }
     }
@@ -142,15 +147,28 @@ export const getProject = asyncHandler(async (req, res) => {
 
 // @desc    Create new project
 // @route   POST /api/projects
-// @access  Private (Government only)
+// @access  Private (create_project permission)
 export const createProject = asyncHandler(async (req, res) => {
-  // Only government users can create projects
-  if (req.user.role !== 'government') {
-    throw new ErrorResponse('Only government entities can create projects', 403)
+  if (!req.user.hasPermission('create_project')) {
+    throw new ErrorResponse('Not authorized to create projects', 403)
+  }
+
+  // Bind the project to a configured network; the on-chain project ID is generated by the model
+  const networkKey = req.body.network || config.blockchain.defaultNetwork
+  const network = getNetwork(networkKey)
+  if (!network?.enabled) {
+    throw new ErrorResponse(`Blockchain network ${networkKey} is not configured`, 400)
+  }
+
+  // The contract address is signed into release approvals and oracle attestations, so it must be a real deployment
+  if (!network.contractAddress) {
+    throw new ErrorResponse(`No subsidy contract is configured for blockchain network ${network.key}`, 400)
   }
 
   const projectData = {
     ...req.body,
+    network: network.key,
+    contractAddress: network.contractAddress,
     government: req.user.id
   }
 
@@ -222,6 +240,12 @@ export const updateProject = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Not authorized to update this project', 403)
   }
 
+  // On-chain identity is assigned by the server and kept in step by the transaction queue
+  const chainFields = ['projectId', 'network', 'contractAddress', 'blockchainTxHash', 'blockchainSync']
+  if (chainFields.some(field => field in req.body)) {
+    throw new ErrorResponse('On-chain identifiers and sync status cannot be updated', 400)
+  }
+
   // Store old values for audit
   const oldValues = {
     status: project.status,
@@ -263,7 +287,7 @@ export const updateProject = asyncHandler(async (req, res) => {
 
 // @desc    Delete project
 // @route   DELETE /api/projects/:id
-// @access  Private (Government only)
+// @access  Private (delete_project permission)
 export const deleteProject = asyncHandler(async (req, res) => {
   const project = await Project.findById(req.params.id)
 
@@ -271,9 +295,8 @@ export const deleteProject = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Project not found', 404)
   }
 
-  // Only government can delete projects
-  if (req.user.role !== 'government') {
-    throw new ErrorResponse('Only government entities can delete projects', 403)
+  if (!req.user.hasPermission('delete_project')) {
+    throw new ErrorResponse('Not authorized to delete projects', 403)
   }
 
   // Soft delete
@@ -304,7 +327,7 @@ export const deleteProject = asyncHandler(async (req, res) => {
 
 // @desc    Approve project
 // @route   POST /api/projects/:id/approve
-// @access  Private (Government only)
+// @access  Private (approve_project permission)
 export const approveProject = asyncHandler(async (req, res) => {
   const project = await Project.findById(req.params.id)
 
@@ -312,8 +335,8 @@ export const approveProject = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Project not found', 404)
   }
 
-  if (req.user.role !== 'government') {
-    throw new ErrorResponse('Only government entities can approve projects', 403)
+  if (!req.user.hasPermission('approve_project')) {
+    throw new ErrorResponse('Not authorized to approve projects', 403)
   }
 
   if (project.approvalStatus === 'approved') {
@@ -327,6 +350,13 @@ export const approveProject = asyncHandler(async (req, res) => {
 
   await project.save()
 
+  // Queue the on-chain registration; its outcome is reported through blockchainSync
+  const registered = await chainRegistrationService.registerProject(project, {
+    userId: req.user.id,
+    userEmail: req.user.email,
+    role: req.user.role
+  })
+
   // Log audit event
   await Audit.logUserAction(
     req.user.id,
@@ -347,16 +377,63 @@ export const approveProject = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    message: 'Project approved successfully',
+    message: registered.blockchainSync.status === 'failed'
+      ? 'Project approved, but on-chain registration could not be queued'
+      : 'Project approved successfully',
     data: {
-      project
+      project: registered
+    }
+  })
+})
+
+// @desc    Retry on-chain registration of a project and its milestones
+// @route   POST /api/projects/:id/blockchain-sync
+// @access  Private (approve_project permission)
+export const syncProjectToChain = asyncHandler(async (req, res) => {
+  let project = await Project.findById(req.params.id)
+
+  if (!project) {
+    throw new ErrorResponse('Project not found', 404)
+  }
+
+  if (project.approvalStatus !== 'approved') {
+    throw new ErrorResponse('Only approved projects are registered on-chain', 400)
+  }
+
+  const actor = {
+    userId: req.user.id,
+    userEmail: req.user.email,
+    role: req.user.role
+  }
+
+  // Milestones are queued once the project itself is confirmed
+  if (project.blockchainSync.status === 'confirmed') {
+    await chainRegistrationService.registerPendingMilestones(project, actor)
+  } else {
+    project = await chainRegistrationService.registerProject(project, actor)
+  }
+
+  const milestones = await Milestone.find({ project: project._id, isActive: true })
+    .select('title milestoneId sequenceNumber blockchainTxHash blockchainSync')
+    .sort({ sequenceNumber: 1 })
+
+  res.json({
+    success: true,
+    data: {
+      project: {
+        _id: project._id,
+        projectId: project.projectId,
+        blockchainTxHash: project.blockchainTxHash,
+        blockchainSync: project.blockchainSync
+      },
+      milestones
     }
   })
 })
 
 // @desc    Reject project
 // @route   POST /api/projects/:id/reject
-// @access  Private (Government only)
+// @access  Private (approve_project permission)
 export const rejectProject = asyncHandler(async (req, res) => {
   const { reason } = req.body
   
@@ -366,8 +443,8 @@ export const rejectProject = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Project not found', 404)
   }
 
-  if (req.user.role !== 'government') {
-    throw new ErrorResponse('Only government entities can reject projects', 403)
+  if (!req.user.hasPermission('approve_project')) {
+    throw new ErrorResponse('Not authorized to reject projects', 403)
   }
 
   project.approvalStatus = 'rejected'
@@ -411,7 +488,7 @@ export const rejectProject = asyncHandler(async (req, res) => {
 
 // @desc    Assign auditor to project
 // @route   POST /api/projects/:id/assign-auditor
-// @access  Private (Government only)
+// @access  Private (assign_auditor permission)
 export const assignAuditor = asyncHandler(async (req, res) => {
   const { auditorId } = req.body
   
@@ -421,8 +498,8 @@ export const assignAuditor = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Project not found', 404)
   }
 
-  if (req.user.role !== 'government') {
-    throw new ErrorResponse('Only government entities can assign auditors', 403)
+  if (!req.user.hasPermission('assign_auditor')) {
+    throw new ErrorResponse('Not authorized to assign auditors', 403)
   }
 
   // Validate auditor
@@ -503,6 +580,45 @@ export const getProjectStatistics = asyncHandler(async (req, res) => {
   })
 })
 
+// @desc    Get project schedule with critical path
+// @route   GET /api/projects/:id/schedule
+// @access  Private
+export const getProjectSchedule = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id)
+
+  if (!project) {
+    throw new ErrorResponse('Project not found', 404)
+  }
+
+  // Check access permissions
+  if (req.user.role === 'producer' && project.producer.toString() !== req.user.id) {
+    throw new ErrorResponse('Not authorized to view this project', 403)
+  }
+
+  if (req.user.role === 'auditor' && project.auditor?.toString() !== req.user.id) {
+    throw new ErrorResponse('Not authorized to view this project', 403)
+  }
+
+  const milestones = await Milestone.find({
+    project: project._id,
+    isActive: true,
+    status: { $ne: 'cancelled' }
+  })
+    .select('title sequenceNumber status plannedStartDate plannedEndDate dependencies')
+    .sort({ sequenceNumber: 1 })
+
+  const schedule = computeSchedule(milestones)
+
+  res.json({
+    success: true,
+    data: {
+      projectId: project._id,
+      expectedEndDate: project.expectedEndDate,
+      ...schedule
+    }
+  })
+})
+
 // @desc    Get project audit trail
 // @route   GET /api/projects/:id/audit
 // @access  Private
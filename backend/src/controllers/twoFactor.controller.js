@@ -0,0 +1,197 @@
+import { User, Audit } from '../models/index.js'
+import config from '../config/index.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { generateSecret, verifyTOTP, buildOtpauthUri } from '../utils/totp.js'
+
+// @desc    Get 2FA status for current user
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes')
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: config.twoFactor.requiredRoles.includes(user.role),
+      recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).filter(code => !code.usedAt).length
+    }
+  })
+})
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+
+  if (user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is already enabled', 400)
+  }
+
+  const secret = generateSecret()
+  user.twoFactorTempSecret = secret
+  await user.save()
+
+  const otpauthUrl = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: config.twoFactor.issuer
+  })
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a generated code',
+    data: {
+      secret,
+      otpauthUrl,
+      qrPayload: otpauthUrl
+    }
+  })
+})
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body
+
+  const user = await User.findById(req.user.id).select('+twoFactorTempSecret')
+
+  if (user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is already enabled', 400)
+  }
+
+  if (!user.twoFactorTempSecret) {
+    throw new ErrorResponse('No 2FA enrollment in progress. Start setup first.', 400)
+  }
+
+  const step = verifyTOTP(user.twoFactorTempSecret, code, { window: config.twoFactor.window })
+
+  if (step === null) {
+    throw new ErrorResponse('Invalid 2FA code', 400)
+  }
+
+  user.twoFactorSecret = user.twoFactorTempSecret
+  user.twoFactorTempSecret = undefined
+  user.twoFactorEnabled = true
+  user.twoFactorEnabledAt = new Date()
+  user.twoFactorLastUsedStep = step
+  const recoveryCodes = user.generateRecoveryCodes()
+  await user.save()
+
+  await Audit.logSecurityEvent(
+    'two_factor_enabled',
+    {
+      userId: user._id,
+      userEmail: user.email,
+      role: user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    `Two-factor authentication enabled for ${user.email}`,
+    'medium'
+  )
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes
+    }
+  })
+})
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body
+
+  const user = await User.findById(req.user.id)
+
+  if (!user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is not enabled', 400)
+  }
+
+  if (!(await user.verify2FA(code))) {
+    throw new ErrorResponse('Invalid 2FA code', 400)
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes()
+  await user.save()
+
+  await Audit.logSecurityEvent(
+    'two_factor_recovery_codes_generated',
+    {
+      userId: user._id,
+      userEmail: user.email,
+      role: user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    `Two-factor recovery codes regenerated for ${user.email}`,
+    'medium'
+  )
+
+  res.json({
+    success: true,
+    message: 'Recovery codes regenerated. Previous codes are no longer valid.',
+    data: {
+      recoveryCodes
+    }
+  })
+})
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body
+
+  const user = await User.findById(req.user.id).select('+password')
+
+  if (!user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is not enabled', 400)
+  }
+
+  if (config.twoFactor.requiredRoles.includes(user.role)) {
+    throw new ErrorResponse(`Two-factor authentication is mandatory for ${user.role} users`, 403)
+  }
+
+  const isMatch = await user.matchPassword(password)
+  if (!isMatch) {
+    throw new ErrorResponse('Current password is incorrect', 400)
+  }
+
+  if (!(await user.verify2FA(code))) {
+    throw new ErrorResponse('Invalid 2FA code', 400)
+  }
+
+  user.twoFactorEnabled = false
+  user.twoFactorEnabledAt = undefined
+  user.twoFactorSecret = undefined
+  user.twoFactorRecoveryCodes = []
+  user.twoFactorLastUsedStep = undefined
+  await user.save()
+
+  await Audit.logSecurityEvent(
+    'two_factor_disabled',
+    {
+      userId: user._id,
+      userEmail: user.email,
+      role: user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    `Two-factor authentication disabled for ${user.email}`,
+    'high'
+  )
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  })
+})
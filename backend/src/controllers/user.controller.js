@@ -0,0 +1,505 @@
+import { User, Session, Audit } from '../models/index.js'
+import { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js'
+import { asyncHandler } from '../middleware/asyncHandler.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { sendEmail, emailTemplates } from '../utils/email.js'
+import { getRateLimitStore } from '../utils/rateLimitStore.js'
+import logger from '../utils/logger.js'
+
+// Admin-initiated reset links stay valid longer than self-service ones
+const FORCED_RESET_EXPIRY = 24 * 60 * 60 * 1000
+
+// Load a user other than the caller for an administrative change
+const getManagedUser = async (req) => {
+  if (req.params.id === req.user.id.toString()) {
+    throw new ErrorResponse('You cannot perform this action on your own account', 403)
+  }
+
+  const user = await User.findById(req.params.id)
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404)
+  }
+
+  return user
+}
+
+const logAdminAction = (req, user, action, description, details = {}, severity = 'medium') => {
+  return Audit.createAuditLog({
+    eventType: 'admin_action',
+    actor: {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'user',
+      id: user._id.toString(),
+      name: user.name,
+      details
+    },
+    action,
+    description,
+    category: 'authorization',
+    severity
+  })
+}
+
+const getPermissionSummary = (user) => ({
+  userId: user._id,
+  role: user.role,
+  roleDefaults: DEFAULT_ROLE_PERMISSIONS[user.role] || [],
+  granted: user.permissions,
+  revoked: user.revokedPermissions,
+  effective: user.getEffectivePermissions()
+})
+
+// Load the target user for a permission change and apply the safety checks
+const getPermissionTarget = async (req, permission) => {
+  if (!PERMISSIONS.includes(permission)) {
+    throw new ErrorResponse(`Unknown permission: ${permission}`, 400)
+  }
+
+  if (req.params.id === req.user.id.toString()) {
+    throw new ErrorResponse('You cannot change your own permissions', 403)
+  }
+
+  // Prevent privilege escalation through delegation
+  if (!req.user.hasPermission(permission)) {
+    throw new ErrorResponse(`You cannot delegate a permission you do not hold: ${permission}`, 403)
+  }
+
+  const user = await User.findById(req.params.id)
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404)
+  }
+
+  return user
+}
+
+const logPermissionChange = (req, user, eventType, permission) => {
+  return Audit.createAuditLog({
+    eventType,
+    actor: {
+      userId: req.user._id,
+      userEmail: req.user.email,
+      role: req.user.role,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    },
+    resource: {
+      type: 'user',
+      id: user._id.toString(),
+      name: user.name,
+      details: {
+        permission,
+        effectivePermissions: user.getEffectivePermissions()
+      }
+    },
+    action: 'update',
+    description: `Permission ${permission} ${eventType === 'permission_granted' ? 'granted to' : 'revoked from'} ${user.email}`,
+    category: 'authorization',
+    severity: 'high'
+  })
+}
+
+// @desc    Get users
+// @route   GET /api/users
+// @access  Private (manage_users permission)
+export const getUsers = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    search,
+    role,
+    kycStatus,
+    organization,
+    isActive,
+    isVerified,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = req.query
+
+  const query = {}
+
+  if (role) query.role = role
+  if (kycStatus) query.kycStatus = kycStatus
+  if (isActive !== undefined) query.isActive = isActive === 'true' || isActive === true
+  if (isVerified !== undefined) query.isVerified = isVerified === 'true' || isVerified === true
+  if (organization) query['organization.name'] = { $regex: organization, $options: 'i' }
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { walletAddress: search.toLowerCase() },
+      { 'organization.name': { $regex: search, $options: 'i' } }
+    ]
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 },
+    select: 'name email role walletAddress organization isActive isVerified emailVerified kycStatus lastLogin loginAttempts lockUntil passwordResetRequired createdAt'
+  }
+
+  const users = await User.paginate(query, options)
+
+  res.json({
+    success: true,
+    data: {
+      users: users.docs,
+      pagination: {
+        current: users.page,
+        pages: users.totalPages,
+        total: users.totalDocs,
+        limit: users.limit
+      }
+    }
+  })
+})
+
+// @desc    Get user statistics
+// @route   GET /api/users/stats
+// @access  Private (manage_users permission)
+export const getUserStatistics = asyncHandler(async (req, res) => {
+  const [byRole, byKycStatus, totals] = await Promise.all([
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    User.aggregate([{ $group: { _id: '$kycStatus', count: { $sum: 1 } } }]),
+    User.aggregate([
+      {
+        $group: {
+          _id: null,
+          totalUsers: { $sum: 1 },
+          activeUsers: { $sum: { $cond: ['$isActive', 1, 0] } },
+          verifiedUsers: { $sum: { $cond: ['$isVerified', 1, 0] } },
+          lockedUsers: { $sum: { $cond: [{ $gt: ['$lockUntil', new Date()] }, 1, 0] } }
+        }
+      }
+    ])
+  ])
+
+  const toMap = (rows) => rows.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {})
+
+  res.json({
+    success: true,
+    data: {
+      statistics: {
+        ...(totals[0] || { totalUsers: 0, activeUsers: 0, verifiedUsers: 0, lockedUsers: 0 }),
+        byRole: toMap(byRole),
+        byKycStatus: toMap(byKycStatus)
+      }
+    }
+  })
+})
+
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private (manage_users permission)
+export const getUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id)
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404)
+  }
+
+  const sessions = await Session.findActiveByUser(user._id)
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        ...user.getPublicProfile(),
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        lastLogin: user.lastLogin,
+        loginAttempts: user.loginAttempts,
+        isLocked: user.isLocked,
+        lockUntil: user.lockUntil,
+        passwordResetRequired: user.passwordResetRequired,
+        permissions: user.getEffectivePermissions()
+      },
+      activeSessions: sessions.length
+    }
+  })
+})
+
+// @desc    Activate or deactivate a user
+// @route   PUT /api/users/:id/status
+// @access  Private (manage_users permission)
+export const updateUserStatus = asyncHandler(async (req, res) => {
+  const { isActive, reason } = req.body
+
+  const user = await getManagedUser(req)
+
+  if (user.isActive === isActive) {
+    throw new ErrorResponse(`User is already ${isActive ? 'active' : 'deactivated'}`, 400)
+  }
+
+  user.isActive = isActive
+  await user.save()
+
+  // Deactivated users lose every open session immediately
+  if (!isActive) {
+    await Session.revokeAllForUser(user._id, 'account_deactivated')
+  }
+
+  await logAdminAction(
+    req,
+    user,
+    isActive ? 'unlock' : 'lock',
+    `${isActive ? 'Activated' : 'Deactivated'} user ${user.email}${reason ? `: ${reason}` : ''}`,
+    { isActive, reason },
+    'high'
+  )
+
+  logger.info(`User ${user.email} ${isActive ? 'activated' : 'deactivated'} by ${req.user.email}`)
+
+  res.json({
+    success: true,
+    message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+    data: {
+      user: { id: user._id, email: user.email, isActive: user.isActive }
+    }
+  })
+})
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (manage_users permission)
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role, reason } = req.body
+
+  const user = await getManagedUser(req)
+
+  if (user.role === role) {
+    throw new ErrorResponse(`User already has role ${role}`, 400)
+  }
+
+  // A role change grants the role's defaults at once, so the same no-delegation rule as permission grants applies
+  const missing = (DEFAULT_ROLE_PERMISSIONS[role] || []).filter(permission => !req.user.hasPermission(permission))
+  if (missing.length) {
+    throw new ErrorResponse(`You cannot assign role ${role} without holding its permissions: ${missing.join(', ')}`, 403)
+  }
+
+  const previousRole = user.role
+
+  // Per-user overrides were relative to the old role's defaults
+  user.role = role
+  user.permissions = []
+  user.revokedPermissions = []
+  await user.save()
+
+  // Force a fresh login so tokens carry the new role
+  await Session.revokeAllForUser(user._id, 'admin_revoked')
+
+  await logAdminAction(
+    req,
+    user,
+    'update',
+    `Changed role of ${user.email} from ${previousRole} to ${role}${reason ? `: ${reason}` : ''}`,
+    { previousRole, newRole: role, reason },
+    'high'
+  )
+
+  res.json({
+    success: true,
+    message: 'User role updated successfully',
+    data: {
+      user: { id: user._id, email: user.email, role: user.role, permissions: user.getEffectivePermissions() }
+    }
+  })
+})
+
+// @desc    Force a user to reset their password
+// @route   POST /api/users/:id/force-password-reset
+// @access  Private (manage_users permission)
+export const forcePasswordReset = asyncHandler(async (req, res) => {
+  const { reason } = req.body
+
+  const user = await getManagedUser(req)
+
+  const resetToken = user.generateResetPasswordToken(FORCED_RESET_EXPIRY)
+  user.passwordResetRequired = true
+  await user.save()
+
+  await Session.revokeAllForUser(user._id, 'admin_revoked')
+
+  let emailSent = true
+  try {
+    await sendEmail({
+      to: user.email,
+      ...emailTemplates.passwordReset(user, resetToken, '24 hours')
+    })
+  } catch (error) {
+    emailSent = false
+    logger.error('Forced password reset email failed:', error)
+  }
+
+  await logAdminAction(
+    req,
+    user,
+    'update',
+    `Forced password reset for ${user.email}${reason ? `: ${reason}` : ''}`,
+    { reason, emailSent },
+    'high'
+  )
+
+  res.json({
+    success: true,
+    message: emailSent
+      ? 'Password reset required. A reset link has been emailed to the user.'
+      : 'Password reset required, but the reset email could not be sent.',
+    data: {
+      emailSent
+    }
+  })
+})
+
+// @desc    Unlock a user locked out by failed login attempts
+// @route   POST /api/users/:id/unlock
+// @access  Private (manage_users permission)
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await getManagedUser(req)
+
+  if (!user.isLocked && !user.loginAttempts) {
+    throw new ErrorResponse('User account is not locked', 400)
+  }
+
+  await user.resetLoginAttempts()
+
+  // Also clear the per-account login throttle (keyed on email + login route)
+  await getRateLimitStore().reset(`email:${user.email}:/api/auth/login`)
+
+  await logAdminAction(req, user, 'unlock', `Unlocked account ${user.email}`)
+
+  res.json({
+    success: true,
+    message: 'User account unlocked successfully'
+  })
+})
+
+// @desc    Get a user's audit activity
+// @route   GET /api/users/:id/activity
+// @access  Private (manage_users permission)
+export const getUserAuditActivity = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500)
+
+  const user = await User.findById(req.params.id)
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404)
+  }
+
+  const activity = await Audit.getUserActivity(user._id, limit)
+
+  res.json({
+    success: true,
+    data: {
+      user: { id: user._id, name: user.name, email: user.email },
+      activity
+    }
+  })
+})
+
+// @desc    Get available permissions and role defaults
+// @route   GET /api/users/permissions
+// @access  Private (manage_users permission)
+export const getPermissionCatalog = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: PERMISSIONS,
+      roleDefaults: DEFAULT_ROLE_PERMISSIONS
+    }
+  })
+})
+
+// @desc    Get a user's permissions
+// @route   GET /api/users/:id/permissions
+// @access  Private (manage_users permission)
+export const getUserPermissions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id)
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      permissions: getPermissionSummary(user)
+    }
+  })
+})
+
+// @desc    Grant a permission to a user
+// @route   POST /api/users/:id/permissions
+// @access  Private (manage_users permission)
+export const grantPermission = asyncHandler(async (req, res) => {
+  const { permission } = req.body
+
+  const user = await getPermissionTarget(req, permission)
+
+  if (user.hasPermission(permission)) {
+    throw new ErrorResponse(`User already has permission: ${permission}`, 400)
+  }
+
+  // Lift a revocation of a role default, otherwise record an explicit grant
+  user.revokedPermissions.pull(permission)
+  if (!(DEFAULT_ROLE_PERMISSIONS[user.role] || []).includes(permission)) {
+    user.permissions.addToSet(permission)
+  }
+
+  await user.save()
+
+  await logPermissionChange(req, user, 'permission_granted', permission)
+
+  logger.info(`Permission ${permission} granted to ${user.email} by ${req.user.email}`)
+
+  res.json({
+    success: true,
+    message: `Permission ${permission} granted`,
+    data: {
+      permissions: getPermissionSummary(user)
+    }
+  })
+})
+
+// @desc    Revoke a permission from a user
+// @route   DELETE /api/users/:id/permissions/:permission
+// @access  Private (manage_users permission)
+export const revokePermission = asyncHandler(async (req, res) => {
+  const { permission } = req.params
+
+  const user = await getPermissionTarget(req, permission)
+
+  if (!user.hasPermission(permission)) {
+    throw new ErrorResponse(`User does not have permission: ${permission}`, 400)
+  }
+
+  // Drop an explicit grant and withdraw the role default if there is one
+  user.permissions.pull(permission)
+  if ((DEFAULT_ROLE_PERMISSIONS[user.role] || []).includes(permission)) {
+    user.revokedPermissions.addToSet(permission)
+  }
+
+  await user.save()
+
+  await logPermissionChange(req, user, 'permission_revoked', permission)
+
+  logger.info(`Permission ${permission} revoked from ${user.email} by ${req.user.email}`)
+
+  res.json({
+    success: true,
+    message: `Permission ${permission} revoked`,
+    data: {
+      permissions: getPermissionSummary(user)
+    }
+  })
+})
@@ -1,8 +1,10 @@
 import jwt from 'jsonwebtoken'
-import { User } from '../models/index.js'
+import { User, Session } from '../models/index.js'
 import { ErrorResponse } from '../utils/errorResponse.js'
 import { Audit } from '../models/index.js'
 import logger from '../utils/logger.js'
+import config from '../config/index.js'
+import { getRateLimitStore } from '../utils/rateLimitStore.js'
 
 // Protect routes - check for valid JWT token
 export const protect = async (req, res, next) => {
@@ -20,7 +22,31 @@ export const protect = async (req, res, next) => {
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    const decoded = jwt.verify(token, config.jwt.secret)
+
+    // Tokens must be bound to a server-side session so they can be revoked
+    if (!decoded.sid) {
+      return next(new ErrorResponse('Session expired. Please login again.', 401))
+    }
+
+    const session = await Session.findById(decoded.sid)
+
+    if (!session || session.user.toString() !== decoded.id || !session.isActive) {
+      if (session?.revokedAt) {
+        await Audit.logSecurityEvent(
+          'revoked_session_access_attempt',
+          {
+            userId: session.user,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+          },
+          `Access token from revoked session ${session._id} (${session.revokedReason}) used on ${req.originalUrl}`,
+          session.revokedReason === 'token_reuse' ? 'critical' : 'high'
+        )
+      }
+
+      return next(new ErrorResponse('Session has been revoked or expired. Please login again.', 401))
+    }
 
     // Get user from token
     const user = await User.findById(decoded.id)
@@ -52,8 +78,17 @@ export const protect = async (req, res, next) => {
       return next(new ErrorResponse('Password was changed recently. Please login again.', 401))
     }
 
-    // Set user in request object
+    // Track session activity (throttled to avoid a write on every request)
+    if (Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { lastUsedAt: new Date(), 'device.lastIpAddress': req.ip } }
+      )
+    }
+
+    // Set user and session in request object
     req.user = user
+    req.authSession = session
     next()
   } catch (error) {
     // Log failed authentication attempt
@@ -106,6 +141,42 @@ export const authorize = (...roles) => {
   }
 }
 
+// Grant access to users holding all of the given permissions
+export const authorizePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ErrorResponse('User not authenticated', 401))
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission))
+
+    if (missing.length > 0) {
+      // Log unauthorized access attempt
+      Audit.logSecurityEvent(
+        'authorization_failed',
+        {
+          userId: req.user._id,
+          userEmail: req.user.email,
+          role: req.user.role,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        },
+        `User ${req.user.email} (${req.user.role}) attempted to access ${req.originalUrl} without permissions: ${missing.join(', ')}`,
+        'high'
+      ).catch(err => logger.error('Audit log error:', err))
+
+      return next(
+        new ErrorResponse(
+          `Missing required permission: ${missing.join(', ')}`,
+          403
+        )
+      )
+    }
+
+    next()
+  }
+}
+
 // Check if user owns the resource or has appropriate permissions
 export const checkResourceOwnership = (resourceModel, ownerField = 'user') => {
   return async (req, res, next) => {
@@ -153,49 +224,73 @@ export const checkResourceOwnership = (resourceModel, ownerField = 'user') => {
 }
 
 // Rate limiting middleware for authentication endpoints
+// Counts attempts per IP and per target account email in the shared store, with exponential backoff
 export const authRateLimit = (windowMs = 15 * 60 * 1000, maxAttempts = 5) => {
-  const attempts = new Map()
+  return async (req, res, next) => {
+    const store = getRateLimitStore()
+    const route = `${req.baseUrl}${req.route?.path || req.path}`
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null
 
-  return (req, res, next) => {
-    const key = `${req.ip}-${req.originalUrl}`
-    const now = Date.now()
-    
-    // Clean old entries
-    for (const [mapKey, data] of attempts.entries()) {
-      if (now - data.firstAttempt > windowMs) {
-        attempts.delete(mapKey)
-      }
+    const keys = [`ip:${req.ip}:${route}`]
+    if (email) {
+      keys.push(`email:${email}:${route}`)
     }
 
-    const userAttempts = attempts.get(key)
-
-    if (!userAttempts) {
-      attempts.set(key, { count: 1, firstAttempt: now })
-      return next()
+    const rejectRequest = (blockedUntil) => {
+      const retryAfter = Math.max(1, Math.ceil((blockedUntil - Date.now()) / 1000))
+      res.set('Retry-After', String(retryAfter))
+      return next(new ErrorResponse(`Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, 429))
     }
 
-    if (now - userAttempts.firstAttempt > windowMs) {
-      attempts.set(key, { count: 1, firstAttempt: now })
-      return next()
-    }
+    try {
+      const now = Date.now()
 
-    if (userAttempts.count >= maxAttempts) {
-      // Log rate limit exceeded
-      Audit.logSecurityEvent(
-        'rate_limit_exceeded',
-        {
-          ipAddress: req.ip,
-          userAgent: req.get('User-Agent')
-        },
-        `Rate limit exceeded for ${req.originalUrl} from IP: ${req.ip}`,
-        'high'
-      ).catch(err => logger.error('Audit log error:', err))
+      for (const key of keys) {
+        const record = await store.get(key)
+        if (record?.blockedUntil > now) {
+          return rejectRequest(record.blockedUntil)
+        }
+      }
 
-      return next(new ErrorResponse(`Too many attempts. Try again in ${Math.ceil(windowMs / 60000)} minutes.`, 429))
-    }
+      for (const key of keys) {
+        const record = await store.increment(key, windowMs)
+
+        if (record.count > maxAttempts) {
+          // Each repeated violation doubles the block, up to the configured ceiling
+          const backoff = Math.min(windowMs * 2 ** record.violations, config.security.rateLimitMaxBackoff)
+          const blockedUntil = now + backoff
+
+          await store.block(key, blockedUntil, blockedUntil + config.security.rateLimitMaxBackoff)
+
+          // Log rate limit exceeded
+          Audit.logSecurityEvent(
+            'rate_limit_exceeded',
+            {
+              userEmail: email || undefined,
+              ipAddress: req.ip,
+              userAgent: req.get('User-Agent')
+            },
+            `Rate limit exceeded for ${route} (${key.split(':')[0]} key, violation ${record.violations + 1}). Blocked for ${Math.ceil(backoff / 60000)} minutes`,
+            record.violations > 0 ? 'critical' : 'high'
+          ).catch(err => logger.error('Audit log error:', err))
+
+          return rejectRequest(blockedUntil)
+        }
+      }
 
-    userAttempts.count++
-    next()
+      // Lets handlers clear the per-account counter after a successful attempt
+      req.rateLimit = {
+        resetAccount: () => Promise.all(
+          keys.filter(key => key.startsWith('email:')).map(key => store.reset(key))
+        )
+      }
+
+      next()
+    } catch (error) {
+      // Fail open: an unavailable store must not take authentication down with it
+      logger.error('Rate limit store error:', error)
+      next()
+    }
   }
 }
 
@@ -244,6 +339,11 @@ export const requireKYC = (status = 'approved') => {
       return next(new ErrorResponse('User not authenticated', 401))
     }
 
+    // Only roles that go through KYC review are gated
+    if (!config.kyc.requiredRoles.includes(req.user.role)) {
+      return next()
+    }
+
     if (req.user.kycStatus !== status) {
       // Log KYC requirement not met
       Audit.createAuditLog({
@@ -278,8 +378,12 @@ export const require2FA = async (req, res, next) => {
     return next(new ErrorResponse('User not authenticated', 401))
   }
 
-  // Skip 2FA check if user doesn't have it enabled
+  // Roles handling funds must enroll before they can perform sensitive operations
   if (!req.user.twoFactorEnabled) {
+    if (config.twoFactor.requiredRoles.includes(req.user.role)) {
+      return next(new ErrorResponse('Two-factor authentication must be enabled for this operation', 403))
+    }
+
     return next()
   }
 
@@ -290,7 +394,7 @@ export const require2FA = async (req, res, next) => {
   }
 
   try {
-    // Verify 2FA code (implement with speakeasy or similar library)
+    // Verify TOTP or recovery code
     const isValid = await req.user.verify2FA(twoFactorCode)
 
     if (!isValid) {
@@ -3,3 +3,5 @@ export * from './auth.js'
 export { asyncHandler } from './asyncHandler.js'
 export { default as errorHandler } from './errorHandler.js'
 export * from './validation.js'
+export * from './upload.js'
+export * from './oracleWebhook.js'
@@ -0,0 +1,71 @@
+import crypto from 'crypto'
+import { OracleWebhookNonce } from '../models/index.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+import { oracleService } from '../services/oracleService.js'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+// Providers sign `${timestamp}.${nonce}.${rawBody}` with HMAC-SHA256 using their webhook secret and send
+//   X-Oracle-Timestamp: unix seconds
+//   X-Oracle-Nonce:     unique value per delivery
+//   X-Oracle-Signature: sha256=<hex digest>
+export const computeWebhookSignature = (secret, timestamp, nonce, rawBody) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.`).update(rawBody).digest('hex')
+
+const signaturesMatch = (expected, received) => {
+  const a = Buffer.from(expected)
+  const b = Buffer.from(received)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// Rejections are audited as access_denied by the error handler
+const rejectWebhook = (providerId, reason) => {
+  logger.warn(`Rejected oracle webhook from ${providerId}: ${reason}`)
+  return new ErrorResponse(reason, 401)
+}
+
+// Authenticate a provider push: known provider, valid HMAC signature, fresh timestamp and unused nonce
+export const verifyOracleWebhook = async (req, res, next) => {
+  try {
+    const providerId = req.params.providerId.toLowerCase()
+    const provider = (await oracleService.getEnabledProviders()).find(candidate => candidate.id === providerId)
+
+    if (!provider) {
+      return next(new ErrorResponse('Unknown oracle provider', 404))
+    }
+
+    if (!provider.acceptsWebhooks) {
+      return next(new ErrorResponse('This oracle provider does not accept webhooks', 403))
+    }
+
+    const timestamp = req.get('X-Oracle-Timestamp')
+    const nonce = req.get('X-Oracle-Nonce')
+    const signature = req.get('X-Oracle-Signature')
+
+    if (!timestamp || !nonce || !signature || !req.rawBody) {
+      return next(rejectWebhook(providerId, 'Missing webhook signature headers'))
+    }
+
+    const tolerance = config.oracle.webhookTolerance
+    const sentAt = Number(timestamp)
+    if (!Number.isInteger(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > tolerance) {
+      return next(rejectWebhook(providerId, 'Webhook timestamp is outside the allowed window'))
+    }
+
+    const expected = computeWebhookSignature(provider.webhookSecret, timestamp, nonce, req.rawBody)
+    if (!signaturesMatch(expected, signature)) {
+      return next(rejectWebhook(providerId, 'Invalid webhook signature'))
+    }
+
+    // A nonce only needs remembering while its timestamp would still be accepted
+    const claimed = await OracleWebhookNonce.claim(providerId, nonce, new Date((sentAt + tolerance) * 1000), req.ip)
+    if (!claimed) {
+      return next(rejectWebhook(providerId, 'Webhook nonce has already been used'))
+    }
+
+    req.oracleProvider = provider
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,71 @@
+import multer from 'multer'
+import config from '../config/index.js'
+import { ErrorResponse } from '../utils/errorResponse.js'
+
+// Leading bytes of binary formats whose declared MIME type can be checked against content
+const FILE_SIGNATURES = {
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // %PDF
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]], // GIF8
+  'application/vnd.ms-excel': [[0xd0, 0xcf, 0x11, 0xe0]]
+}
+
+const matchesSignature = (file) => {
+  const signatures = FILE_SIGNATURES[file.mimetype]
+  if (!signatures) return true
+
+  return signatures.some(signature =>
+    signature.every((byte, index) => file.buffer[index] === byte)
+  )
+}
+
+const upload = multer({
+  // Files are kept in memory so they can be hashed before reaching storage
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: config.upload.maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (!config.upload.allowedTypes.includes(file.mimetype)) {
+      return cb(new ErrorResponse(`File type ${file.mimetype} is not allowed`, 400))
+    }
+
+    cb(null, true)
+  }
+})
+
+// Accept up to maxCount files on a multipart field, with MIME, size and content checks
+export const uploadFiles = (fieldName, maxCount = config.upload.maxFiles) => {
+  const handler = upload.array(fieldName, maxCount)
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `File exceeds the maximum size of ${Math.round(config.upload.maxFileSize / (1024 * 1024))}MB`
+          : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Too many files or unexpected field. Upload at most ${maxCount} files in "${fieldName}"`
+            : error.message
+
+        return next(new ErrorResponse(message, 400))
+      }
+
+      if (error) {
+        return next(error)
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return next(new ErrorResponse(`No files uploaded. Use the "${fieldName}" field`, 400))
+      }
+
+      const spoofed = req.files.find(file => !matchesSignature(file))
+      if (spoofed) {
+        return next(new ErrorResponse(`File ${spoofed.originalname} does not match its declared type ${spoofed.mimetype}`, 400))
+      }
+
+      next()
+    })
+  }
+}
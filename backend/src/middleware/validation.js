@@ -1,5 +1,8 @@
 import Joi from 'joi'
 import { ErrorResponse } from '../utils/errorResponse.js'
+import { PERMISSIONS } from '../config/permissions.js'
+import { NETWORK_KEYS } from '../utils/networks.js'
+import { METER_METRICS, ROLLUP_PERIODS } from '../utils/meterReadings.js'
 
 // Generic validation middleware
 export const validate = (schema, property = 'body') => {
@@ -67,6 +70,11 @@ export const validateRegistration = validate(
       state: Joi.string().max(100),
       country: Joi.string().max(100),
       zipCode: Joi.string().max(20)
+    }),
+
+    invitationToken: Joi.string().hex().length(64).messages({
+      'string.hex': 'Invalid invitation token',
+      'string.length': 'Invalid invitation token'
     })
   })
 )
@@ -104,6 +112,268 @@ export const validatePasswordChange = validate(
   })
 )
 
+// Refresh token validation
+export const validateRefreshToken = validate(
+  Joi.object({
+    refreshToken: Joi.string().required().messages({
+      'any.required': 'Refresh token is required'
+    })
+  })
+)
+
+// Wallet nonce request validation
+export const validateWalletNonce = validate(
+  Joi.object({
+    address: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+      'string.pattern.base': 'Please provide a valid Ethereum wallet address'
+    })
+  }),
+  'query'
+)
+
+// Wallet (SIWE) login validation
+export const validateWalletLogin = validate(
+  Joi.object({
+    message: Joi.string().max(4096).required().messages({
+      'any.required': 'Signed message is required'
+    }),
+    signature: Joi.string().pattern(/^0x[a-fA-F0-9]{130}$/).required().messages({
+      'string.pattern.base': 'Please provide a valid signature',
+      'any.required': 'Signature is required'
+    })
+  })
+)
+
+// Invitation validation
+export const validateInvitation = validate(
+  Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+
+    role: Joi.string().valid('government', 'producer', 'auditor').required().messages({
+      'any.only': 'Role must be one of: government, producer, auditor',
+      'any.required': 'Role is required'
+    }),
+
+    organization: Joi.object({
+      name: Joi.string().min(2).max(200).required(),
+      type: Joi.string().valid('government', 'private', 'ngo', 'research'),
+      registrationNumber: Joi.string().max(50)
+    }).required().messages({
+      'any.required': 'Organization is required'
+    }),
+
+    message: Joi.string().max(500)
+  })
+)
+
+// KYC submission validation
+export const validateKYCSubmission = validate(
+  Joi.object({
+    registrationNumber: Joi.string().trim().min(3).max(50).required().messages({
+      'any.required': 'Organization registration number is required'
+    }),
+
+    organization: Joi.object({
+      name: Joi.string().max(200),
+      type: Joi.string().valid('government', 'private', 'ngo', 'research'),
+      address: Joi.object({
+        street: Joi.string(),
+        city: Joi.string(),
+        state: Joi.string(),
+        country: Joi.string(),
+        zipCode: Joi.string()
+      })
+    }),
+
+    documents: Joi.array().items(
+      Joi.object({
+        type: Joi.string().valid('registration_certificate', 'tax_certificate', 'identity_proof', 'address_proof', 'bank_statement', 'other').required(),
+        name: Joi.string().max(200).required(),
+        url: Joi.string().uri().required(),
+        hash: Joi.string().max(128)
+      })
+    ).min(1).max(20).required().messages({
+      'array.min': 'At least one KYC document is required',
+      'any.required': 'KYC documents are required'
+    })
+  })
+)
+
+// KYC review validation
+export const validateKYCReview = validate(
+  Joi.object({
+    decision: Joi.string().valid('approve', 'reject', 'request_info').required().messages({
+      'any.only': 'Decision must be approve, reject or request_info',
+      'any.required': 'Review decision is required'
+    }),
+
+    note: Joi.string().max(1000).when('decision', {
+      is: Joi.valid('reject', 'request_info'),
+      then: Joi.required()
+    }).messages({
+      'any.required': 'A note is required when rejecting or requesting more information'
+    })
+  })
+)
+
+// User management query validation
+export const validateUserQuery = validate(
+  Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    sortBy: Joi.string().valid('createdAt', 'name', 'email', 'role', 'lastLogin').default('createdAt'),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    search: Joi.string().max(200),
+    role: Joi.string().valid('government', 'producer', 'auditor', 'oracle'),
+    kycStatus: Joi.string().valid('pending', 'under_review', 'more_info_required', 'approved', 'rejected'),
+    organization: Joi.string().max(200),
+    isActive: Joi.boolean(),
+    isVerified: Joi.boolean()
+  }),
+  'query'
+)
+
+// User status change validation
+export const validateUserStatus = validate(
+  Joi.object({
+    isActive: Joi.boolean().required().messages({
+      'any.required': 'isActive is required'
+    }),
+    reason: Joi.string().max(500)
+  })
+)
+
+// User role change validation
+export const validateUserRole = validate(
+  Joi.object({
+    role: Joi.string().valid('government', 'producer', 'auditor', 'oracle').required().messages({
+      'any.only': 'Role must be one of: government, producer, auditor, oracle',
+      'any.required': 'Role is required'
+    }),
+    reason: Joi.string().max(500)
+  })
+)
+
+// Administrative action reason validation
+export const validateAdminReason = validate(
+  Joi.object({
+    reason: Joi.string().max(500)
+  })
+)
+
+// Milestone verification validation
+export const validateMilestoneVerification = validate(
+  Joi.object({
+    comments: Joi.string().max(1000),
+    overrideReason: Joi.string().trim().min(10).max(1000).messages({
+      'string.min': 'Override reason must be at least 10 characters long'
+    })
+  })
+)
+
+// Milestone evidence upload validation (multipart fields)
+export const validateEvidenceUpload = validate(
+  Joi.object({
+    deliverableId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+      'string.pattern.base': 'Please provide a valid deliverable ID',
+      'any.required': 'Deliverable ID is required'
+    })
+  })
+)
+
+// Deliverable review validation
+export const validateDeliverableReview = validate(
+  Joi.object({
+    decision: Joi.string().valid('accept', 'reject').required().messages({
+      'any.only': 'Decision must be either accept or reject'
+    }),
+    comments: Joi.string().max(1000).when('decision', {
+      is: 'reject',
+      then: Joi.required().messages({
+        'any.required': 'Comments are required when rejecting a deliverable'
+      })
+    })
+  })
+)
+
+export const validateSubsidyRelease = validate(
+  Joi.object({
+    trancheId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Please provide a valid tranche ID'
+    }),
+    twoFactorCode: Joi.string().trim().max(20)
+  })
+)
+
+export const validateReleaseApproval = validate(
+  Joi.object({
+    signature: Joi.string().pattern(/^0x[a-fA-F0-9]{130}$/).required().messages({
+      'string.pattern.base': 'Please provide a valid wallet signature',
+      'any.required': 'A wallet signature of the release message is required'
+    }),
+    comments: Joi.string().max(1000),
+    trancheId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Please provide a valid tranche ID'
+    })
+  })
+)
+
+export const validateReleaseApprovalQuery = validate(
+  Joi.object({
+    trancheId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Please provide a valid tranche ID'
+    })
+  }),
+  'query'
+)
+
+// Document upload metadata validation (multipart fields)
+export const validateDocumentUpload = validate(
+  Joi.object({
+    type: Joi.string().valid('license', 'permit', 'certificate', 'report', 'other').default('other').messages({
+      'any.only': 'Document type must be one of: license, permit, certificate, report, other'
+    }),
+    description: Joi.string().max(500)
+  })
+)
+
+// Permission grant validation
+export const validatePermissionGrant = validate(
+  Joi.object({
+    permission: Joi.string().valid(...PERMISSIONS).required().messages({
+      'any.only': 'Unknown permission',
+      'any.required': 'Permission is required'
+    })
+  })
+)
+
+// 2FA code validation (TOTP code or recovery code)
+export const validateTwoFactorCode = validate(
+  Joi.object({
+    code: Joi.string().trim().min(6).max(20).required().messages({
+      'string.min': '2FA code must be at least 6 characters long',
+      'any.required': '2FA code is required'
+    })
+  })
+)
+
+// 2FA disable validation
+export const validateTwoFactorDisable = validate(
+  Joi.object({
+    password: Joi.string().required().messages({
+      'any.required': 'Current password is required'
+    }),
+
+    code: Joi.string().trim().min(6).max(20).required().messages({
+      'string.min': '2FA code must be at least 6 characters long',
+      'any.required': '2FA code is required'
+    })
+  })
+)
+
 // Project creation validation
 export const validateProject = validate(
   Joi.object({
@@ -117,22 +387,14 @@ export const validateProject = validate(
       'string.max': 'Description cannot exceed 2000 characters'
     }),
     
-    projectId: Joi.string().required().messages({
-      'any.required': 'Blockchain project ID is required'
-    }),
-    
-    contractAddress: Joi.string()
-      .pattern(/^0x[a-fA-F0-9]{40}$/)
-      .required()
-      .messages({
-        'string.pattern.base': 'Please provide a valid contract address',
-        'any.required': 'Contract address is required'
-      }),
-    
     producer: Joi.string().required().messages({
       'any.required': 'Producer ID is required'
     }),
     
+    network: Joi.string().valid(...NETWORK_KEYS).messages({
+      'any.only': `Network must be one of: ${NETWORK_KEYS.join(', ')}`
+    }),
+    
     location: Joi.object({
       address: Joi.string().max(500),
       city: Joi.string().required().messages({
@@ -197,6 +459,24 @@ export const validateProject = validate(
 )
 
 // Milestone creation validation
+// Subsidy tranches of a milestone; percentages must cover the whole subsidy
+const milestoneTranches = Joi.array().min(1).items(
+  Joi.object({
+    label: Joi.string().trim().max(100).required(),
+    percentage: Joi.number().greater(0).max(100).required(),
+    releaseCondition: Joi.string().valid('approval', 'warranty').default('approval'),
+    warrantyPeriodDays: Joi.number().integer().min(0).when('releaseCondition', {
+      is: 'warranty',
+      then: Joi.required().messages({
+        'any.required': 'Warranty period is required for tranches retained until warranty end'
+      })
+    })
+  })
+).custom((tranches, helpers) => {
+  const total = tranches.reduce((sum, tranche) => sum + tranche.percentage, 0)
+  return Math.abs(total - 100) > 0.001 ? helpers.message('Tranche percentages must add up to 100') : tranches
+})
+
 export const validateMilestone = validate(
   Joi.object({
     title: Joi.string().min(2).max(200).required().messages({
@@ -209,10 +489,6 @@ export const validateMilestone = validate(
       'string.max': 'Description cannot exceed 1000 characters'
     }),
     
-    milestoneId: Joi.string().required().messages({
-      'any.required': 'Blockchain milestone ID is required'
-    }),
-    
     sequenceNumber: Joi.number().integer().positive().required().messages({
       'number.positive': 'Sequence number must be positive',
       'any.required': 'Sequence number is required'
@@ -250,11 +526,14 @@ export const validateMilestone = validate(
         description: Joi.string().required()
       })
     ),
+
+    tranches: milestoneTranches,
     
     deliverables: Joi.array().items(
       Joi.object({
         name: Joi.string().required(),
-        type: Joi.string().valid('document', 'certificate', 'report', 'video', 'image', 'other').required()
+        type: Joi.string().valid('document', 'certificate', 'report', 'video', 'image', 'other').required(),
+        isRequired: Joi.boolean().default(true)
       })
     ),
     
@@ -266,9 +545,13 @@ export const validateMilestone = validate(
     technicalSpecs: Joi.object({
       performanceTargets: Joi.array().items(
         Joi.object({
-          parameter: Joi.string(),
-          targetValue: Joi.number(),
-          unit: Joi.string()
+          parameter: Joi.string().required(),
+          targetValue: Joi.number().required(),
+          unit: Joi.string(),
+          operator: Joi.string().valid('gte', 'gt', 'lte', 'lt', 'eq').default('gte'),
+          tolerance: Joi.number().min(0),
+          toleranceType: Joi.string().valid('absolute', 'percent'),
+          isMandatory: Joi.boolean()
         })
       ),
       qualityStandards: Joi.array().items(Joi.string()),
@@ -280,6 +563,16 @@ export const validateMilestone = validate(
       )
     }),
     
+    dependencies: Joi.array().items(
+      Joi.object({
+        milestoneId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+          'string.pattern.base': 'Please provide a valid dependency milestone ID'
+        }),
+        type: Joi.string().valid('finish_to_start', 'start_to_start', 'finish_to_finish').default('finish_to_start'),
+        description: Joi.string().max(500)
+      })
+    ),
+    
     priority: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium'),
     
     tags: Joi.array().items(Joi.string().max(50))
@@ -287,12 +580,12 @@ export const validateMilestone = validate(
 )
 
 // Update milestone validation
+// Status changes go through the start/complete workflow, which enforces dependencies and deliverables
 export const validateMilestoneUpdate = validate(
   Joi.object({
-    completionPercentage: Joi.number().min(0).max(100),
-    status: Joi.string().valid('pending', 'in_progress', 'completed', 'overdue', 'cancelled'),
     actualStartDate: Joi.date(),
     actualEndDate: Joi.date(),
+    tranches: milestoneTranches,
     requirements: Joi.array().items(
       Joi.object({
         description: Joi.string().required(),
@@ -306,19 +599,29 @@ export const validateMilestoneUpdate = validate(
         name: Joi.string().required(),
         type: Joi.string().valid('document', 'certificate', 'report', 'video', 'image', 'other').required(),
         url: Joi.string().uri(),
-        isSubmitted: Joi.boolean(),
-        submittedDate: Joi.date(),
-        submittedBy: Joi.string()
+        isRequired: Joi.boolean()
+      })
+    ),
+    dependencies: Joi.array().items(
+      Joi.object({
+        milestoneId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+          'string.pattern.base': 'Please provide a valid dependency milestone ID'
+        }),
+        type: Joi.string().valid('finish_to_start', 'start_to_start', 'finish_to_finish'),
+        description: Joi.string().max(500)
       })
     ),
     technicalSpecs: Joi.object({
       performanceTargets: Joi.array().items(
         Joi.object({
-          parameter: Joi.string(),
-          targetValue: Joi.number(),
+          parameter: Joi.string().required(),
+          targetValue: Joi.number().required(),
           actualValue: Joi.number(),
           unit: Joi.string(),
-          achieved: Joi.boolean()
+          operator: Joi.string().valid('gte', 'gt', 'lte', 'lt', 'eq'),
+          tolerance: Joi.number().min(0),
+          toleranceType: Joi.string().valid('absolute', 'percent'),
+          isMandatory: Joi.boolean()
         })
       )
     })
@@ -342,7 +645,9 @@ export const validateTransaction = validate(
     
     gasPrice: Joi.string(),
     gasUsed: Joi.string(),
-    blockNumber: Joi.number().integer().positive()
+    blockNumber: Joi.number().integer().positive(),
+
+    twoFactorCode: Joi.string().trim().max(20)
   })
 )
 
@@ -378,6 +683,170 @@ export const validateFileUpload = (req, res, next) => {
   next()
 }
 
+// Blockchain transaction queue query validation
+export const validateBlockchainTransactionQuery = validate(
+  Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    status: Joi.string().valid('queued', 'submitted', 'confirmed', 'failed'),
+    functionName: Joi.string().max(100),
+    referenceType: Joi.string().valid('project', 'milestone', 'disbursement', 'system'),
+    network: Joi.string().valid(...NETWORK_KEYS),
+    referenceId: Joi.string().max(100),
+    txHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).messages({
+      'string.pattern.base': 'Please provide a valid transaction hash'
+    })
+  }),
+  'query'
+)
+
+// Gas price and fee report query validation
+export const validateGasPriceQuery = validate(
+  Joi.object({
+    network: Joi.string().valid(...NETWORK_KEYS)
+  }),
+  'query'
+)
+
+export const validateGasReportQuery = validate(
+  Joi.object({
+    network: Joi.string().valid(...NETWORK_KEYS),
+    project: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Please provide a valid project ID'
+    }),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from'))
+  }),
+  'query'
+)
+
+// Chain discrepancy query validation
+export const validateChainDiscrepancyQuery = validate(
+  Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    status: Joi.string().valid('open', 'resolved'),
+    type: Joi.string().valid('release_missing_on_chain', 'release_not_recorded'),
+    network: Joi.string().valid(...NETWORK_KEYS),
+    milestone: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Please provide a valid milestone ID'
+    })
+  }),
+  'query'
+)
+
+export const validateDiscrepancyResolution = validate(
+  Joi.object({
+    resolution: Joi.string().trim().min(5).max(1000).required().messages({
+      'any.required': 'A resolution note is required'
+    })
+  })
+)
+
+// Oracle provider settings validation (unknown types are rejected by the controller)
+export const validateOracleProvider = validate(
+  Joi.object({
+    type: Joi.string().trim().max(50),
+    name: Joi.string().trim().max(100),
+    endpoint: Joi.string().uri({ scheme: ['http', 'https'] }),
+    apiKey: Joi.string().max(500).allow(''),
+    webhookSecret: Joi.string().min(16).max(500).allow(''),
+    weight: Joi.number().min(0).max(100),
+    timeout: Joi.number().integer().min(100).max(60000),
+    rateLimit: Joi.number().integer().min(0).max(10000),
+    enabled: Joi.boolean(),
+    options: Joi.object()
+  }).min(1)
+)
+
+// Oracle webhook envelope validation; the data itself is checked against the provider's payload schema
+export const validateOracleWebhook = validate(
+  Joi.object({
+    milestoneId: Joi.string().trim().max(200).required().messages({
+      'any.required': 'Milestone ID is required'
+    }),
+    observedAt: Joi.date().iso().max('now'),
+    data: Joi.object().required().messages({
+      'any.required': 'Oracle data is required'
+    })
+  })
+)
+
+// Oracle snapshot history query validation
+export const validateOracleSnapshotQuery = validate(
+  Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    source: Joi.string().valid('manual', 'scheduled', 'webhook'),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from'))
+  }),
+  'query'
+)
+
+export const validateOracleAttestationQuery = validate(
+  Joi.object({
+    snapshot: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Please provide a valid snapshot ID'
+    })
+  }),
+  'query'
+)
+
+// Production meter validation
+const meterMetrics = Joi.array().items(Joi.string().valid(...METER_METRICS)).min(1).unique().messages({
+  'array.min': 'A meter must measure at least one metric',
+  'any.only': `Metrics must be among ${METER_METRICS.join(', ')}`
+})
+
+export const validateMeter = validate(
+  Joi.object({
+    meterId: Joi.string().trim().pattern(/^[A-Za-z0-9_.-]+$/).max(50).required().messages({
+      'string.pattern.base': 'Meter ID may only contain letters, digits, dots, dashes and underscores',
+      'any.required': 'Meter ID is required'
+    }),
+    name: Joi.string().trim().max(100).required().messages({
+      'any.required': 'Meter name is required'
+    }),
+    metrics: meterMetrics.required(),
+    location: Joi.string().trim().max(200),
+    installedAt: Joi.date().iso().max('now')
+  })
+)
+
+export const validateMeterUpdate = validate(
+  Joi.object({
+    name: Joi.string().trim().max(100),
+    metrics: meterMetrics,
+    location: Joi.string().trim().max(200).allow(''),
+    installedAt: Joi.date().iso().max('now'),
+    status: Joi.string().valid('active', 'inactive', 'decommissioned')
+  }).min(1)
+)
+
+// Readings are checked against the meter's metrics in the service
+export const validateMeterReadings = validate(
+  Joi.object({
+    readings: Joi.array().items(Joi.object()).min(1).max(10000).required().messages({
+      'array.min': 'At least one reading is required',
+      'array.max': 'At most 10000 readings can be submitted at once',
+      'any.required': 'Readings are required'
+    })
+  })
+)
+
+export const validateMeterSeriesQuery = validate(
+  Joi.object({
+    interval: Joi.string().valid('raw', ...ROLLUP_PERIODS),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from'))
+  }),
+  'query'
+)
+
 // Query parameter validation for pagination and filtering
 export const validateQuery = validate(
   Joi.object({
@@ -32,7 +32,38 @@ const auditSchema = new mongoose.Schema({
       'authentication_failed',
       'authorization_failed',
       'data_export',
-      'admin_action'
+      'admin_action',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'two_factor_failed',
+      'two_factor_recovery_codes_generated',
+      'token_refreshed',
+      'session_revoked',
+      'refresh_token_reuse',
+      'revoked_session_access_attempt',
+      'wallet_login_failed',
+      'kyc_submitted',
+      'kyc_approved',
+      'kyc_rejected',
+      'kyc_info_requested',
+      'kyc_requirement_failed',
+      'permission_granted',
+      'permission_revoked',
+      'rate_limit_exceeded',
+      'account_locked',
+      'user_invited',
+      'invitation_revoked',
+      'invitation_accepted',
+      'password_reset_request',
+      'password_reset_complete',
+      'inactive_user_access_attempt',
+      'deliverable_submitted',
+      'deliverable_accepted',
+      'deliverable_rejected',
+      'performance_target_override',
+      'subsidy_release_failed',
+      'chain_discrepancy',
+      'release_approval_signed'
     ]
   },
   
@@ -133,6 +164,8 @@ const auditSchema = new mongoose.Schema({
     },
     gasUsed: String,
     gasPrice: String,
+    // Total fee paid in wei
+    fee: String,
     functionName: String,
     eventLogs: [mongoose.Schema.Types.Mixed]
   },
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose'
+import mongoosePaginate from 'mongoose-paginate-v2'
+import config from '../config/index.js'
+import { getExplorerUrl } from '../utils/networks.js'
+
+// Statuses that still need work from the transaction queue
+const OPEN_STATUSES = ['queued', 'submitted']
+
+const blockchainTransactionSchema = new mongoose.Schema({
+  // Network key from config.blockchain.networks; each network has its own queue
+  network: {
+    type: String,
+    enum: ['ethereum', 'polygon', 'bsc', 'localhost']
+  },
+
+  // Sending wallet; transactions are serialized and nonces assigned per signer
+  signer: {
+    type: String,
+    required: [true, 'Signer address is required'],
+    match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid Ethereum address']
+  },
+
+  contractAddress: {
+    type: String,
+    required: [true, 'Contract address is required'],
+    match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid contract address']
+  },
+
+  functionName: {
+    type: String,
+    required: [true, 'Contract function is required']
+  },
+
+  // Call arguments, with big integers stored as decimal strings
+  args: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // Gas estimate at first send; gasLimit adds the configured headroom on top
+  gasEstimate: String,
+  gasLimit: String,
+
+  status: {
+    type: String,
+    enum: ['queued', 'submitted', 'confirmed', 'failed'],
+    default: 'queued'
+  },
+
+  nonce: Number,
+
+  // Hash of the most recent broadcast; replacements keep the nonce but change the hash
+  txHash: {
+    type: String,
+    match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
+  },
+
+  attempts: [{
+    txHash: String,
+    nonce: Number,
+    maxFeePerGas: String,
+    maxPriorityFeePerGas: String,
+    gasPrice: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Empty self-transfer sent on the same nonce once replacements are exhausted
+  cancelTxHash: String,
+  cancelledAt: Date,
+
+  requiredConfirmations: {
+    type: Number,
+    default: 1
+  },
+
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+
+  receipt: {
+    blockNumber: Number,
+    blockHash: String,
+    gasUsed: String,
+    effectiveGasPrice: String,
+    fee: String, // gasUsed * effectiveGasPrice, in wei
+    status: Number
+  },
+
+  // Contract events emitted by the mined transaction
+  events: [{
+    name: String,
+    args: mongoose.Schema.Types.Mixed
+  }],
+
+  // Retry Information
+  retries: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    code: String,
+    message: String,
+    at: Date
+  },
+
+  // What the transaction is for, e.g. { type: 'milestone', id }
+  reference: {
+    type: {
+      type: String,
+      enum: ['project', 'milestone', 'disbursement', 'system']
+    },
+    id: String
+  },
+
+  // Project the transaction is for, used for cost reporting
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  submittedAt: Date,
+  confirmedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Indexes
+blockchainTransactionSchema.index({ network: 1, signer: 1, status: 1, createdAt: 1 })
+blockchainTransactionSchema.index({ status: 1, nextAttemptAt: 1 })
+blockchainTransactionSchema.index({ 'reference.type': 1, 'reference.id': 1 })
+blockchainTransactionSchema.index({ txHash: 1 }, { sparse: true })
+blockchainTransactionSchema.index({ createdAt: -1 })
+blockchainTransactionSchema.index({ project: 1, confirmedAt: -1 })
+
+// Virtual for whether the queue is still working on this transaction
+blockchainTransactionSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status)
+})
+
+// Virtual for the block explorer link of the latest attempt
+blockchainTransactionSchema.virtual('explorerUrl').get(function() {
+  return getExplorerUrl(this.network, 'tx', this.txHash)
+})
+
+// Method to record an error and schedule the next attempt with exponential backoff
+blockchainTransactionSchema.methods.scheduleRetry = function(error, baseDelay) {
+  this.retries += 1
+  this.lastError = {
+    code: error.code,
+    message: error.shortMessage || error.message,
+    at: new Date()
+  }
+  this.nextAttemptAt = new Date(Date.now() + baseDelay * Math.pow(2, this.retries - 1))
+  return this.save()
+}
+
+// Method to mark the transaction as permanently failed
+blockchainTransactionSchema.methods.markFailed = function(error) {
+  this.status = 'failed'
+  this.lastError = {
+    code: error.code,
+    message: error.shortMessage || error.reason || error.message,
+    at: new Date()
+  }
+  this.failedAt = new Date()
+  return this.save()
+}
+
+// Static method to find transactions for a signer on a network that still need work
+blockchainTransactionSchema.statics.findOpenBySigner = function(signer, network) {
+  return this.find({ network, signer, status: { $in: OPEN_STATUSES } }).sort({ createdAt: 1 })
+}
+
+// Static method to list signers with pending work on a network
+blockchainTransactionSchema.statics.findActiveSigners = function(network) {
+  return this.distinct('signer', { network, status: { $in: OPEN_STATUSES } })
+}
+
+// Static method to total the fees paid per project and per month, in wei.
+// Reverted transactions are included since their gas is spent as well.
+blockchainTransactionSchema.statics.getFeeReport = async function(filters = {}) {
+  const match = { 'receipt.fee': { $exists: true } }
+  if (filters.network) match.network = filters.network
+  if (filters.project) match.project = new mongoose.Types.ObjectId(filters.project)
+
+  const settledAt = { $ifNull: ['$confirmedAt', '$failedAt'] }
+  const range = {}
+  if (filters.from) range.$gte = new Date(filters.from)
+  if (filters.to) range.$lte = new Date(filters.to)
+
+  const totals = {
+    transactions: { $sum: 1 },
+    failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+    gasUsed: { $sum: { $toDecimal: '$receipt.gasUsed' } },
+    fee: { $sum: { $toDecimal: '$receipt.fee' } }
+  }
+
+  const [report] = await this.aggregate([
+    { $match: match },
+    // Transactions queued before networks were tracked ran on the default network and group with it
+    { $addFields: { settledAt, network: { $ifNull: ['$network', config.blockchain.defaultNetwork] } } },
+    ...(Object.keys(range).length ? [{ $match: { settledAt: range } }] : []),
+    {
+      $facet: {
+        byProject: [
+          { $group: { _id: { network: '$network', project: '$project' }, ...totals } },
+          { $sort: { fee: -1 } }
+        ],
+        byMonth: [
+          {
+            $group: {
+              _id: { network: '$network', month: { $dateToString: { format: '%Y-%m', date: '$settledAt' } } },
+              ...totals
+            }
+          },
+          { $sort: { '_id.month': -1, '_id.network': 1 } }
+        ],
+        byNetwork: [
+          { $group: { _id: { network: '$network' }, ...totals } },
+          { $sort: { '_id.network': 1 } }
+        ]
+      }
+    }
+  ])
+
+  // Decimal128 sums come back as objects; hand them out as wei strings
+  const toRow = ({ _id, ...row }) => ({
+    ..._id,
+    transactions: row.transactions,
+    failed: row.failed,
+    gasUsed: row.gasUsed.toString(),
+    fee: row.fee.toString()
+  })
+
+  return {
+    byProject: report.byProject.map(toRow),
+    byMonth: report.byMonth.map(toRow),
+    byNetwork: report.byNetwork.map(toRow)
+  }
+}
+
+// Add pagination plugin
+blockchainTransactionSchema.plugin(mongoosePaginate)
+
+export default mongoose.model('BlockchainTransaction', blockchainTransactionSchema)
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose'
+import mongoosePaginate from 'mongoose-paginate-v2'
+import { getExplorerUrl } from '../utils/networks.js'
+
+const chainDiscrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Discrepancy type is required'],
+    enum: [
+      'release_missing_on_chain', // milestone marked released but no SubsidyReleased event
+      'release_not_recorded' // SubsidyReleased event for a milestone not marked released
+    ]
+  },
+
+  // Network the event or release belongs to
+  network: {
+    type: String,
+    enum: ['ethereum', 'polygon', 'bsc', 'localhost']
+  },
+
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone'
+  },
+
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
+  // Key used to deduplicate open discrepancies: milestone id, or the event's id hash when unmatched
+  key: {
+    type: String,
+    required: true
+  },
+
+  txHash: String,
+  blockNumber: Number,
+  description: String,
+  details: mongoose.Schema.Types.Mixed,
+
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Indexes
+chainDiscrepancySchema.index(
+  { type: 1, key: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+)
+chainDiscrepancySchema.index({ status: 1, detectedAt: -1 })
+chainDiscrepancySchema.index({ milestone: 1 })
+
+// Virtual for the block explorer link of the release transaction
+chainDiscrepancySchema.virtual('explorerUrl').get(function() {
+  return getExplorerUrl(this.network, 'tx', this.txHash)
+})
+
+// Static method to open a discrepancy; resolves null if the same one is already open
+chainDiscrepancySchema.statics.flag = async function(data) {
+  try {
+    return await this.create(data)
+  } catch (error) {
+    if (error.code === 11000) return null
+    throw error
+  }
+}
+
+// Static method to close open discrepancies of a type once the chain and database agree again
+chainDiscrepancySchema.statics.resolveOpen = function(type, key, resolution) {
+  return this.updateMany(
+    { type, key, status: 'open' },
+    { $set: { status: 'resolved', resolvedAt: new Date(), resolution } }
+  )
+}
+
+// Method to resolve the discrepancy manually
+chainDiscrepancySchema.methods.resolve = function(resolvedBy, resolution) {
+  this.status = 'resolved'
+  this.resolvedAt = new Date()
+  this.resolvedBy = resolvedBy
+  this.resolution = resolution
+  return this.save()
+}
+
+// Add pagination plugin
+chainDiscrepancySchema.plugin(mongoosePaginate)
+
+export default mongoose.model('ChainDiscrepancy', chainDiscrepancySchema)
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose'
+import mongoosePaginate from 'mongoose-paginate-v2'
+
+const chainEventSchema = new mongoose.Schema({
+  // Network key from config.blockchain.networks
+  network: {
+    type: String,
+    enum: ['ethereum', 'polygon', 'bsc', 'localhost']
+  },
+
+  eventName: {
+    type: String,
+    required: [true, 'Event name is required'],
+    enum: ['ProjectCreated', 'SubsidyReleased']
+  },
+
+  contractAddress: {
+    type: String,
+    required: [true, 'Contract address is required']
+  },
+
+  txHash: {
+    type: String,
+    required: [true, 'Transaction hash is required'],
+    match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+
+  // keccak256 of the indexed string id (projectId or milestoneId); logs only carry the hash
+  idHash: {
+    type: String,
+    required: true
+  },
+
+  // Decoded event arguments, with big integers stored as decimal strings
+  args: mongoose.Schema.Types.Mixed,
+
+  // Database record the event was matched to, if any
+  matchedResource: {
+    type: {
+      type: String,
+      enum: ['project', 'milestone']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+
+  // Set once the event has been checked against the database without discrepancy
+  reconciledAt: Date
+}, {
+  timestamps: true
+})
+
+// Indexes
+chainEventSchema.index({ network: 1, txHash: 1, logIndex: 1 }, { unique: true })
+chainEventSchema.index({ eventName: 1, idHash: 1 })
+chainEventSchema.index({ network: 1, contractAddress: 1, blockNumber: -1 })
+chainEventSchema.index({ 'matchedResource.type': 1, 'matchedResource.id': 1 })
+
+// Static method to drop events from blocks that may have been reorganised away
+chainEventSchema.statics.removeFromBlock = function(network, contractAddress, blockNumber) {
+  return this.deleteMany({ network, contractAddress, blockNumber: { $gte: blockNumber } })
+}
+
+// Add pagination plugin
+chainEventSchema.plugin(mongoosePaginate)
+
+export default mongoose.model('ChainEvent', chainEventSchema)
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose'
+import mongoosePaginate from 'mongoose-paginate-v2'
+import { getExplorerUrl } from '../utils/networks.js'
+
+// Statuses that hold a tranche's release slot; failed disbursements free it for a retry
+const ACTIVE_STATUSES = ['pending', 'submitted', 'confirmed']
+
+const disbursementSchema = new mongoose.Schema({
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone',
+    required: [true, 'Milestone reference is required']
+  },
+
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project reference is required']
+  },
+
+  // Milestone tranche paid out; absent on disbursements made before tranches existed
+  tranche: mongoose.Schema.Types.ObjectId,
+  trancheLabel: String,
+
+  amount: {
+    type: Number,
+    required: [true, 'Disbursement amount is required'],
+    min: [0, 'Disbursement amount must be positive']
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  recipientAddress: {
+    type: String,
+    required: [true, 'Recipient address is required'],
+    match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid Ethereum address']
+  },
+
+  // Network of the project at the time of release
+  network: {
+    type: String,
+    enum: ['ethereum', 'polygon', 'bsc', 'localhost']
+  },
+
+  contractAddress: String,
+
+  // Queued blockchain transaction carrying the release
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlockchainTransaction'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'confirmed', 'failed'],
+    default: 'pending'
+  },
+
+  // Transaction Information
+  txHash: {
+    type: String,
+    match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
+  },
+  blockNumber: Number,
+  gasUsed: String,
+  // Effective gas price and total fee paid, in wei
+  gasPrice: String,
+  fee: String,
+  requiredConfirmations: {
+    type: Number,
+    default: 1
+  },
+  eventData: mongoose.Schema.Types.Mixed,
+
+  // Failure Information
+  error: {
+    code: String,
+    message: String
+  },
+
+  // Approval policy and signatures that authorized the release
+  approvalPolicy: String,
+  approvals: [{
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    walletAddress: String,
+    organization: String,
+    signature: String,
+    signedAt: Date
+  }],
+
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  submittedAt: Date,
+  confirmedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Indexes
+disbursementSchema.index(
+  { milestone: 1, tranche: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+)
+disbursementSchema.index({ project: 1, createdAt: -1 })
+disbursementSchema.index({ status: 1, submittedAt: 1 })
+disbursementSchema.index({ txHash: 1 }, { sparse: true })
+
+// Virtual for the block explorer link of the release transaction
+disbursementSchema.virtual('explorerUrl').get(function() {
+  return getExplorerUrl(this.network, 'tx', this.txHash)
+})
+
+// Method to record the broadcast transaction hash; resolves null if the disbursement was already settled
+disbursementSchema.methods.markSubmitted = function(txHash) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['pending', 'submitted'] } },
+    { $set: { status: 'submitted', txHash, submittedAt: new Date() } },
+    { new: true }
+  )
+}
+
+// Method to record a confirmed on-chain release; resolves null if the disbursement was already settled
+disbursementSchema.methods.markConfirmed = function(result) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['pending', 'submitted'] } },
+    {
+      $set: {
+        status: 'confirmed',
+        txHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        gasUsed: result.gasUsed,
+        gasPrice: result.gasPrice,
+        fee: result.fee,
+        eventData: result.eventData,
+        confirmedAt: new Date()
+      }
+    },
+    { new: true }
+  )
+}
+
+// Method to record a failed or reverted release; resolves null if the disbursement was already settled
+disbursementSchema.methods.markFailed = function(error) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['pending', 'submitted'] } },
+    {
+      $set: {
+        status: 'failed',
+        error: {
+          code: error.code,
+          message: error.shortMessage || error.reason || error.message
+        },
+        failedAt: new Date()
+      }
+    },
+    { new: true }
+  )
+}
+
+// Static method to find the disbursement currently holding a tranche's release slot
+disbursementSchema.statics.findActiveForTranche = function(milestoneId, trancheId) {
+  return this.findOne({ milestone: milestoneId, tranche: trancheId, status: { $in: ACTIVE_STATUSES } })
+}
+
+// Add pagination plugin
+disbursementSchema.plugin(mongoosePaginate)
+
+export default mongoose.model('Disbursement', disbursementSchema)
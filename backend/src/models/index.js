@@ -3,3 +3,19 @@ export { default as User } from './user.model.js'
 export { default as Project } from './project.model.js'
 export { default as Milestone } from './milestone.model.js'
 export { default as Audit } from './audit.model.js'
+export { default as Session } from './session.model.js'
+export { default as WalletNonce } from './walletNonce.model.js'
+export { default as RateLimit } from './rateLimit.model.js'
+export { default as Invitation } from './invitation.model.js'
+export { default as Disbursement } from './disbursement.model.js'
+export { default as BlockchainTransaction } from './blockchainTransaction.model.js'
+export { default as SignerLock } from './signerLock.model.js'
+export { default as ChainEvent } from './chainEvent.model.js'
+export { default as ChainDiscrepancy } from './chainDiscrepancy.model.js'
+export { default as IndexerCheckpoint } from './indexerCheckpoint.model.js'
+export { default as OracleProviderConfig } from './oracleProviderConfig.model.js'
+export { default as OracleWebhookNonce } from './oracleWebhookNonce.model.js'
+export { default as OracleSnapshot } from './oracleSnapshot.model.js'
+export { default as Meter } from './meter.model.js'
+export { default as MeterReading } from './meterReading.model.js'
+export { default as MeterRollup } from './meterRollup.model.js'
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose'
+
+const indexerCheckpointSchema = new mongoose.Schema({
+  // One checkpoint per indexed contract and network
+  network: {
+    type: String,
+    enum: ['ethereum', 'polygon', 'bsc', 'localhost']
+  },
+
+  contractAddress: {
+    type: String,
+    required: [true, 'Contract address is required']
+  },
+
+  // Last block whose logs have been fully indexed, and its hash for reorg detection
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: String,
+
+  lastRunAt: Date,
+  lastError: {
+    message: String,
+    at: Date
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+indexerCheckpointSchema.index({ network: 1, contractAddress: 1 }, { unique: true })
+
+export default mongoose.model('IndexerCheckpoint', indexerCheckpointSchema)
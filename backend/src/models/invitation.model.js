@@ -0,0 +1,144 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+import mongoosePaginate from 'mongoose-paginate-v2'
+import config from '../config/index.js'
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: {
+      values: ['government', 'producer', 'auditor'],
+      message: 'Role must be government, producer, or auditor'
+    }
+  },
+
+  organization: {
+    name: String,
+    type: {
+      type: String,
+      enum: ['government', 'private', 'ngo', 'research']
+    },
+    registrationNumber: String
+  },
+
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  // Only the hash of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  sentCount: {
+    type: Number,
+    default: 1
+  },
+
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash
+      return ret
+    }
+  },
+  toObject: { virtuals: true }
+})
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true })
+invitationSchema.index({ email: 1, createdAt: -1 })
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted'
+  if (this.revokedAt) return 'revoked'
+  if (this.expiresAt <= Date.now()) return 'expired'
+  return 'pending'
+})
+
+// Method to generate a new invitation token (returns the plain token once)
+invitationSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex')
+
+  this.tokenHash = hashToken(token)
+  this.expiresAt = new Date(Date.now() + config.invitations.expiresIn)
+
+  return token
+}
+
+// Static method to find a usable invitation by its plain token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+// Static method to atomically mark a pending invitation as accepted - returns null if already used
+invitationSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      acceptedAt: { $exists: false },
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  )
+}
+
+// Static method to find the pending invitation for an email
+invitationSchema.statics.findPendingByEmail = function(email) {
+  return this.findOne({
+    email: email.toLowerCase(),
+    acceptedAt: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+// Add pagination plugin
+invitationSchema.plugin(mongoosePaginate)
+
+export default mongoose.model('Invitation', invitationSchema)
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose'
+import mongoosePaginate from 'mongoose-paginate-v2'
+import { METER_METRICS } from '../utils/meterReadings.js'
+
+const meterSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+
+  // Serial number or tag printed on the device
+  meterId: {
+    type: String,
+    required: [true, 'Meter ID is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_.-]+$/, 'Meter ID may only contain letters, digits, dots, dashes and underscores']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Meter name is required'],
+    trim: true,
+    maxlength: [100, 'Meter name cannot exceed 100 characters']
+  },
+
+  // Quantities this meter reports
+  metrics: {
+    type: [{
+      type: String,
+      enum: METER_METRICS
+    }],
+    validate: [metrics => metrics.length > 0, 'A meter must measure at least one metric']
+  },
+
+  location: String,
+
+  installedAt: Date,
+
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'decommissioned'],
+    default: 'active'
+  },
+
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastReadingAt: Date,
+
+  readingCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Lease serializing reading ingests across requests and processes; readings have no unique index
+  ingestLockToken: {
+    type: String,
+    select: false
+  },
+  ingestLockedUntil: {
+    type: Date,
+    select: false
+  }
+}, {
+  timestamps: true
+})
+
+meterSchema.index({ project: 1, status: 1 })
+
+// Static method to record ingested readings on the meter
+meterSchema.statics.recordIngest = function(id, count, lastReadingAt) {
+  return this.findByIdAndUpdate(
+    id,
+    {
+      $inc: { readingCount: count },
+      $max: { lastReadingAt }
+    },
+    { new: true }
+  )
+}
+
+// Static method to take the ingest lease - returns false while another ingest holds it
+meterSchema.statics.acquireIngestLock = async function(id, token, ttl) {
+  const now = new Date()
+  const meter = await this.findOneAndUpdate(
+    { _id: id, $or: [{ ingestLockedUntil: null }, { ingestLockedUntil: { $lte: now } }] },
+    { $set: { ingestLockToken: token, ingestLockedUntil: new Date(now.getTime() + ttl) } }
+  )
+  return Boolean(meter)
+}
+
+// Static method to give up the ingest lease if still held with this token
+meterSchema.statics.releaseIngestLock = function(id, token) {
+  return this.updateOne({ _id: id, ingestLockToken: token }, { $unset: { ingestLockToken: 1, ingestLockedUntil: 1 } })
+}
+
+meterSchema.plugin(mongoosePaginate)
+
+export default mongoose.model('Meter', meterSchema)
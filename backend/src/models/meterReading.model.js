@@ -0,0 +1,56 @@
+import mongoose from 'mongoose'
+
+// Raw meter readings, stored in a MongoDB time-series collection bucketed per meter
+const meterReadingSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: [true, 'Reading timestamp is required']
+  },
+
+  meta: {
+    meter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meter',
+      required: true
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    }
+  },
+
+  // Quantities since the meter's previous reading
+  hydrogenProducedKg: {
+    type: Number,
+    min: 0
+  },
+
+  energyConsumedMwh: {
+    type: Number,
+    min: 0
+  },
+
+  waterUsedM3: {
+    type: Number,
+    min: 0
+  },
+
+  source: {
+    type: String,
+    enum: ['api', 'csv'],
+    default: 'api'
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  versionKey: false
+})
+
+meterReadingSchema.index({ 'meta.meter': 1, timestamp: 1 })
+meterReadingSchema.index({ 'meta.project': 1, timestamp: 1 })
+
+export default mongoose.model('MeterReading', meterReadingSchema)
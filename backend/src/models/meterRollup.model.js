@@ -0,0 +1,47 @@
+import mongoose from 'mongoose'
+import { METER_METRICS, ROLLUP_PERIODS } from '../utils/meterReadings.js'
+
+// Totals of a meter's readings per hour, day and month, recomputed from raw readings on ingest
+const meterRollupSchema = new mongoose.Schema({
+  meter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meter',
+    required: true
+  },
+
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+
+  period: {
+    type: String,
+    enum: ROLLUP_PERIODS,
+    required: true
+  },
+
+  // Start of the hour, day or month in the configured timezone
+  periodStart: {
+    type: Date,
+    required: true
+  },
+
+  ...Object.fromEntries(METER_METRICS.map(metric => [metric, { type: Number, default: 0 }])),
+
+  readings: {
+    type: Number,
+    default: 0
+  },
+
+  firstReadingAt: Date,
+
+  lastReadingAt: Date
+}, {
+  timestamps: true
+})
+
+meterRollupSchema.index({ meter: 1, period: 1, periodStart: 1 }, { unique: true })
+meterRollupSchema.index({ project: 1, period: 1, periodStart: 1 })
+
+export default mongoose.model('MeterRollup', meterRollupSchema)
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose'
+import { ethers } from 'ethers'
 import mongoosePaginate from 'mongoose-paginate-v2'
+import { TARGET_OPERATORS, evaluateTarget } from '../utils/performanceRules.js'
 
 const milestoneSchema = new mongoose.Schema({
   // Basic Information
@@ -28,16 +30,43 @@ const milestoneSchema = new mongoose.Schema({
   },
   
   // Blockchain Information
+  // Generated from the project and document ids on first validation; never supplied by clients
   milestoneId: {
     type: String,
     required: [true, 'Blockchain milestone ID is required'],
     unique: true
   },
+
+  // keccak256 of milestoneId and of each tranche's contract milestone ID; contract events carry indexed
+  // string arguments only as this hash
+  chainIdHashes: {
+    type: [String],
+    index: true
+  },
   
   blockchainTxHash: {
     type: String,
     match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
   },
+
+  // On-chain registration state, kept in step by the transaction queue
+  blockchainSync: {
+    status: {
+      type: String,
+      enum: ['not_registered', 'pending', 'confirmed', 'failed'],
+      default: 'not_registered'
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BlockchainTransaction'
+    },
+    blockNumber: Number,
+    syncedAt: Date,
+    error: {
+      code: String,
+      message: String
+    }
+  },
   
   // Milestone Details
   sequenceNumber: {
@@ -93,6 +122,59 @@ const milestoneSchema = new mongoose.Schema({
     type: String,
     match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
   },
+
+  // Subsidy split into tranches released separately, e.g. 70% on approval and 30% after a warranty period.
+  // Amounts are allocated from the percentages; released is only set once every tranche is paid out.
+  tranches: [{
+    label: {
+      type: String,
+      required: [true, 'Tranche label is required'],
+      trim: true,
+      maxlength: [100, 'Tranche label cannot exceed 100 characters']
+    },
+    percentage: {
+      type: Number,
+      required: [true, 'Tranche percentage is required'],
+      min: [0, 'Tranche percentage must be between 0 and 100'],
+      max: [100, 'Tranche percentage must be between 0 and 100']
+    },
+    amount: Number,
+    // approval: payable once the milestone is approved; warranty: held for warrantyPeriodDays after completion
+    releaseCondition: {
+      type: String,
+      enum: ['approval', 'warranty'],
+      default: 'approval'
+    },
+    warrantyPeriodDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Warranty period cannot be negative']
+    },
+    released: {
+      type: Boolean,
+      default: false
+    },
+    releasedAmount: {
+      type: Number,
+      default: 0
+    },
+    releaseDate: Date,
+    releaseTxHash: {
+      type: String,
+      match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
+    },
+    // createMilestone transaction that registered this tranche as its own contract milestone (split milestones only)
+    registrationTxHash: {
+      type: String,
+      match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
+    }
+  }],
+
+  releasedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Released amount must be positive']
+  },
   
   // Status and Progress
   status: {
@@ -136,6 +218,10 @@ const milestoneSchema = new mongoose.Schema({
       required: true
     },
     url: String,
+    isRequired: {
+      type: Boolean,
+      default: true
+    },
     isSubmitted: {
       type: Boolean,
       default: false
@@ -144,6 +230,38 @@ const milestoneSchema = new mongoose.Schema({
     submittedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    evidence: [{
+      name: {
+        type: String,
+        required: true
+      },
+      mimeType: String,
+      size: Number,
+      sha256: String,
+      storageProvider: String,
+      storageKey: String,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected'],
+        default: 'pending'
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      comments: String
     }
   }],
   
@@ -167,6 +285,15 @@ const milestoneSchema = new mongoose.Schema({
     isVerified: {
       type: Boolean,
       default: false
+    },
+    targetOverride: {
+      reason: String,
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      overriddenAt: Date,
+      unmetTargets: [String]
     }
   },
   
@@ -182,6 +309,35 @@ const milestoneSchema = new mongoose.Schema({
       default: false
     }
   },
+
+  // Wallet signatures of government approvers authorizing subsidy releases, collected per tranche
+  releaseApprovals: [{
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    tranche: mongoose.Schema.Types.ObjectId,
+    walletAddress: {
+      type: String,
+      required: true,
+      match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid Ethereum address']
+    },
+    organization: String, // Approver's organization when signing
+    message: {
+      type: String,
+      required: true
+    },
+    signature: {
+      type: String,
+      required: true
+    },
+    comments: String,
+    signedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Technical Specifications
   technicalSpecs: {
@@ -190,7 +346,32 @@ const milestoneSchema = new mongoose.Schema({
       targetValue: Number,
       actualValue: Number,
       unit: String,
-      achieved: Boolean
+      operator: {
+        type: String,
+        enum: TARGET_OPERATORS,
+        default: 'gte'
+      },
+      tolerance: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tolerance cannot be negative']
+      },
+      toleranceType: {
+        type: String,
+        enum: ['absolute', 'percent'],
+        default: 'absolute'
+      },
+      isMandatory: {
+        type: Boolean,
+        default: true
+      },
+      achieved: Boolean,
+      deviation: Number,
+      valueSource: {
+        type: String,
+        enum: ['manual', 'oracle', 'meter']
+      },
+      evaluatedAt: Date
     }],
     qualityStandards: [String],
     complianceChecks: [{
@@ -208,7 +389,27 @@ const milestoneSchema = new mongoose.Schema({
     dataSource: String,
     lastUpdated: Date,
     verificationHash: String,
-    data: mongoose.Schema.Types.Mixed
+    data: mongoose.Schema.Types.Mixed,
+
+    // EIP-712 attestation signed by the oracle key over verificationHash
+    attestation: {
+      domain: mongoose.Schema.Types.Mixed,
+      message: {
+        milestoneId: String,
+        dataHash: String,
+        consensusScore: Number, // basis points
+        timestamp: Number // unix seconds
+      },
+      signature: String,
+      signer: String,
+      signedAt: Date
+    },
+
+    // Snapshot holding this reading; earlier readings stay in the OracleSnapshot collection
+    snapshot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OracleSnapshot'
+    }
   },
   
   // Comments and Updates
@@ -255,7 +456,8 @@ const milestoneSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['finish_to_start', 'start_to_start', 'finish_to_finish']
+      enum: ['finish_to_start', 'start_to_start', 'finish_to_finish'],
+      default: 'finish_to_start'
     },
     description: String
   }],
@@ -282,6 +484,7 @@ const milestoneSchema = new mongoose.Schema({
 // Indexes (milestoneId already has unique index)
 milestoneSchema.index({ project: 1, sequenceNumber: 1 })
 milestoneSchema.index({ status: 1 })
+milestoneSchema.index({ project: 1, 'blockchainSync.status': 1 })
 milestoneSchema.index({ plannedEndDate: 1 })
 milestoneSchema.index({ createdAt: -1 })
 
@@ -314,19 +517,56 @@ milestoneSchema.virtual('isOverdue').get(function() {
   return this.plannedEndDate < today
 })
 
+// Assign the deterministic on-chain milestone ID
+milestoneSchema.pre('validate', function(next) {
+  if (!this.milestoneId && this.projectId) {
+    this.milestoneId = `${this.projectId}-MS-${this._id.toString()}`
+  }
+  next()
+})
+
+// Default to a single tranche (carrying over a release made before tranches existed) and allocate amounts
+milestoneSchema.pre('validate', function(next) {
+  if (this.tranches.length === 0) {
+    this.tranches.push(this.released
+      ? { label: 'Full release', percentage: 100, released: true, releasedAmount: this.subsidyAmount, releaseDate: this.releaseDate, releaseTxHash: this.releaseTxHash }
+      : { label: 'Full release', percentage: 100 })
+    this.releasedAmount = this.released ? this.subsidyAmount : 0
+  }
+
+  const total = this.tranches.reduce((sum, tranche) => sum + tranche.percentage, 0)
+  if (Math.abs(total - 100) > 0.001) {
+    this.invalidate('tranches', 'Tranche percentages must add up to 100')
+  }
+
+  // Amounts are fixed once a tranche has been paid out
+  if ((this.isModified('tranches') || this.isModified('subsidyAmount')) && !this.tranches.some(tranche => tranche.released)) {
+    this.allocateTranches()
+  }
+
+  next()
+})
+
+// Keep the hashes of the on-chain IDs in step with the tranches
+milestoneSchema.pre('validate', function(next) {
+  if (this.milestoneId) {
+    this.chainIdHashes = this.getChainIdHashes()
+  }
+  next()
+})
+
 // Pre-save middleware
 milestoneSchema.pre('save', function(next) {
-  // Update status based on completion percentage
-  if (this.completionPercentage === 100 && this.status !== 'completed') {
-    this.status = 'completed'
-    this.actualEndDate = new Date()
-  }
-  
   // Check if overdue
   if (this.isOverdue && this.status === 'in_progress') {
     this.status = 'overdue'
   }
   
+  // Re-evaluate performance targets whenever they or their actual values change
+  if (this.isModified('technicalSpecs.performanceTargets')) {
+    this.evaluatePerformanceTargets()
+  }
+  
   // Calculate completion percentage based on requirements
   if (this.requirements && this.requirements.length > 0) {
     const completedRequirements = this.requirements.filter(req => req.isCompleted).length
@@ -366,11 +606,19 @@ milestoneSchema.methods.complete = function(completedBy) {
 }
 
 // Method to verify milestone
-milestoneSchema.methods.verify = function(verifiedBy, comments = '') {
+milestoneSchema.methods.verify = function(verifiedBy, comments = '', targetOverride = null) {
   this.verification.isVerified = true
   this.verification.verifiedBy = verifiedBy
   this.verification.verificationDate = new Date()
   this.verification.verificationComments = comments
+
+  if (targetOverride) {
+    this.verification.targetOverride = {
+      ...targetOverride,
+      overriddenBy: verifiedBy,
+      overriddenAt: new Date()
+    }
+  }
   
   this.updates.push({
     message: `Milestone verified${comments ? ': ' + comments : ''}`,
@@ -397,6 +645,173 @@ milestoneSchema.methods.approve = function(approvedBy, comments = '') {
   return this.save()
 }
 
+// Method to list dependencies blocking a workflow transition ('start' or 'complete')
+milestoneSchema.methods.getUnmetDependencies = async function(transition) {
+  if (!this.dependencies || this.dependencies.length === 0) return []
+
+  // Cancelled or removed predecessors no longer constrain the schedule
+  const predecessors = await this.constructor.find({
+    _id: { $in: this.dependencies.map(dependency => dependency.milestoneId) },
+    isActive: true,
+    status: { $ne: 'cancelled' }
+  }).select('title status')
+
+  const byId = new Map(predecessors.map(predecessor => [predecessor._id.toString(), predecessor]))
+
+  return this.dependencies
+    .filter(dependency => {
+      const predecessor = byId.get(dependency.milestoneId?.toString())
+      if (!predecessor) return false
+
+      const started = predecessor.status !== 'pending'
+      const completed = predecessor.status === 'completed'
+
+      switch (dependency.type) {
+        case 'start_to_start':
+          return !started
+        case 'finish_to_finish':
+          return transition === 'complete' && !completed
+        default:
+          return !completed
+      }
+    })
+    .map(dependency => ({
+      milestoneId: dependency.milestoneId,
+      title: byId.get(dependency.milestoneId.toString()).title,
+      type: dependency.type
+    }))
+}
+
+// Method to evaluate performance targets against their actual values
+milestoneSchema.methods.evaluatePerformanceTargets = function() {
+  const targets = this.technicalSpecs?.performanceTargets || []
+
+  for (const target of targets) {
+    const { achieved, deviation } = evaluateTarget(target)
+
+    target.achieved = achieved ?? undefined
+    target.deviation = deviation ?? undefined
+    target.evaluatedAt = achieved === null ? undefined : new Date()
+  }
+
+  return targets
+}
+
+// Method to record actual values keyed by parameter name and re-evaluate targets
+milestoneSchema.methods.recordActualValues = function(values, source = 'manual') {
+  const targets = this.technicalSpecs?.performanceTargets || []
+
+  for (const target of targets) {
+    const value = values[target.parameter]
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      target.actualValue = value
+      target.valueSource = source
+    }
+  }
+
+  return this.evaluatePerformanceTargets()
+}
+
+// Method to list mandatory performance targets that are not (yet) achieved
+milestoneSchema.methods.getUnmetMandatoryTargets = function() {
+  return (this.technicalSpecs?.performanceTargets || [])
+    .filter(target => target.isMandatory !== false && target.achieved !== true)
+}
+
+// Method to list required deliverables that still need evidence
+milestoneSchema.methods.getMissingDeliverables = function() {
+  return this.deliverables.filter(deliverable => deliverable.isRequired && !deliverable.isSubmitted)
+}
+
+// Method to attach evidence to a deliverable and mark it as submitted for review
+milestoneSchema.methods.submitDeliverable = function(deliverableId, files, submittedBy) {
+  const deliverable = this.deliverables.id(deliverableId)
+
+  files.forEach(file => deliverable.evidence.push({ ...file, uploadedBy: submittedBy }))
+  deliverable.isSubmitted = true
+  deliverable.submittedDate = new Date()
+  deliverable.submittedBy = submittedBy
+  deliverable.review = { status: 'pending' }
+
+  this.updates.push({
+    message: `Evidence submitted for deliverable: ${deliverable.name}`,
+    updatedBy: submittedBy,
+    type: 'progress'
+  })
+
+  return this.save()
+}
+
+// Method to accept or reject a deliverable's evidence; rejection reopens it for resubmission
+milestoneSchema.methods.reviewDeliverable = function(deliverableId, status, reviewedBy, comments = '') {
+  const deliverable = this.deliverables.id(deliverableId)
+
+  deliverable.review = {
+    status,
+    reviewedBy,
+    reviewedAt: new Date(),
+    comments
+  }
+
+  if (status === 'rejected') {
+    deliverable.isSubmitted = false
+  }
+
+  this.updates.push({
+    message: `Deliverable ${deliverable.name} ${status}${comments ? ': ' + comments : ''}`,
+    updatedBy: reviewedBy,
+    type: status === 'rejected' ? 'issue' : 'progress'
+  })
+
+  return this.save()
+}
+
+// Method to split the subsidy across tranches by percentage; the last tranche absorbs rounding
+milestoneSchema.methods.allocateTranches = function() {
+  let allocated = 0
+  this.tranches.forEach((tranche, index) => {
+    tranche.amount = index === this.tranches.length - 1
+      ? this.subsidyAmount - allocated
+      : Math.floor(this.subsidyAmount * tranche.percentage / 100)
+    allocated += tranche.amount
+  })
+}
+
+// Method to get when a tranche becomes payable; null until the milestone is approved
+milestoneSchema.methods.getTrancheAvailableAt = function(tranche) {
+  if (!this.approval.isApproved) return null
+  if (tranche.releaseCondition !== 'warranty') return this.approval.approvalDate
+
+  const start = this.actualEndDate || this.approval.approvalDate
+  return new Date(start.getTime() + tranche.warrantyPeriodDays * 24 * 60 * 60 * 1000)
+}
+
+// Method to get the contract milestone ID a tranche is registered and released under. The contract pays a
+// milestone out in full, so each tranche of a split milestone is its own contract milestone.
+milestoneSchema.methods.getTrancheChainId = function(tranche) {
+  if (this.tranches.length <= 1) return this.milestoneId
+
+  const index = this.tranches.findIndex(candidate => candidate._id.equals(tranche._id))
+  return `${this.milestoneId}-T${index + 1}`
+}
+
+// Method to hash every contract milestone ID the milestone is registered under
+milestoneSchema.methods.getChainIdHashes = function() {
+  const ids = new Set([this.milestoneId, ...this.tranches.map(tranche => this.getTrancheChainId(tranche))])
+  return [...ids].map(id => ethers.id(id))
+}
+
+// Method to get the first tranche of a split milestone not yet registered on-chain
+milestoneSchema.methods.getUnregisteredTranche = function() {
+  if (this.tranches.length <= 1) return null
+  return this.tranches.find(tranche => !tranche.registrationTxHash) || null
+}
+
+// Method to get the first tranche not yet released
+milestoneSchema.methods.getNextTranche = function() {
+  return this.tranches.find(tranche => !tranche.released) || null
+}
+
 // Method to release subsidy
 milestoneSchema.methods.releaseSubsidy = function(txHash) {
   this.released = true
@@ -419,6 +834,48 @@ milestoneSchema.methods.addUpdate = function(message, updatedBy, type = 'general
 }
 
 // Static methods
+// Atomically add a release approval for an unreleased tranche unless the approver already signed it; resolves null if they did
+milestoneSchema.statics.addReleaseApproval = function(id, approval) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      tranches: { $elemMatch: { _id: approval.tranche, released: false } },
+      releaseApprovals: { $not: { $elemMatch: { approver: approval.approver, tranche: approval.tranche } } }
+    },
+    { $push: { releaseApprovals: approval } },
+    { new: true }
+  )
+}
+
+// Atomically mark a tranche as released, and the milestone once all tranches are; resolves null if the tranche already was
+milestoneSchema.statics.markTrancheReleased = async function(id, trancheId, amount, txHash) {
+  const releaseDate = new Date()
+
+  const milestone = await this.findOneAndUpdate(
+    { _id: id, tranches: { $elemMatch: { _id: trancheId, released: false } } },
+    {
+      $set: {
+        'tranches.$.released': true,
+        'tranches.$.releasedAmount': amount,
+        'tranches.$.releaseDate': releaseDate,
+        'tranches.$.releaseTxHash': txHash
+      },
+      $inc: { releasedAmount: amount }
+    },
+    { new: true }
+  )
+
+  if (!milestone || milestone.tranches.some(tranche => !tranche.released)) {
+    return milestone
+  }
+
+  return await this.findOneAndUpdate(
+    { _id: id, released: false },
+    { $set: { released: true, releaseDate, releaseTxHash: txHash } },
+    { new: true }
+  ) || milestone
+}
+
 milestoneSchema.statics.findByProject = function(projectId) {
   return this.find({ project: projectId, isActive: true })
     .sort({ sequenceNumber: 1 })
@@ -470,7 +927,8 @@ milestoneSchema.statics.getStatistics = async function(projectId = null) {
         },
         totalSubsidy: { $sum: '$subsidyAmount' },
         releasedSubsidy: {
-          $sum: { $cond: ['$released', '$subsidyAmount', 0] }
+          // Milestones released before tranches existed have no releasedAmount
+          $sum: { $cond: ['$released', '$subsidyAmount', { $ifNull: ['$releasedAmount', 0] }] }
         },
         avgCompletion: { $avg: '$completionPercentage' }
       }
@@ -487,6 +945,16 @@ milestoneSchema.statics.getStatistics = async function(projectId = null) {
   }
 }
 
+// Static method to fill in chainIdHashes on milestones saved before they were stored
+milestoneSchema.statics.backfillChainIdHashes = async function() {
+  let updated = 0
+  for await (const milestone of this.find({ 'chainIdHashes.0': { $exists: false } }).select('milestoneId tranches').cursor()) {
+    await this.updateOne({ _id: milestone._id }, { $set: { chainIdHashes: milestone.getChainIdHashes() } })
+    updated++
+  }
+  return updated
+}
+
 // Add pagination plugin
 milestoneSchema.plugin(mongoosePaginate)
 
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose'
+
+// Oracle provider settings managed at runtime; they override config.oracle.providers entries with the same providerId
+const oracleProviderConfigSchema = new mongoose.Schema({
+  providerId: {
+    type: String,
+    required: [true, 'Provider ID is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Provider ID may only contain lowercase letters, digits, dashes and underscores']
+  },
+
+  // Registered provider module, e.g. 'weather'
+  type: {
+    type: String,
+    required: [true, 'Provider type is required']
+  },
+
+  name: String,
+
+  endpoint: {
+    type: String,
+    match: [/^https?:\/\/\S+$/, 'Please provide a valid provider endpoint URL']
+  },
+
+  apiKey: {
+    type: String,
+    select: false
+  },
+
+  // Shared secret for verifying signatures on pushed data
+  webhookSecret: {
+    type: String,
+    select: false
+  },
+
+  // Share of the verification score this provider contributes
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  },
+
+  // Request timeout in ms
+  timeout: {
+    type: Number,
+    min: [100, 'Timeout must be at least 100ms']
+  },
+
+  // Maximum requests per minute, 0 for no limit
+  rateLimit: {
+    type: Number,
+    min: [0, 'Rate limit cannot be negative']
+  },
+
+  enabled: Boolean,
+
+  // Provider-specific settings
+  options: mongoose.Schema.Types.Mixed,
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+})
+
+// Method to get the settings that were actually stored, for merging over the config defaults
+oracleProviderConfigSchema.methods.toDefinition = function() {
+  const definition = { id: this.providerId, type: this.type }
+
+  for (const field of ['name', 'endpoint', 'apiKey', 'webhookSecret', 'weight', 'timeout', 'rateLimit', 'enabled', 'options']) {
+    if (this[field] !== undefined && this[field] !== null) {
+      definition[field] = this[field]
+    }
+  }
+
+  return definition
+}
+
+export default mongoose.model('OracleProviderConfig', oracleProviderConfigSchema)
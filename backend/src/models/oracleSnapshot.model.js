@@ -0,0 +1,67 @@
+import mongoose from 'mongoose'
+import mongoosePaginate from 'mongoose-paginate-v2'
+
+// One aggregated oracle reading of a milestone; milestone.oracleData only holds the latest
+const oracleSnapshotSchema = new mongoose.Schema({
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone',
+    required: [true, 'Milestone is required']
+  },
+
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
+  // What triggered the reading
+  source: {
+    type: String,
+    enum: ['manual', 'scheduled', 'webhook'],
+    default: 'manual'
+  },
+
+  dataSource: String,
+
+  verificationScore: Number,
+
+  consensus: Boolean,
+
+  verificationHash: String,
+
+  data: mongoose.Schema.Types.Mixed,
+
+  attestation: {
+    domain: mongoose.Schema.Types.Mixed,
+    message: {
+      milestoneId: String,
+      dataHash: String,
+      consensusScore: Number,
+      timestamp: Number
+    },
+    signature: String,
+    signer: String,
+    signedAt: Date
+  },
+
+  // Outcome per provider, for spotting unreliable sources
+  providers: [{
+    providerId: String,
+    providerType: String,
+    success: Boolean,
+    error: String
+  }],
+
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+oracleSnapshotSchema.index({ milestone: 1, capturedAt: -1 })
+
+oracleSnapshotSchema.plugin(mongoosePaginate)
+
+export default mongoose.model('OracleSnapshot', oracleSnapshotSchema)
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose'
+
+// Nonces of accepted oracle webhook deliveries, kept until their timestamp falls outside the replay window
+const oracleWebhookNonceSchema = new mongoose.Schema({
+  providerId: {
+    type: String,
+    required: [true, 'Provider ID is required']
+  },
+
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+
+  ipAddress: String,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+oracleWebhookNonceSchema.index({ providerId: 1, nonce: 1 }, { unique: true })
+
+// Purge expired nonces automatically
+oracleWebhookNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Static method to record a nonce - returns false if the provider already used it
+oracleWebhookNonceSchema.statics.claim = async function(providerId, nonce, expiresAt, ipAddress) {
+  try {
+    await this.create({ providerId, nonce, expiresAt, ipAddress })
+    return true
+  } catch (error) {
+    if (error.code === 11000) {
+      return false
+    }
+    throw error
+  }
+}
+
+export default mongoose.model('OracleWebhookNonce', oracleWebhookNonceSchema)
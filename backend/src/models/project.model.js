@@ -1,5 +1,7 @@
 import mongoose from 'mongoose'
+import { ethers } from 'ethers'
 import mongoosePaginate from 'mongoose-paginate-v2'
+import { getExplorerUrl } from '../utils/networks.js'
 
 const projectSchema = new mongoose.Schema({
   // Basic Information
@@ -16,11 +18,24 @@ const projectSchema = new mongoose.Schema({
   },
   
   // Blockchain Information
+  // Generated from the document id on first validation; never supplied by clients
   projectId: {
     type: String,
     required: [true, 'Blockchain project ID is required'],
     unique: true
   },
+
+  // keccak256 of projectId; contract events carry indexed string arguments only as this hash
+  chainIdHash: {
+    type: String,
+    index: true
+  },
+  
+  // Network key from config.blockchain.networks; all chain calls for the project go there
+  network: {
+    type: String,
+    enum: ['ethereum', 'polygon', 'bsc', 'localhost']
+  },
   
   contractAddress: {
     type: String,
@@ -28,6 +43,30 @@ const projectSchema = new mongoose.Schema({
     match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid contract address']
   },
   
+  blockchainTxHash: {
+    type: String,
+    match: [/^0x[a-fA-F0-9]{64}$/, 'Please provide a valid transaction hash']
+  },
+
+  // On-chain registration state, kept in step by the transaction queue
+  blockchainSync: {
+    status: {
+      type: String,
+      enum: ['not_registered', 'pending', 'confirmed', 'failed'],
+      default: 'not_registered'
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BlockchainTransaction'
+    },
+    blockNumber: Number,
+    syncedAt: Date,
+    error: {
+      code: String,
+      message: String
+    }
+  },
+  
   // Participants
   producer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -203,6 +242,14 @@ const projectSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    description: String,
+    // Stored file metadata (absent for documents that are external URLs)
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    sha256: String,
+    storageProvider: String,
+    storageKey: String,
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -266,6 +313,7 @@ projectSchema.index({ producer: 1 })
 projectSchema.index({ government: 1 })
 projectSchema.index({ status: 1 })
 projectSchema.index({ approvalStatus: 1 })
+projectSchema.index({ 'blockchainSync.status': 1 })
 projectSchema.index({ location: '2dsphere' })
 projectSchema.index({ createdAt: -1 })
 projectSchema.index({ expectedStartDate: 1 })
@@ -276,6 +324,11 @@ projectSchema.virtual('remainingSubsidy').get(function() {
   return this.totalSubsidy - this.released
 })
 
+// Virtual for the block explorer link of the on-chain registration
+projectSchema.virtual('explorerUrl').get(function() {
+  return getExplorerUrl(this.network, 'tx', this.blockchainTxHash)
+})
+
 // Virtual for days remaining
 projectSchema.virtual('daysRemaining').get(function() {
   if (!this.expectedEndDate) return null
@@ -291,12 +344,23 @@ projectSchema.virtual('duration').get(function() {
   return Math.ceil(timeDiff / (1000 * 3600 * 24))
 })
 
+// Assign the deterministic on-chain project ID
+projectSchema.pre('validate', function(next) {
+  if (!this.projectId) {
+    this.projectId = `PRJ-${this._id.toString()}`
+  }
+  if (!this.chainIdHash || this.isModified('projectId')) {
+    this.chainIdHash = ethers.id(this.projectId)
+  }
+  next()
+})
+
 // Pre-save middleware
 projectSchema.pre('save', function(next) {
-  // Calculate progress percentage based on completed milestones
-  if (this.milestoneCount > 0) {
-    this.progressPercentage = Math.round((this.completedMilestones / this.milestoneCount) * 100)
-  }
+  // Progress is the released share of the subsidy, so each paid tranche moves it (same as recordRelease)
+  this.progressPercentage = this.totalSubsidy > 0
+    ? Math.min(100, Math.round((this.released / this.totalSubsidy) * 100))
+    : 0
   
   // Update status based on progress
   if (this.progressPercentage === 100 && this.status === 'active') {
@@ -335,6 +399,16 @@ projectSchema.methods.updateStatus = function(newStatus, updatedBy) {
   return this.save()
 }
 
+// Method to check project membership - government oversees every project, others only their own
+projectSchema.methods.isMember = function(user) {
+  if (user.role === 'government') return true
+
+  const userId = user._id.toString()
+  const refId = (ref) => ref?._id?.toString() || ref?.toString()
+
+  return refId(this.producer) === userId || refId(this.auditor) === userId
+}
+
 // Method to get summary
 projectSchema.methods.getSummary = function() {
   return {
@@ -356,6 +430,32 @@ projectSchema.methods.getSummary = function() {
 }
 
 // Static methods
+// Atomically add a released tranche to the project total and recompute progress and completion like pre-save
+projectSchema.statics.recordRelease = function(id, amount) {
+  const completes = { $and: [{ $eq: ['$progressPercentage', 100] }, { $eq: ['$status', 'active'] }] }
+
+  return this.findByIdAndUpdate(id, [
+    { $set: { released: { $add: ['$released', amount] } } },
+    {
+      $set: {
+        progressPercentage: {
+          $cond: [
+            { $gt: ['$totalSubsidy', 0] },
+            { $min: [100, { $floor: { $add: [{ $multiply: [{ $divide: ['$released', '$totalSubsidy'] }, 100] }, 0.5] } }] },
+            0
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        status: { $cond: [completes, 'completed', '$status'] },
+        actualEndDate: { $cond: [completes, '$$NOW', '$actualEndDate'] }
+      }
+    }
+  ], { new: true })
+}
+
 projectSchema.statics.findByProducer = function(producerId) {
   return this.find({ producer: producerId, isActive: true })
     .populate('producer', 'name email walletAddress')
@@ -406,6 +506,16 @@ projectSchema.statics.getStatistics = async function() {
   }
 }
 
+// Static method to fill in chainIdHash on projects saved before it was stored
+projectSchema.statics.backfillChainIdHashes = async function() {
+  let updated = 0
+  for await (const project of this.find({ chainIdHash: null, projectId: { $ne: null } }).select('projectId').lean().cursor()) {
+    await this.updateOne({ _id: project._id }, { $set: { chainIdHash: ethers.id(project.projectId) } })
+    updated++
+  }
+  return updated
+}
+
 // Add pagination plugin
 projectSchema.plugin(mongoosePaginate)
 
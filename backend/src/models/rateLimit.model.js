@@ -0,0 +1,36 @@
+import mongoose from 'mongoose'
+
+const rateLimitSchema = new mongoose.Schema({
+  // Limiter key, e.g. "ip:1.2.3.4:/api/auth/login" or "email:a@b.c:/api/auth/login"
+  key: {
+    type: String,
+    required: [true, 'Rate limit key is required'],
+    unique: true
+  },
+
+  // Attempts in the current window
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  resetAt: Date,
+
+  // Backoff state
+  blockedUntil: Date,
+
+  violations: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+})
+
+// Purge records once both the window and any backoff have decayed
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('RateLimit', rateLimitSchema)
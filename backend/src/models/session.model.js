@@ -0,0 +1,244 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import config from '../config/index.js'
+
+// Number of rotated-out refresh token hashes kept for reuse detection
+const PREVIOUS_TOKEN_HISTORY = 20
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Refresh tokens are bound to their session: "<sessionId>.<secret>"
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`
+
+// Convert '30d' / '12h' / '15m' / '45s' style durations into milliseconds
+const durationToMs = (value) => {
+  if (typeof value === 'number') return value * 1000
+
+  const match = /^(\d+)\s*([smhd])$/.exec(value)
+  if (!match) return parseInt(value) * 1000
+
+  const multipliers = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+  return parseInt(match[1]) * multipliers[match[2]]
+}
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required']
+  },
+
+  // Hash of the currently valid refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Hashes of refresh tokens that were already rotated - presenting one again means the token was stolen
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+
+  // Device Information
+  device: {
+    userAgent: String,
+    ipAddress: String,
+    lastIpAddress: String
+  },
+
+  authMethod: {
+    type: String,
+    enum: ['password', 'wallet', 'password_reset', 'registration'],
+    default: 'password'
+  },
+
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_change', 'admin_revoked', 'account_deactivated']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 })
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }) // Purge expired sessions
+
+// Virtual for active status
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now()
+})
+
+// Generate a refresh token bound to this session
+sessionSchema.methods.generateRefreshToken = function() {
+  const token = createRefreshToken(this._id)
+
+  if (this.refreshTokenHash) {
+    this.previousTokenHashes = [
+      this.refreshTokenHash,
+      ...(this.previousTokenHashes || [])
+    ].slice(0, PREVIOUS_TOKEN_HISTORY)
+  }
+
+  this.refreshTokenHash = hashToken(token)
+  return token
+}
+
+// Generate a short-lived access token bound to this session
+sessionSchema.methods.generateAccessToken = function(user) {
+  return jwt.sign(
+    { ...user.getTokenPayload(), sid: this._id },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  )
+}
+
+// Revoke session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date()
+  this.revokedReason = reason
+  return this.save()
+}
+
+// Public view of the session
+sessionSchema.methods.toPublic = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    device: {
+      userAgent: this.device?.userAgent,
+      ipAddress: this.device?.lastIpAddress || this.device?.ipAddress
+    },
+    authMethod: this.authMethod,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  }
+}
+
+// Static method to open a new session and issue its first token pair
+sessionSchema.statics.issue = async function(user, { ipAddress, userAgent, authMethod = 'password' } = {}) {
+  const session = new this({
+    user: user._id,
+    device: {
+      userAgent,
+      ipAddress,
+      lastIpAddress: ipAddress
+    },
+    authMethod,
+    expiresAt: new Date(Date.now() + durationToMs(config.jwt.refreshExpiresIn))
+  })
+
+  const refreshToken = session.generateRefreshToken()
+  await session.save()
+
+  return {
+    session,
+    token: session.generateAccessToken(user),
+    refreshToken
+  }
+}
+
+// Static method to exchange a refresh token for a new token pair.
+// Returns { session, reused } - reused is true when a rotated-out token was replayed.
+sessionSchema.statics.findForRefresh = async function(refreshToken) {
+  const [sessionId] = (refreshToken || '').split('.')
+
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return { session: null, reused: false }
+  }
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash +previousTokenHashes')
+  if (!session) {
+    return { session: null, reused: false }
+  }
+
+  const tokenHash = hashToken(refreshToken)
+
+  if (session.refreshTokenHash === tokenHash) {
+    return { session, reused: false }
+  }
+
+  return {
+    session: null,
+    reused: (session.previousTokenHashes || []).includes(tokenHash),
+    compromisedSession: session
+  }
+}
+
+// Static method to rotate a session's refresh token. The swap only succeeds while the presented token is still
+// the current one, so of two concurrent refreshes with the same token exactly one wins.
+// Resolves { session, refreshToken }, or null when the token was already rotated or the session revoked.
+sessionSchema.statics.rotate = async function(sessionId, presentedToken, ipAddress) {
+  const presentedHash = hashToken(presentedToken)
+  const refreshToken = createRefreshToken(sessionId)
+
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        lastUsedAt: new Date(),
+        'device.lastIpAddress': ipAddress
+      },
+      $inc: { rotationCount: 1 },
+      $push: {
+        previousTokenHashes: { $each: [presentedHash], $position: 0, $slice: PREVIOUS_TOKEN_HISTORY }
+      }
+    },
+    { new: true }
+  )
+
+  return session ? { session, refreshToken } : null
+}
+
+// Static method to list active sessions for a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 })
+}
+
+// Static method to revoke all sessions for a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: { $exists: false } }
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId }
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  })
+}
+
+export default mongoose.model('Session', sessionSchema)
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose'
+
+// Lease on a signer's transaction queue, so only one process assigns its nonces at a time
+const signerLockSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    enum: ['ethereum', 'polygon', 'bsc', 'localhost']
+  },
+
+  signer: {
+    type: String,
+    required: [true, 'Signer address is required']
+  },
+
+  // Queue instance holding the lease, and when the lease lapses if it is not renewed
+  owner: String,
+  lockedUntil: Date
+}, {
+  timestamps: true
+})
+
+// Indexes
+signerLockSchema.index({ network: 1, signer: 1 }, { unique: true })
+
+// Static method to take or renew the lease - returns false while another owner holds it
+signerLockSchema.statics.acquire = async function(network, signer, owner, ttl) {
+  const now = new Date()
+
+  try {
+    await this.findOneAndUpdate(
+      { network, signer, $or: [{ owner }, { lockedUntil: { $lte: now } }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttl) } },
+      { upsert: true }
+    )
+    return true
+  } catch (error) {
+    // No lapsed lease matched and the upsert hit the one held by another owner
+    if (error.code === 11000) {
+      return false
+    }
+    throw error
+  }
+}
+
+// Static method to give up a lease early so another process can take over
+signerLockSchema.statics.release = function(network, signer, owner) {
+  return this.updateOne({ network, signer, owner }, { $set: { lockedUntil: new Date() } })
+}
+
+export default mongoose.model('SignerLock', signerLockSchema)
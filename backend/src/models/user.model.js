@@ -1,8 +1,10 @@
 import mongoose from 'mongoose'
 import bcrypt from 'bcryptjs'
 import crypto from 'crypto'
-import jwt from 'jsonwebtoken'
 import mongoosePaginate from 'mongoose-paginate-v2'
+import config from '../config/index.js'
+import { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js'
+import { verifyTOTP, generateRecoveryCodes, hashRecoveryCode } from '../utils/totp.js'
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -48,18 +50,16 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Permissions granted on top of the role defaults
   permissions: [{
     type: String,
-    enum: [
-      'create_project',
-      'update_project', 
-      'delete_project',
-      'verify_milestone',
-      'release_payment',
-      'view_audit_logs',
-      'export_data',
-      'manage_users'
-    ]
+    enum: PERMISSIONS
+  }],
+
+  // Role default permissions withdrawn from this user
+  revokedPermissions: [{
+    type: String,
+    enum: PERMISSIONS
   }],
   
   // Organization Information
@@ -129,9 +129,56 @@ const userSchema = new mongoose.Schema({
   
   kycStatus: {
     type: String,
-    enum: ['pending', 'verified', 'rejected'],
+    enum: ['pending', 'under_review', 'more_info_required', 'approved', 'rejected'],
     default: 'pending'
   },
+
+  // KYC Submission and Review
+  kyc: {
+    registrationNumber: String,
+    documents: [{
+      type: {
+        type: String,
+        enum: ['registration_certificate', 'tax_certificate', 'identity_proof', 'address_proof', 'bank_statement', 'other'],
+        required: true
+      },
+      name: {
+        type: String,
+        required: true
+      },
+      url: {
+        type: String,
+        required: true
+      },
+      hash: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewNotes: String,
+    history: [{
+      status: {
+        type: String,
+        enum: ['pending', 'under_review', 'more_info_required', 'approved', 'rejected']
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: String,
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   
   // Security
   lastLogin: Date,
@@ -144,6 +191,14 @@ const userSchema = new mongoose.Schema({
   
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+
+  passwordChangedAt: Date,
+
+  // Set by an administrator to block login until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
   
   emailVerificationToken: String,
   emailVerificationExpire: Date,
@@ -158,7 +213,29 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  
+
+  twoFactorEnabledAt: Date,
+
+  // Secret generated during enrollment, promoted to twoFactorSecret once confirmed
+  twoFactorTempSecret: {
+    type: String,
+    select: false
+  },
+
+  twoFactorRecoveryCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+
+  // Last accepted TOTP time step, used to reject replayed codes
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+
   // Preferences
   preferences: {
     theme: {
@@ -202,6 +279,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ role: 1 })
 userSchema.index({ isActive: 1 })
 userSchema.index({ createdAt: -1 })
+userSchema.index({ kycStatus: 1, 'kyc.submittedAt': 1 })
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -235,15 +313,6 @@ userSchema.methods.matchPassword = async function(candidatePassword) {
   return this.comparePassword(candidatePassword)
 }
 
-// Method to generate JWT token
-userSchema.methods.generateJWT = function() {
-  return jwt.sign(
-    this.getTokenPayload(),
-    process.env.JWT_SECRET || '43519750-e783-4454-95e5-0111e6da0164',
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
-  )
-}
-
 // Method to increment login attempts
 userSchema.methods.incLoginAttempts = async function() {
   // If we have a previous lock that has expired, restart at 1
@@ -260,9 +329,9 @@ userSchema.methods.incLoginAttempts = async function() {
   
   const updates = { $inc: { loginAttempts: 1 } }
   
-  // Lock account after 5 attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 } // 2 hours
+  // Lock account once the configured number of attempts is reached
+  if (this.loginAttempts + 1 >= config.security.maxLoginAttempts && !this.isLocked) {
+    updates.$set = { lockUntil: Date.now() + config.security.lockoutDuration }
   }
   
   return this.updateOne(updates)
@@ -289,15 +358,94 @@ userSchema.methods.generateEmailVerificationToken = function() {
 }
 
 // Method to generate password reset token
-userSchema.methods.generateResetPasswordToken = function() {
+userSchema.methods.generateResetPasswordToken = function(expiresIn = 10 * 60 * 1000) {
   const token = crypto.randomBytes(32).toString('hex')
   
   this.resetPasswordToken = crypto.createHash('sha256').update(token).digest('hex')
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000 // 10 minutes
+  this.resetPasswordExpire = Date.now() + expiresIn // 10 minutes by default
   
   return token
 }
 
+// Method to generate a fresh set of 2FA recovery codes (returns the plain codes once)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = generateRecoveryCodes(config.twoFactor.recoveryCodeCount)
+
+  this.twoFactorRecoveryCodes = codes.map(code => ({
+    codeHash: hashRecoveryCode(code)
+  }))
+
+  return codes
+}
+
+// Method to verify a 2FA code - accepts a TOTP code or an unused recovery code
+userSchema.methods.verify2FA = async function(code) {
+  if (!this.twoFactorEnabled || !code) return false
+
+  const normalized = String(code).trim().replace(/\s+/g, '')
+
+  if (/^\d{6}$/.test(normalized)) {
+    const user = await this.constructor.findById(this._id).select('+twoFactorSecret')
+    const step = verifyTOTP(user?.twoFactorSecret, normalized, { window: config.twoFactor.window })
+
+    if (step === null) return false
+
+    // Only accept a time step newer than the last one used so a code cannot be replayed
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { twoFactorLastUsedStep: { $exists: false } },
+          { twoFactorLastUsedStep: { $lt: step } }
+        ]
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    )
+
+    return result.modifiedCount === 1
+  }
+
+  // Recovery codes are single-use: mark the matching unused code as consumed atomically
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      twoFactorRecoveryCodes: {
+        $elemMatch: { codeHash: hashRecoveryCode(normalized), usedAt: null }
+      }
+    },
+    { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date() } }
+  )
+
+  return result.modifiedCount === 1
+}
+
+// Method to change KYC status and record it in the history
+userSchema.methods.setKYCStatus = function(status, changedBy, note) {
+  this.kycStatus = status
+  this.kyc.history.push({
+    status,
+    changedBy,
+    note,
+    changedAt: new Date()
+  })
+}
+
+// Method to get role default permissions plus grants, minus revocations
+userSchema.methods.getEffectivePermissions = function() {
+  const revoked = new Set(this.revokedPermissions || [])
+  const granted = new Set([
+    ...(DEFAULT_ROLE_PERMISSIONS[this.role] || []),
+    ...(this.permissions || [])
+  ])
+
+  return PERMISSIONS.filter(permission => granted.has(permission) && !revoked.has(permission))
+}
+
+// Method to check a single permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.getEffectivePermissions().includes(permission)
+}
+
 // Method to generate auth token payload
 userSchema.methods.getTokenPayload = function() {
   return {
@@ -305,7 +453,7 @@ userSchema.methods.getTokenPayload = function() {
     email: this.email,
     role: this.role,
     walletAddress: this.walletAddress,
-    permissions: this.permissions,
+    permissions: this.getEffectivePermissions(),
     isVerified: this.isVerified
   }
 }
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose'
+
+const walletNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required'],
+    unique: true
+  },
+
+  // Optional address the nonce was requested for
+  address: {
+    type: String,
+    lowercase: true,
+    match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid Ethereum address']
+  },
+
+  ipAddress: String,
+
+  usedAt: Date,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+// Purge expired nonces automatically
+walletNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Static method to atomically consume a nonce - returns null if unknown, used or expired
+walletNonceSchema.statics.consume = function(nonce) {
+  return this.findOneAndUpdate(
+    {
+      nonce,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  )
+}
+
+export default mongoose.model('WalletNonce', walletNonceSchema)
@@ -11,7 +11,7 @@ import {
 } from '../controllers/audit.controller.js'
 import {
   protect,
-  authorize
+  authorizePermission
 } from '../middleware/auth.js'
 import {
   validateQuery
@@ -22,11 +22,11 @@ const router = express.Router()
 // All routes are protected
 router.use(protect)
 
-// General audit routes (government and auditors only)
-router.get('/', authorize('government', 'auditor'), validateQuery, getAuditLogs)
-router.get('/statistics', authorize('government', 'auditor'), getAuditStatistics)
-router.get('/security', authorize('government'), getSecurityEvents)
-router.get('/export', authorize('government'), exportAuditLogs)
+// General audit routes
+router.get('/', authorizePermission('view_audit_logs'), validateQuery, getAuditLogs)
+router.get('/statistics', authorizePermission('view_audit_logs'), getAuditStatistics)
+router.get('/security', authorizePermission('view_security_events'), getSecurityEvents)
+router.get('/export', authorizePermission('export_data'), exportAuditLogs)
 
 // Resource-specific audit trail
 router.get('/trail/:resourceType/:resourceId', getAuditTrail)
@@ -34,8 +34,8 @@ router.get('/trail/:resourceType/:resourceId', getAuditTrail)
 // User activity (users can view their own, government/auditors can view any)
 router.get('/user/:userId', getUserActivity)
 
-// Audit log management (government and auditors only)
-router.post('/:id/flag', authorize('government', 'auditor'), flagAuditLog)
-router.post('/:id/review', authorize('government', 'auditor'), reviewAuditLog)
+// Audit log management
+router.post('/:id/flag', authorizePermission('review_audit_logs'), flagAuditLog)
+router.post('/:id/review', authorizePermission('review_audit_logs'), reviewAuditLog)
 
 export default router
@@ -2,14 +2,28 @@ import express from 'express'
 import {
   register,
   login,
+  getWalletNonce,
+  walletLogin,
   getMe,
   updateProfile,
   changePassword,
   forgotPassword,
   resetPassword,
   verifyEmail,
-  logout
+  logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 } from '../controllers/auth.controller.js'
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../controllers/twoFactor.controller.js'
+import { getInvitationByToken } from '../controllers/invitation.controller.js'
 import {
   protect,
   authRateLimit,
@@ -18,7 +32,12 @@ import {
 import {
   validateRegistration,
   validateLogin,
-  validatePasswordChange
+  validatePasswordChange,
+  validateRefreshToken,
+  validateWalletNonce,
+  validateWalletLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable
 } from '../middleware/validation.js'
 
 const router = express.Router()
@@ -29,6 +48,10 @@ router.post('/login', authRateLimit(), validateLogin, login)
 router.post('/forgot-password', authRateLimit(15 * 60 * 1000, 3), forgotPassword)
 router.put('/reset-password/:resetToken', authRateLimit(), resetPassword)
 router.get('/verify-email/:token', verifyEmail)
+router.get('/invitations/:token', authRateLimit(15 * 60 * 1000, 20), getInvitationByToken)
+router.get('/wallet/nonce', authRateLimit(15 * 60 * 1000, 30), validateWalletNonce, getWalletNonce)
+router.post('/wallet/login', authRateLimit(), validateWalletLogin, walletLogin)
+router.post('/refresh', authRateLimit(15 * 60 * 1000, 30), validateRefreshToken, refreshToken)
 
 // Protected routes
 router.use(protect) // All routes after this middleware are protected
@@ -38,4 +61,16 @@ router.put('/profile', validateWalletOwnership, updateProfile)
 router.put('/change-password', validatePasswordChange, changePassword)
 router.post('/logout', logout)
 
+// Session management
+router.get('/sessions', getSessions)
+router.delete('/sessions', revokeOtherSessions)
+router.delete('/sessions/:id', revokeSession)
+
+// Two-factor authentication
+router.get('/2fa', getTwoFactorStatus)
+router.post('/2fa/setup', setupTwoFactor)
+router.post('/2fa/confirm', validateTwoFactorCode, confirmTwoFactor)
+router.post('/2fa/recovery-codes', validateTwoFactorCode, regenerateRecoveryCodes)
+router.post('/2fa/disable', validateTwoFactorDisable, disableTwoFactor)
+
 export default router
@@ -0,0 +1,46 @@
+import express from 'express'
+import {
+  getBlockchainTransactions,
+  getBlockchainTransaction,
+  getBlockchainNetworks,
+  getGasPrice,
+  getGasReport,
+  getIndexerStatus,
+  getChainDiscrepancies,
+  resolveChainDiscrepancy
+} from '../controllers/blockchain.controller.js'
+import {
+  protect,
+  authorizePermission
+} from '../middleware/auth.js'
+import {
+  validateBlockchainTransactionQuery,
+  validateGasPriceQuery,
+  validateGasReportQuery,
+  validateChainDiscrepancyQuery,
+  validateDiscrepancyResolution
+} from '../middleware/validation.js'
+
+const router = express.Router()
+
+// All routes are protected
+router.use(protect)
+router.use(authorizePermission('view_transactions'))
+
+// Network registry
+router.get('/networks', getBlockchainNetworks)
+
+// Transaction queue
+router.get('/transactions', validateBlockchainTransactionQuery, getBlockchainTransactions)
+router.get('/transactions/:id', getBlockchainTransaction)
+
+// Gas prices and fees paid
+router.get('/gas-price', validateGasPriceQuery, getGasPrice)
+router.get('/gas-report', validateGasReportQuery, getGasReport)
+
+// Contract event indexer
+router.get('/indexer', getIndexerStatus)
+router.get('/discrepancies', validateChainDiscrepancyQuery, getChainDiscrepancies)
+router.put('/discrepancies/:id/resolve', authorizePermission('review_audit_logs'), validateDiscrepancyResolution, resolveChainDiscrepancy)
+
+export default router
@@ -3,6 +3,11 @@ import authRoutes from './auth.routes.js'
 import projectRoutes from './project.routes.js'
 import milestoneRoutes from './milestone.routes.js'
 import auditRoutes from './audit.routes.js'
+import kycRoutes from './kyc.routes.js'
+import userRoutes from './user.routes.js'
+import blockchainRoutes from './blockchain.routes.js'
+import oracleRoutes from './oracle.routes.js'
+import meterRoutes from './meter.routes.js'
 
 const router = express.Router()
 
@@ -10,11 +15,19 @@ const router = express.Router()
 router.use('/auth', authRoutes)
 router.use('/projects', projectRoutes)
 router.use('/audit', auditRoutes)
+router.use('/kyc', kycRoutes)
+router.use('/users', userRoutes)
+router.use('/blockchain', blockchainRoutes)
+router.use('/oracle', oracleRoutes)
 
 // Mount milestone routes both as standalone and nested under projects
 router.use('/milestones', milestoneRoutes)
 router.use('/projects/:projectId/milestones', milestoneRoutes)
 
+// Mount meter routes both as standalone and nested under projects
+router.use('/meters', meterRoutes)
+router.use('/projects/:projectId/meters', meterRoutes)
+
 // Health check route
 router.get('/health', (req, res) => {
   res.json({
@@ -37,6 +50,11 @@ router.get('/', (req, res) => {
       projects: '/api/projects', 
       milestones: '/api/milestones',
       audit: '/api/audit',
+      kyc: '/api/kyc',
+      users: '/api/users',
+      blockchain: '/api/blockchain',
+      oracle: '/api/oracle',
+      meters: '/api/meters',
       health: '/api/health'
     },
     contact: {
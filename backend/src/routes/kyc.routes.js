@@ -0,0 +1,33 @@
+import express from 'express'
+import {
+  getMyKYC,
+  submitKYC,
+  getKYCQueue,
+  getKYCSubmission,
+  reviewKYC
+} from '../controllers/kyc.controller.js'
+import {
+  protect,
+  authorizePermission
+} from '../middleware/auth.js'
+import {
+  validateKYCSubmission,
+  validateKYCReview,
+  validateQuery
+} from '../middleware/validation.js'
+
+const router = express.Router()
+
+// All routes are protected
+router.use(protect)
+
+// Applicant routes
+router.get('/me', getMyKYC)
+router.post('/', validateKYCSubmission, submitKYC)
+
+// Review routes
+router.get('/queue', authorizePermission('review_kyc'), validateQuery, getKYCQueue)
+router.get('/:userId', authorizePermission('review_kyc'), getKYCSubmission)
+router.put('/:userId/review', authorizePermission('review_kyc'), validateKYCReview, reviewKYC)
+
+export default router
@@ -0,0 +1,40 @@
+import express from 'express'
+import {
+  getMeters,
+  registerMeter,
+  getMeter,
+  updateMeter,
+  ingestMeterReadings,
+  uploadMeterReadingsCsv,
+  getMeterReadings,
+  getProjectProduction
+} from '../controllers/meter.controller.js'
+import { protect } from '../middleware/auth.js'
+import { uploadFiles } from '../middleware/upload.js'
+import {
+  validateMeter,
+  validateMeterUpdate,
+  validateMeterReadings,
+  validateMeterSeriesQuery
+} from '../middleware/validation.js'
+
+const router = express.Router({ mergeParams: true })
+
+// All routes are protected
+router.use(protect)
+
+// Project meters and combined production
+router.get('/', getMeters)
+router.post('/', validateMeter, registerMeter)
+router.get('/production', validateMeterSeriesQuery, getProjectProduction)
+
+// Individual meter routes
+router.get('/:id', getMeter)
+router.put('/:id', validateMeterUpdate, updateMeter)
+
+// Readings
+router.get('/:id/readings', validateMeterSeriesQuery, getMeterReadings)
+router.post('/:id/readings', validateMeterReadings, ingestMeterReadings)
+router.post('/:id/readings/csv', uploadFiles('file', 1), uploadMeterReadingsCsv)
+
+export default router
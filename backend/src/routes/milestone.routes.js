@@ -8,23 +8,41 @@ import {
   completeMilestone,
   verifyMilestone,
   approveMilestone,
+  getReleaseApprovals,
+  signReleaseApproval,
   releaseSubsidy,
+  getMilestoneDisbursement,
   addMilestoneUpdate,
   getOverdueMilestones,
   getUpcomingMilestones,
   getMilestoneStatistics
 } from '../controllers/milestone.controller.js'
+import {
+  uploadMilestoneEvidence,
+  downloadMilestoneEvidence,
+  reviewMilestoneDeliverable
+} from '../controllers/deliverable.controller.js'
+import {
+  getMilestoneProduction,
+  evaluateMilestoneProduction
+} from '../controllers/meter.controller.js'
 import {
   protect,
-  authorize,
+  authorizePermission,
   requireKYC,
   require2FA
 } from '../middleware/auth.js'
+import { uploadFiles } from '../middleware/upload.js'
 import {
   validateMilestone,
   validateMilestoneUpdate,
-  validateTransaction,
-  validateQuery
+  validateQuery,
+  validateMilestoneVerification,
+  validateEvidenceUpload,
+  validateDeliverableReview,
+  validateReleaseApproval,
+  validateReleaseApprovalQuery,
+  validateSubsidyRelease
 } from '../middleware/validation.js'
 
 const router = express.Router({ mergeParams: true })
@@ -39,20 +57,34 @@ router.get('/statistics', getMilestoneStatistics)
 
 // Project-specific milestone routes
 router.get('/', validateQuery, getMilestones)
-router.post('/', authorize('government', 'producer'), requireKYC(), validateMilestone, createMilestone)
+router.post('/', authorizePermission('create_milestone'), requireKYC(), validateMilestone, createMilestone)
 
 // Individual milestone routes
 router.get('/:id', getMilestone)
-router.put('/:id', authorize('government', 'producer', 'auditor'), validateMilestoneUpdate, updateMilestone)
+router.put('/:id', authorizePermission('update_milestone'), validateMilestoneUpdate, updateMilestone)
 
 // Milestone workflow routes
-router.post('/:id/start', authorize('producer'), startMilestone)
-router.post('/:id/complete', authorize('producer'), completeMilestone)
-router.post('/:id/verify', authorize('auditor'), verifyMilestone)
-router.post('/:id/approve', authorize('government'), approveMilestone)
+router.post('/:id/start', authorizePermission('complete_milestone'), startMilestone)
+router.post('/:id/complete', authorizePermission('complete_milestone'), completeMilestone)
+router.post('/:id/verify', authorizePermission('verify_milestone'), validateMilestoneVerification, verifyMilestone)
+router.post('/:id/approve', authorizePermission('approve_milestone'), approveMilestone)
+
+// Deliverable evidence and review
+router.post('/:id/evidence', authorizePermission('complete_milestone'), uploadFiles('evidence'), validateEvidenceUpload, uploadMilestoneEvidence)
+router.get('/:id/deliverables/:deliverableId/evidence/:evidenceId', downloadMilestoneEvidence)
+router.put('/:id/deliverables/:deliverableId/review', authorizePermission('verify_milestone'), validateDeliverableReview, reviewMilestoneDeliverable)
+
+// Multi-signature approval of each tranche's subsidy release
+router.get('/:id/release-approvals', authorizePermission('approve_milestone'), validateReleaseApprovalQuery, getReleaseApprovals)
+router.post('/:id/release-approvals', authorizePermission('approve_milestone'), validateReleaseApproval, signReleaseApproval)
 
 // Subsidy release (requires 2FA for high-value transactions)
-router.post('/:id/release-subsidy', authorize('government'), require2FA, validateTransaction, releaseSubsidy)
+router.post('/:id/release-subsidy', authorizePermission('release_subsidy'), validateSubsidyRelease, require2FA, releaseSubsidy)
+router.get('/:id/disbursement', getMilestoneDisbursement)
+
+// Metered production over the milestone period
+router.get('/:id/production', getMilestoneProduction)
+router.post('/:id/production/evaluate', authorizePermission('verify_milestone'), evaluateMilestoneProduction)
 
 // Milestone updates
 router.post('/:id/updates', addMilestoneUpdate)
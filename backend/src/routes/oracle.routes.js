@@ -0,0 +1,47 @@
+import express from 'express'
+import {
+  getOracleProviders,
+  upsertOracleProvider,
+  deleteOracleProvider,
+  getOracleHealth,
+  verifyMilestoneWithOracles,
+  getOracleAttestation,
+  receiveOracleWebhook,
+  runOraclePolling,
+  getOracleSnapshots
+} from '../controllers/oracle.controller.js'
+import {
+  protect,
+  authorizePermission
+} from '../middleware/auth.js'
+import { verifyOracleWebhook } from '../middleware/oracleWebhook.js'
+import {
+  validateOracleProvider,
+  validateOracleWebhook,
+  validateOracleSnapshotQuery,
+  validateOracleAttestationQuery
+} from '../middleware/validation.js'
+
+const router = express.Router()
+
+// Provider pushes authenticate with an HMAC signature instead of a user session
+router.post('/webhooks/:providerId', verifyOracleWebhook, validateOracleWebhook, receiveOracleWebhook)
+
+// All other routes are protected
+router.use(protect)
+
+// Provider registry
+router.get('/providers', authorizePermission('manage_oracles'), getOracleProviders)
+router.put('/providers/:providerId', authorizePermission('manage_oracles'), validateOracleProvider, upsertOracleProvider)
+router.delete('/providers/:providerId', authorizePermission('manage_oracles'), deleteOracleProvider)
+router.get('/health', authorizePermission('manage_oracles'), getOracleHealth)
+
+// Scheduled refresh of in-progress milestones
+router.post('/polling/run', authorizePermission('manage_oracles'), runOraclePolling)
+
+// Milestone verification against oracle data
+router.post('/milestones/:id/verify', authorizePermission('verify_milestone'), verifyMilestoneWithOracles)
+router.get('/milestones/:id/attestation', authorizePermission('view_audit_logs'), validateOracleAttestationQuery, getOracleAttestation)
+router.get('/milestones/:id/snapshots', authorizePermission('view_audit_logs'), validateOracleSnapshotQuery, getOracleSnapshots)
+
+export default router
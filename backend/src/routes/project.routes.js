@@ -6,19 +6,29 @@ import {
   updateProject,
   deleteProject,
   approveProject,
+  syncProjectToChain,
   rejectProject,
   assignAuditor,
   getProjectStatistics,
-  getProjectAuditTrail
+  getProjectAuditTrail,
+  getProjectSchedule
 } from '../controllers/project.controller.js'
+import {
+  getProjectDocuments,
+  uploadProjectDocuments,
+  downloadProjectDocument,
+  deleteProjectDocument
+} from '../controllers/document.controller.js'
 import {
   protect,
-  authorize,
+  authorizePermission,
   requireKYC
 } from '../middleware/auth.js'
+import { uploadFiles } from '../middleware/upload.js'
 import {
   validateProject,
-  validateQuery
+  validateQuery,
+  validateDocumentUpload
 } from '../middleware/validation.js'
 
 const router = express.Router()
@@ -31,15 +41,21 @@ router.get('/', validateQuery, getProjects)
 router.get('/statistics', getProjectStatistics)
 router.get('/:id', getProject)
 router.get('/:id/audit', getProjectAuditTrail)
+router.get('/:id/schedule', getProjectSchedule)
 
-// Routes for government users only
-router.post('/', authorize('government'), requireKYC(), validateProject, createProject)
-router.delete('/:id', authorize('government'), deleteProject)
-router.post('/:id/approve', authorize('government'), approveProject)
-router.post('/:id/reject', authorize('government'), rejectProject)
-router.post('/:id/assign-auditor', authorize('government'), assignAuditor)
+// Project documents (access limited to project members)
+router.get('/:id/documents', getProjectDocuments)
+router.post('/:id/documents', uploadFiles('documents'), validateDocumentUpload, uploadProjectDocuments)
+router.get('/:id/documents/:documentId', downloadProjectDocument)
+router.delete('/:id/documents/:documentId', deleteProjectDocument)
 
-// Routes for government and producers
-router.put('/:id', authorize('government', 'producer'), updateProject)
+// Permission-gated routes
+router.post('/', authorizePermission('create_project'), requireKYC(), validateProject, createProject)
+router.put('/:id', authorizePermission('update_project'), updateProject)
+router.delete('/:id', authorizePermission('delete_project'), deleteProject)
+router.post('/:id/approve', authorizePermission('approve_project'), approveProject)
+router.post('/:id/blockchain-sync', authorizePermission('approve_project'), syncProjectToChain)
+router.post('/:id/reject', authorizePermission('approve_project'), rejectProject)
+router.post('/:id/assign-auditor', authorizePermission('assign_auditor'), assignAuditor)
 
 export default router
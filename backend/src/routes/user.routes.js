@@ -0,0 +1,66 @@
+import express from 'express'
+import {
+  getUsers,
+  getUserStatistics,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  forcePasswordReset,
+  unlockUser,
+  getUserAuditActivity,
+  getPermissionCatalog,
+  getUserPermissions,
+  grantPermission,
+  revokePermission
+} from '../controllers/user.controller.js'
+import {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+} from '../controllers/invitation.controller.js'
+import {
+  protect,
+  authorizePermission
+} from '../middleware/auth.js'
+import {
+  validatePermissionGrant,
+  validateInvitation,
+  validateQuery,
+  validateUserQuery,
+  validateUserStatus,
+  validateUserRole,
+  validateAdminReason
+} from '../middleware/validation.js'
+
+const router = express.Router()
+
+// All routes are protected and limited to user managers
+router.use(protect)
+router.use(authorizePermission('manage_users'))
+
+// Invitations
+router.get('/invitations', validateQuery, getInvitations)
+router.post('/invitations', validateInvitation, createInvitation)
+router.post('/invitations/:id/resend', resendInvitation)
+router.delete('/invitations/:id', revokeInvitation)
+
+// User directory
+router.get('/', validateUserQuery, getUsers)
+router.get('/stats', getUserStatistics)
+
+// Permission management
+router.get('/permissions', getPermissionCatalog)
+router.get('/:id/permissions', getUserPermissions)
+router.post('/:id/permissions', validatePermissionGrant, grantPermission)
+router.delete('/:id/permissions/:permission', revokePermission)
+
+// Individual user management
+router.get('/:id', getUser)
+router.get('/:id/activity', getUserAuditActivity)
+router.put('/:id/status', validateUserStatus, updateUserStatus)
+router.put('/:id/role', validateUserRole, updateUserRole)
+router.post('/:id/force-password-reset', validateAdminReason, forcePasswordReset)
+router.post('/:id/unlock', unlockUser)
+
+export default router
@@ -0,0 +1,470 @@
+import { ethers } from 'ethers'
+import {
+  ChainEvent,
+  ChainDiscrepancy,
+  IndexerCheckpoint,
+  Milestone,
+  Project,
+  Audit
+} from '../models/index.js'
+import { getBlockchainServices, CONTRACT_ABI } from '../utils/blockchain.js'
+import { toSerializable } from '../utils/transactionQueue.js'
+import { networkFilter } from '../utils/networks.js'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+const INDEXED_EVENTS = ['ProjectCreated', 'SubsidyReleased']
+
+const SYSTEM_ACTOR = { role: 'system' }
+
+/**
+ * Polls the subsidy contract's logs on every configured network from a stored checkpoint and
+ * reconciles them with MongoDB. Only blocks at least `confirmations` deep are indexed; a checkpoint
+ * whose block hash no longer matches the chain means a deeper reorg, and the indexer rewinds and
+ * re-reads the affected range.
+ */
+class ChainIndexerService {
+  constructor(options = config.blockchain.indexer) {
+    this.options = options
+    this.interface = new ethers.Interface(CONTRACT_ABI)
+    this.topics = INDEXED_EVENTS.map(name => this.interface.getEvent(name).topicHash)
+    this.timer = null
+    this.running = false
+    this.backfilled = false
+
+    if (options.enabled) {
+      this.start()
+    }
+  }
+
+  // Start polling the contract's logs
+  start() {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.poll(), this.options.pollInterval)
+    this.timer.unref?.()
+    logger.info('Chain event indexer started')
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  // Run one indexing and reconciliation pass over every network unless one is already in progress
+  async poll() {
+    if (this.running) return
+
+    this.running = true
+    try {
+      await this.backfillIdHashes()
+
+      for (const blockchain of getBlockchainServices()) {
+        if (blockchain.initialized && blockchain.network.contractAddress) {
+          await this.indexNetwork(blockchain)
+        }
+      }
+    } finally {
+      this.running = false
+    }
+  }
+
+  // Events are matched on stored id hashes; records saved before those were stored get them once per process
+  async backfillIdHashes() {
+    if (this.backfilled) return
+
+    try {
+      const projects = await Project.backfillChainIdHashes()
+      const milestones = await Milestone.backfillChainIdHashes()
+      if (projects || milestones) {
+        logger.info(`Stored on-chain id hashes for ${projects} projects and ${milestones} milestones`)
+      }
+      this.backfilled = true
+    } catch (error) {
+      logger.error('Chain indexer could not backfill id hashes:', error)
+    }
+  }
+
+  // Index and reconcile one network; a failure is recorded on its checkpoint and doesn't stop the others
+  async indexNetwork(blockchain) {
+    const network = blockchain.network.key
+    const contractAddress = ethers.getAddress(blockchain.network.contractAddress)
+
+    try {
+      await this.indexNewBlocks(blockchain, contractAddress)
+      await this.reconcileReleases(network, contractAddress)
+    } catch (error) {
+      logger.error(`Chain indexer pass failed on ${network}:`, error)
+      await IndexerCheckpoint.updateOne(
+        { network: networkFilter(network), contractAddress },
+        { $set: { lastError: { message: error.shortMessage || error.message, at: new Date() } } }
+      ).catch(() => {})
+    }
+  }
+
+  async getCheckpoint(network, contractAddress) {
+    const checkpoint = await IndexerCheckpoint.findOne({ network: networkFilter(network), contractAddress })
+    if (checkpoint) return checkpoint
+
+    return IndexerCheckpoint.create({
+      network,
+      contractAddress,
+      blockNumber: this.options.startBlock - 1
+    })
+  }
+
+  // Blocks to stay behind head: the indexer's depth, or the network's own if it needs more
+  getDepth(blockchain) {
+    return Math.max(this.options.confirmations, blockchain.network.confirmations || 0)
+  }
+
+  // Read logs from the checkpoint up to the newest block past the confirmation depth
+  async indexNewBlocks(blockchain, contractAddress) {
+    const { provider } = blockchain
+    const network = blockchain.network.key
+    const checkpoint = await this.getCheckpoint(network, contractAddress)
+
+    await this.handleReorg(checkpoint, blockchain)
+
+    const safeBlock = await provider.getBlockNumber() - this.getDepth(blockchain)
+    let fromBlock = checkpoint.blockNumber + 1
+
+    while (fromBlock <= safeBlock) {
+      const toBlock = Math.min(fromBlock + this.options.batchSize - 1, safeBlock)
+
+      const logs = await provider.getLogs({
+        address: contractAddress,
+        fromBlock,
+        toBlock,
+        topics: [this.topics]
+      })
+
+      for (const log of logs) {
+        await this.processLog(log, network, contractAddress)
+      }
+
+      const block = await provider.getBlock(toBlock)
+      checkpoint.blockNumber = toBlock
+      checkpoint.blockHash = block.hash
+      await checkpoint.save()
+
+      fromBlock = toBlock + 1
+    }
+
+    checkpoint.lastRunAt = new Date()
+    checkpoint.lastError = undefined
+    await checkpoint.save()
+  }
+
+  // Rewind the checkpoint past any indexed block that is no longer on the canonical chain
+  async handleReorg(checkpoint, blockchain) {
+    if (!checkpoint.blockHash) return
+
+    const { provider } = blockchain
+    const current = await provider.getBlock(checkpoint.blockNumber)
+    if (current?.hash === checkpoint.blockHash) return
+
+    const { contractAddress } = checkpoint
+    const network = blockchain.network.key
+    const depth = this.getDepth(blockchain)
+    const previousBlock = checkpoint.blockNumber
+    let rewindTo = Math.max(previousBlock - depth, this.options.startBlock - 1)
+
+    // Keep stepping back while the newest stored event below the rewind point is orphaned too
+    const stored = { network: networkFilter(network), contractAddress }
+    let event
+    while ((event = await ChainEvent.findOne({ ...stored, blockNumber: { $lte: rewindTo } }).sort({ blockNumber: -1 }))) {
+      const canonical = await provider.getBlock(event.blockNumber)
+      if (canonical?.hash === event.blockHash) break
+      rewindTo = event.blockNumber - 1
+    }
+
+    const { deletedCount } = await ChainEvent.removeFromBlock(stored.network, contractAddress, rewindTo + 1)
+
+    checkpoint.blockNumber = rewindTo
+    checkpoint.blockHash = rewindTo >= 0 ? (await provider.getBlock(rewindTo))?.hash : undefined
+    await checkpoint.save()
+
+    logger.warn(`Chain reorganisation detected on ${network} at block ${previousBlock}; indexer rewound to ${rewindTo}, ${deletedCount} events dropped`)
+
+    await Audit.createAuditLog({
+      eventType: 'security_alert',
+      actor: SYSTEM_ACTOR,
+      resource: {
+        type: 'blockchain',
+        id: contractAddress,
+        name: 'Chain event indexer',
+        details: { network, previousBlock, rewindTo, droppedEvents: deletedCount }
+      },
+      action: 'update',
+      description: `Chain reorganisation deeper than ${depth} blocks detected on ${network} at block ${previousBlock}`,
+      category: 'system',
+      severity: 'high'
+    })
+  }
+
+  // Store a contract event, match it to its project or milestone and write the audit entry
+  async processLog(log, network, contractAddress) {
+    const parsed = this.interface.parseLog(log)
+    if (!parsed) return null
+
+    const args = Object.fromEntries(
+      parsed.fragment.inputs.map((input, index) => [input.name, toSerializable(parsed.args[index])])
+    )
+    const idHash = parsed.name === 'SubsidyReleased' ? args.milestoneId : args.projectId
+
+    let event
+    try {
+      event = await ChainEvent.create({
+        network,
+        eventName: parsed.name,
+        contractAddress,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        idHash,
+        args
+      })
+    } catch (error) {
+      // Already indexed by an earlier pass
+      if (error.code === 11000) return null
+      throw error
+    }
+
+    const resource = parsed.name === 'SubsidyReleased'
+      ? await this.matchMilestone(event)
+      : await this.matchProject(event)
+
+    await Audit.logBlockchainTransaction(
+      event.txHash,
+      contractAddress,
+      parsed.name,
+      SYSTEM_ACTOR,
+      {
+        description: `Contract event indexed: ${parsed.name} in block ${event.blockNumber}`,
+        resource: resource
+          ? { type: event.matchedResource.type, id: resource._id.toString(), name: resource.title || resource.name, details: { args } }
+          : { type: 'blockchain', id: event.txHash, name: parsed.name, details: { args } },
+        action: parsed.name === 'SubsidyReleased' ? 'release' : 'create',
+        blockchain: {
+          network,
+          transactionHash: event.txHash,
+          contractAddress,
+          functionName: parsed.name,
+          blockNumber: event.blockNumber
+        }
+      }
+    )
+
+    return event
+  }
+
+  async matchMilestone(event) {
+    const milestone = await Milestone.findOne({ 'tranches.releaseTxHash': event.txHash }) ||
+      await Milestone.findOne({ releaseTxHash: event.txHash }) ||
+      await Milestone.findOne({ chainIdHashes: event.idHash })
+
+    if (milestone) {
+      event.matchedResource = { type: 'milestone', id: milestone._id }
+      await event.save()
+    }
+
+    return milestone
+  }
+
+  async matchProject(event) {
+    const project = await Project.findOne({ chainIdHash: event.idHash })
+
+    if (project) {
+      event.matchedResource = { type: 'project', id: project._id }
+      await event.save()
+    }
+
+    return project
+  }
+
+  // Released tranches of a milestone; milestones released before tranches existed count as one tranche
+  getReleasedTranches(milestone) {
+    if (milestone.tranches.length === 0) {
+      return milestone.released
+        ? [{ _id: null, label: 'Full release', releaseTxHash: milestone.releaseTxHash, releaseDate: milestone.releaseDate }]
+        : []
+    }
+    return milestone.tranches.filter(tranche => tranche.released)
+  }
+
+  // Compare a network's SubsidyReleased events with milestone tranche releases once both sides have had time to settle
+  async reconcileReleases(network, contractAddress) {
+    const cutoff = new Date(Date.now() - this.options.discrepancyGracePeriod)
+
+    // Events the database does not account for
+    const events = await ChainEvent.find({
+      network: networkFilter(network),
+      contractAddress,
+      eventName: 'SubsidyReleased',
+      reconciledAt: null,
+      createdAt: { $lte: cutoff }
+    })
+
+    for (const event of events) {
+      const milestone = event.matchedResource?.id
+        ? await Milestone.findById(event.matchedResource.id)
+        : await this.matchMilestone(event)
+      const key = `${event.txHash}:${event.logIndex}`
+
+      const tranches = milestone ? this.getReleasedTranches(milestone) : []
+
+      if (tranches.some(tranche => !tranche.releaseTxHash || tranche.releaseTxHash === event.txHash)) {
+        event.reconciledAt = new Date()
+        await event.save()
+        await ChainDiscrepancy.resolveOpen('release_not_recorded', key, 'Milestone release recorded')
+        continue
+      }
+
+      let description
+      if (!milestone) {
+        description = `SubsidyReleased event in ${event.txHash} does not match any milestone`
+      } else if (milestone.released) {
+        description = `SubsidyReleased event in ${event.txHash} for milestone "${milestone.title}" which was released by other transactions`
+      } else {
+        description = `SubsidyReleased event in ${event.txHash} for milestone "${milestone.title}" which has no tranche released by it`
+      }
+
+      await this.flagDiscrepancy({
+        type: 'release_not_recorded',
+        network,
+        key,
+        milestone: milestone?._id,
+        project: milestone?.project,
+        txHash: event.txHash,
+        blockNumber: event.blockNumber,
+        description,
+        details: { args: event.args }
+      }, contractAddress)
+    }
+
+    // Released tranches of this network's projects with no matching event on-chain
+    const releaseEvents = await ChainEvent.find({
+      network: networkFilter(network),
+      contractAddress,
+      eventName: 'SubsidyReleased',
+      'matchedResource.type': 'milestone'
+    }).select('txHash matchedResource')
+    const matchedTxHashes = new Set(releaseEvents.map(event => event.txHash))
+    const matchedMilestones = new Set(releaseEvents.map(event => event.matchedResource.id.toString()))
+
+    // Releases recorded without a transaction hash can only be matched by milestone
+    const isMatched = (milestoneId, txHash) => txHash
+      ? matchedTxHashes.has(txHash)
+      : matchedMilestones.has(milestoneId?.toString())
+
+    const projects = await Project.distinct('_id', { network: networkFilter(network) })
+    const released = await Milestone.find({
+      project: { $in: projects },
+      $or: [{ 'tranches.released': true }, { released: true }]
+    }).select('title project released releaseTxHash releaseDate tranches')
+
+    for (const milestone of released) {
+      for (const tranche of this.getReleasedTranches(milestone)) {
+        if (tranche.releaseDate > cutoff || isMatched(milestone._id, tranche.releaseTxHash)) continue
+
+        await this.flagDiscrepancy({
+          type: 'release_missing_on_chain',
+          network,
+          key: tranche._id ? `${milestone._id}:${tranche._id}` : milestone._id.toString(),
+          milestone: milestone._id,
+          project: milestone.project,
+          txHash: tranche.releaseTxHash,
+          description: `Tranche "${tranche.label}" of milestone "${milestone.title}" is marked as released but no SubsidyReleased event was found`,
+          details: { tranche: tranche._id?.toString(), releaseDate: tranche.releaseDate }
+        }, contractAddress)
+      }
+    }
+
+    const missing = await ChainDiscrepancy.find({
+      type: 'release_missing_on_chain',
+      network: networkFilter(network),
+      status: 'open'
+    })
+    for (const discrepancy of missing) {
+      if (isMatched(discrepancy.milestone, discrepancy.txHash)) {
+        await discrepancy.resolve(undefined, 'SubsidyReleased event indexed')
+      }
+    }
+  }
+
+  // Open a discrepancy and raise a flagged audit entry the first time it is seen
+  async flagDiscrepancy(data, contractAddress) {
+    const discrepancy = await ChainDiscrepancy.flag(data)
+    if (!discrepancy) return null
+
+    await Audit.createAuditLog({
+      eventType: 'chain_discrepancy',
+      actor: SYSTEM_ACTOR,
+      resource: discrepancy.milestone
+        ? { type: 'milestone', id: discrepancy.milestone.toString(), details: { discrepancyId: discrepancy._id.toString() } }
+        : { type: 'blockchain', id: discrepancy.txHash, details: { discrepancyId: discrepancy._id.toString() } },
+      action: 'verify',
+      description: discrepancy.description,
+      blockchain: discrepancy.txHash
+        ? {
+            network: discrepancy.network,
+            transactionHash: discrepancy.txHash,
+            contractAddress,
+            functionName: 'releaseSubsidy',
+            blockNumber: discrepancy.blockNumber
+          }
+        : undefined,
+      category: 'financial',
+      severity: 'critical'
+    })
+
+    logger.warn(`Chain discrepancy flagged: ${discrepancy.description}`)
+
+    return discrepancy
+  }
+
+  // Indexer progress per network for the status endpoint
+  async getStatus() {
+    const networks = []
+
+    for (const blockchain of getBlockchainServices()) {
+      const network = blockchain.network.key
+      const contractAddress = blockchain.network.contractAddress && ethers.getAddress(blockchain.network.contractAddress)
+      const stored = { network: networkFilter(network), contractAddress }
+
+      const checkpoint = contractAddress ? await IndexerCheckpoint.findOne(stored) : null
+      const headBlock = blockchain.initialized
+        ? await blockchain.provider.getBlockNumber().catch(() => null)
+        : null
+
+      networks.push({
+        network,
+        contractAddress: contractAddress || null,
+        confirmations: this.getDepth(blockchain),
+        headBlock,
+        lastIndexedBlock: checkpoint?.blockNumber ?? null,
+        lag: headBlock !== null && checkpoint ? headBlock - checkpoint.blockNumber : null,
+        lastRunAt: checkpoint?.lastRunAt,
+        lastError: checkpoint?.lastError,
+        events: contractAddress ? await ChainEvent.countDocuments(stored) : 0
+      })
+    }
+
+    return {
+      enabled: this.options.enabled,
+      running: this.running,
+      networks,
+      openDiscrepancies: await ChainDiscrepancy.countDocuments({ status: 'open' })
+    }
+  }
+}
+
+// Create singleton instance
+export const chainIndexerService = new ChainIndexerService()
+
+export default ChainIndexerService
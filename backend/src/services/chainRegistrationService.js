@@ -0,0 +1,249 @@
+import { Project, Milestone, Audit } from '../models/index.js'
+import { getBlockchainService, transactionEvents } from '../utils/blockchain.js'
+import logger from '../utils/logger.js'
+
+// Sync states from which a (re)registration may be started; null covers records created before sync tracking
+const REGISTRABLE_STATUSES = [null, 'not_registered', 'failed']
+
+const SYSTEM_ACTOR = { role: 'system' }
+
+class ChainRegistrationService {
+  constructor() {
+    this.initialize()
+  }
+
+  initialize() {
+    // Record the outcome of project and milestone registrations once the transaction queue settles them
+    const settle = (transaction) => {
+      const { type, id } = transaction.reference || {}
+      if (!['project', 'milestone'].includes(type)) return
+
+      this.settle(type, id, transaction)
+        .catch(error => logger.error(`Failed to record on-chain registration of ${type} ${id}:`, error))
+    }
+
+    transactionEvents.on('confirmed', settle)
+    transactionEvents.on('failed', settle)
+  }
+
+  getModel(type) {
+    return type === 'project' ? Project : Milestone
+  }
+
+  // Queue createProject on the project's network; milestones follow once it is confirmed
+  registerProject(project, actor = SYSTEM_ACTOR) {
+    return this.register('project', project, project._id, (options) => getBlockchainService(project.network).createProject(
+      project.projectId,
+      project.producerWalletAddress,
+      project.totalSubsidy,
+      JSON.stringify({ name: project.name }),
+      options
+    ), actor)
+  }
+
+  // Queue createMilestone; deferred while the parent project is not yet registered on-chain
+  async registerMilestone(milestone, project, actor = SYSTEM_ACTOR) {
+    if (project.blockchainSync?.status !== 'confirmed') {
+      return milestone
+    }
+
+    return this.register('milestone', milestone, project._id, this.createMilestoneSender(milestone, project), actor)
+  }
+
+  // The contract releases a milestone in full, so a split milestone registers each tranche as its own contract
+  // milestone, one after another; the milestone is confirmed once the last one is
+  createMilestoneSender(milestone, project) {
+    const tranche = milestone.getUnregisteredTranche()
+
+    return (options) => getBlockchainService(project.network).createMilestone(
+      project.projectId,
+      tranche ? milestone.getTrancheChainId(tranche) : milestone.milestoneId,
+      tranche ? tranche.amount : milestone.subsidyAmount,
+      milestone.plannedEndDate,
+      options
+    )
+  }
+
+  // Register every active milestone of a confirmed project that is not on-chain yet
+  async registerPendingMilestones(project, actor = SYSTEM_ACTOR) {
+    const milestones = await Milestone.find({
+      project: project._id,
+      isActive: true,
+      'blockchainSync.status': { $in: REGISTRABLE_STATUSES }
+    }).sort({ sequenceNumber: 1 })
+
+    const results = []
+    for (const milestone of milestones) {
+      results.push(await this.registerMilestone(milestone, project, actor))
+    }
+    return results
+  }
+
+  // Claim the record for registration, queue the transaction and return the updated record.
+  // Resolves with the record unchanged if a registration is already pending or confirmed.
+  async register(type, doc, projectId, send, actor) {
+    const Model = this.getModel(type)
+
+    const claimed = await Model.findOneAndUpdate(
+      { _id: doc._id, 'blockchainSync.status': { $in: REGISTRABLE_STATUSES } },
+      {
+        $set: { 'blockchainSync.status': 'pending' },
+        $unset: { 'blockchainSync.transaction': 1, 'blockchainSync.error': 1 }
+      },
+      { new: true }
+    )
+
+    if (!claimed) {
+      return Model.findById(doc._id)
+    }
+
+    return this.queue(type, doc._id, projectId, send, actor)
+  }
+
+  // Queue a registration transaction for a record whose sync status is pending
+  async queue(type, id, projectId, send, actor) {
+    const Model = this.getModel(type)
+
+    try {
+      await send({
+        wait: false,
+        reference: { type, id: id.toString() },
+        project: projectId,
+        requestedBy: actor.userId,
+        onQueued: (transaction) => Model.updateOne(
+          { _id: id, 'blockchainSync.status': 'pending' },
+          { $set: { 'blockchainSync.transaction': transaction._id } }
+        )
+      })
+    } catch (error) {
+      logger.error(`Could not queue on-chain registration of ${type} ${id}:`, error)
+      return this.markFailed(Model, { _id: id, 'blockchainSync.status': 'pending' }, error)
+    }
+
+    return Model.findById(id)
+  }
+
+  markFailed(Model, filter, error) {
+    return Model.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          'blockchainSync.status': 'failed',
+          'blockchainSync.error': {
+            code: error.code,
+            message: error.shortMessage || error.reason || error.message
+          }
+        }
+      },
+      { new: true }
+    )
+  }
+
+  // Apply a settled queue transaction to the project or milestone it registers
+  async settle(type, id, transaction) {
+    const Model = this.getModel(type)
+    const pending = {
+      _id: id,
+      'blockchainSync.status': 'pending',
+      'blockchainSync.transaction': { $in: [null, transaction._id] }
+    }
+
+    if (transaction.status === 'failed') {
+      const failed = await this.markFailed(Model, pending, transaction.lastError || {
+        message: 'Registration transaction failed'
+      })
+      if (failed) {
+        logger.error(`On-chain registration of ${type} ${id} failed: ${failed.blockchainSync.error.message}`)
+      }
+      return failed
+    }
+
+    if (type === 'milestone') {
+      const remaining = await this.recordTrancheRegistration(pending, transaction)
+      if (remaining !== false) return remaining
+    }
+
+    const confirmed = await Model.findOneAndUpdate(
+      pending,
+      {
+        $set: {
+          blockchainTxHash: transaction.txHash,
+          'blockchainSync.status': 'confirmed',
+          'blockchainSync.transaction': transaction._id,
+          'blockchainSync.blockNumber': transaction.receipt?.blockNumber,
+          'blockchainSync.syncedAt': new Date()
+        }
+      },
+      { new: true }
+    )
+
+    if (!confirmed) return null
+
+    const name = type === 'project' ? confirmed.name : confirmed.title
+
+    await Audit.logBlockchainTransaction(
+      transaction.txHash,
+      transaction.contractAddress,
+      transaction.functionName,
+      transaction.requestedBy ? { userId: transaction.requestedBy } : SYSTEM_ACTOR,
+      {
+        description: `Registered ${type} on-chain: ${name}`,
+        resource: {
+          type,
+          id: confirmed._id.toString(),
+          name,
+          details: { chainId: type === 'project' ? confirmed.projectId : confirmed.milestoneId }
+        },
+        action: 'create',
+        blockchain: {
+          network: transaction.network,
+          transactionHash: transaction.txHash,
+          contractAddress: transaction.contractAddress,
+          functionName: transaction.functionName,
+          blockNumber: transaction.receipt?.blockNumber,
+          gasUsed: transaction.receipt?.gasUsed,
+          gasPrice: transaction.receipt?.effectiveGasPrice,
+          fee: transaction.receipt?.fee
+        },
+        category: 'data_modification'
+      }
+    )
+
+    logger.info(`${type === 'project' ? 'Project' : 'Milestone'} registered on-chain: ${name} (${transaction.txHash})`)
+
+    if (type === 'project') {
+      await this.registerPendingMilestones(confirmed)
+    }
+
+    return confirmed
+  }
+
+  // Record a confirmed tranche registration of a split milestone and queue the next tranche.
+  // Resolves false once every tranche is registered, so the milestone itself can be confirmed.
+  async recordTrancheRegistration(pending, transaction) {
+    const milestone = await Milestone.findOne(pending)
+    if (!milestone) return null
+    if (milestone.tranches.length <= 1) return false
+
+    const chainId = transaction.args[1]
+    const tranche = milestone.tranches.find(candidate => milestone.getTrancheChainId(candidate) === chainId)
+    if (tranche && !tranche.registrationTxHash) {
+      tranche.registrationTxHash = transaction.txHash
+      await Milestone.updateOne(
+        { _id: milestone._id, 'tranches._id': tranche._id },
+        { $set: { 'tranches.$.registrationTxHash': transaction.txHash } }
+      )
+    }
+
+    if (!milestone.getUnregisteredTranche()) return false
+
+    const project = await Project.findById(milestone.project)
+    const actor = transaction.requestedBy ? { userId: transaction.requestedBy } : SYSTEM_ACTOR
+    return this.queue('milestone', milestone._id, project._id, this.createMilestoneSender(milestone, project), actor)
+  }
+}
+
+// Create singleton instance
+export const chainRegistrationService = new ChainRegistrationService()
+
+export default ChainRegistrationService
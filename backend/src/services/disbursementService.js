@@ -0,0 +1,226 @@
+import { Milestone, Project, Disbursement, BlockchainTransaction, Audit } from '../models/index.js'
+import { getBlockchainService, transactionEvents } from '../utils/blockchain.js'
+import { getProjectNetwork } from '../utils/networks.js'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+class DisbursementService {
+  constructor() {
+    this.confirmationTimeout = config.blockchain.confirmationTimeout
+    this.initialize()
+  }
+
+  initialize() {
+    // Settle disbursements as soon as the transaction queue confirms or gives up on their release
+    const settle = (transaction) => {
+      if (transaction.reference?.type !== 'disbursement') return
+
+      Disbursement.findById(transaction.reference.id)
+        .then(disbursement => disbursement && this.reconcile(disbursement))
+        .catch(error => logger.error(`Failed to settle disbursement ${transaction.reference.id}:`, error))
+    }
+
+    transactionEvents.on('confirmed', settle)
+    transactionEvents.on('failed', settle)
+  }
+
+  // Queue the on-chain release of one tranche of an approved milestone on its project's network and wait for confirmations.
+  // quorum is the release approval evaluation whose signatures authorized it.
+  // Resolves with the disbursement: 'confirmed' when final, 'pending'/'submitted' if confirmations timed out.
+  async releaseMilestoneSubsidy(milestone, project, tranche, actor, quorum = null) {
+    const network = getProjectNetwork(project)
+
+    // The partial unique index on milestone and tranche rejects a second active disbursement (error code 11000)
+    let disbursement = await Disbursement.create({
+      milestone: milestone._id,
+      project: project._id,
+      tranche: tranche._id,
+      trancheLabel: tranche.label,
+      amount: tranche.amount,
+      recipientAddress: project.producerWalletAddress,
+      network: network.key,
+      contractAddress: project.contractAddress,
+      requiredConfirmations: network.confirmations,
+      approvalPolicy: quorum?.policy,
+      approvals: (quorum?.approvals || []).map(({ approver, walletAddress, organization, signature, signedAt }) => ({
+        approver, walletAddress, organization, signature, signedAt
+      })),
+      initiatedBy: actor.userId
+    })
+
+    const blockchain = getBlockchainService(network.key)
+
+    let result
+    try {
+      // Each tranche of a split milestone is its own contract milestone, so releaseSubsidy pays exactly its amount
+      result = await blockchain.releaseSubsidy(milestone.getTrancheChainId(tranche), project.producerWalletAddress, {
+        confirmations: network.confirmations,
+        timeout: this.confirmationTimeout,
+        reference: { type: 'disbursement', id: disbursement._id.toString() },
+        project: project._id,
+        requestedBy: actor.userId,
+        onQueued: async (transaction) => {
+          disbursement.transaction = transaction._id
+          await disbursement.save()
+        },
+        onSubmitted: async (transaction) => {
+          disbursement = await disbursement.markSubmitted(transaction.txHash) || disbursement
+        }
+      })
+    } catch (error) {
+      // Still queued or short of confirmations - the queue keeps working on it
+      if (error.code === 'TIMEOUT' && disbursement.transaction) {
+        logger.warn(`Subsidy release for disbursement ${disbursement._id} not confirmed within ${this.confirmationTimeout}ms`)
+        return Disbursement.findById(disbursement._id)
+      }
+
+      await this.fail(disbursement, error, actor)
+      throw error
+    }
+
+    // The transfer is final on-chain; if recording it fails the disbursement stays open for reconciliation
+    return this.finalize(disbursement, result, actor)
+  }
+
+  // Apply a confirmed release to the milestone tranche and project, then close the disbursement
+  async finalize(disbursement, result, actor) {
+    // Releases started before tranches existed paid the milestone's single default tranche
+    const trancheId = disbursement.tranche || await this.getDefaultTrancheId(disbursement.milestone)
+
+    // Atomic so a release reported twice (request and queue event) only counts once
+    const milestone = await Milestone.markTrancheReleased(
+      disbursement.milestone,
+      trancheId,
+      disbursement.amount,
+      result.transactionHash
+    )
+    if (milestone) {
+      await Project.recordRelease(disbursement.project, disbursement.amount)
+    }
+
+    const confirmed = await disbursement.markConfirmed(result)
+    if (!confirmed) {
+      return Disbursement.findById(disbursement._id)
+    }
+
+    const title = milestone?.title || (await Milestone.findById(disbursement.milestone).select('title'))?.title
+
+    await Audit.logBlockchainTransaction(
+      result.transactionHash,
+      confirmed.contractAddress,
+      'releaseSubsidy',
+      actor,
+      {
+        description: `Subsidy released for milestone: ${title} (${confirmed.trancheLabel})`,
+        eventType: 'subsidy_released',
+        resource: {
+          type: 'milestone',
+          id: confirmed.milestone.toString(),
+          name: title,
+          details: { disbursementId: confirmed._id.toString(), tranche: confirmed.tranche?.toString() }
+        },
+        blockchain: {
+          network: confirmed.network,
+          transactionHash: result.transactionHash,
+          contractAddress: confirmed.contractAddress,
+          functionName: 'releaseSubsidy',
+          blockNumber: result.blockNumber,
+          gasUsed: result.gasUsed,
+          gasPrice: result.gasPrice,
+          fee: result.fee
+        },
+        financial: {
+          amount: confirmed.amount,
+          currency: confirmed.currency,
+          toAddress: confirmed.recipientAddress
+        }
+      }
+    )
+
+    logger.info(`Subsidy release confirmed: ${confirmed.amount} for milestone ${title}, tranche ${confirmed.trancheLabel} (${result.transactionHash})`)
+
+    return confirmed
+  }
+
+  async getDefaultTrancheId(milestoneId) {
+    const milestone = await Milestone.findById(milestoneId)
+    if (milestone.tranches.length === 0) {
+      await milestone.save()
+    }
+    return milestone.tranches[0]._id
+  }
+
+  // Record a failed or reverted release; the milestone stays unreleased so it can be retried
+  async fail(disbursement, error, actor) {
+    const failed = await disbursement.markFailed(error)
+    if (!failed) {
+      return Disbursement.findById(disbursement._id)
+    }
+
+    await Audit.createAuditLog({
+      eventType: 'subsidy_release_failed',
+      actor,
+      resource: {
+        type: 'milestone',
+        id: failed.milestone.toString(),
+        details: { disbursementId: failed._id.toString(), tranche: failed.tranche?.toString() }
+      },
+      action: 'release',
+      description: `Subsidy release failed: ${failed.error.message}`,
+      blockchain: failed.txHash
+        ? { network: failed.network, transactionHash: failed.txHash, contractAddress: failed.contractAddress, functionName: 'releaseSubsidy' }
+        : undefined,
+      financial: {
+        amount: failed.amount,
+        currency: failed.currency,
+        toAddress: failed.recipientAddress
+      },
+      category: 'financial',
+      severity: 'high'
+    })
+
+    logger.error(`Subsidy release failed for disbursement ${failed._id}:`, error)
+
+    return failed
+  }
+
+  // Bring an open disbursement in line with its queued transaction
+  async reconcile(disbursement, actor = { role: 'system' }) {
+    if (!['pending', 'submitted'].includes(disbursement.status) || !disbursement.transaction) {
+      return disbursement
+    }
+
+    const transaction = await BlockchainTransaction.findById(disbursement.transaction)
+
+    if (!transaction) {
+      return disbursement
+    }
+
+    if (transaction.status === 'confirmed') {
+      const blockchain = getBlockchainService(transaction.network || undefined)
+      const result = blockchain.formatConfirmedTransaction(transaction)
+      return this.finalize(disbursement, {
+        ...result,
+        eventData: blockchain.getSubsidyReleasedEvent(result.events)
+      }, actor)
+    }
+
+    if (transaction.status === 'failed') {
+      return this.fail(disbursement, {
+        code: transaction.lastError?.code,
+        message: transaction.lastError?.message || 'Subsidy release transaction failed'
+      }, actor)
+    }
+
+    if (transaction.txHash && transaction.txHash !== disbursement.txHash) {
+      return await disbursement.markSubmitted(transaction.txHash) || disbursement
+    }
+
+    return disbursement
+  }
+}
+
+// Create singleton instance
+export const disbursementService = new DisbursementService()
+
+export default DisbursementService
@@ -1,3 +1,9 @@
 // Central export point for all services
 export { default as NotificationService, notificationService } from './notificationService.js'
 export { default as OracleService, oracleService } from './oracleService.js'
+export { default as StorageService, storageService } from './storageService.js'
+export { default as DisbursementService, disbursementService } from './disbursementService.js'
+export { default as ChainIndexerService, chainIndexerService } from './chainIndexerService.js'
+export { default as ChainRegistrationService, chainRegistrationService } from './chainRegistrationService.js'
+export { default as OracleSchedulerService, oracleSchedulerService } from './oracleSchedulerService.js'
+export { default as MeterService, meterService } from './meterService.js'
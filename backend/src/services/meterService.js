@@ -0,0 +1,303 @@
+import { randomUUID } from 'crypto'
+import { Meter, MeterReading, MeterRollup } from '../models/index.js'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+import { parseCsvRecords } from '../utils/csv.js'
+import {
+  METER_METRICS,
+  ROLLUP_PERIODS,
+  mapCsvColumns,
+  validateReading,
+  productionTargetValues
+} from '../utils/meterReadings.js'
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// Range returned when a series query gives no `from`
+const DEFAULT_SPAN = {
+  raw: DAY_MS,
+  hour: 2 * DAY_MS,
+  day: 30 * DAY_MS,
+  month: 365 * DAY_MS
+}
+
+const metricSums = () =>
+  Object.fromEntries(METER_METRICS.map(metric => [metric, { $sum: { $ifNull: [`$${metric}`, 0] } }]))
+
+/**
+ * Stores production meter readings in a time-series collection and keeps hourly, daily and
+ * monthly rollups per meter. Rollup buckets touched by an ingest are recomputed from the raw
+ * readings, so re-ingesting or correcting data never double counts. Ingests into one meter hold a
+ * lease on it, so concurrent or retried uploads of the same batch can't both pass the duplicate check.
+ */
+class MeterService {
+  constructor(options = config.meters) {
+    this.options = options
+  }
+
+  // Validate and store readings for a meter; readings at a timestamp the meter already reported are skipped
+  async ingestReadings(meter, readings, source = 'api') {
+    if (readings.length > this.options.maxReadingsPerUpload) {
+      return { errors: [{ row: null, error: `At most ${this.options.maxReadingsPerUpload} readings can be ingested at once` }] }
+    }
+
+    const accepted = []
+    const errors = []
+
+    // CSV readings carry their line number for error reporting
+    readings.forEach(({ row, ...reading }, index) => {
+      const { value, error } = validateReading(reading, meter.metrics)
+      if (error) {
+        errors.push({ row: row ?? index + 1, error })
+      } else {
+        accepted.push(value)
+      }
+    })
+
+    // A batch with invalid rows is rejected as a whole, so a corrected file can simply be re-sent
+    if (errors.length || accepted.length === 0) {
+      return { errors: errors.length ? errors : [{ row: null, error: 'No readings to ingest' }] }
+    }
+
+    const times = accepted.map(reading => reading.timestamp.getTime())
+    const from = new Date(Math.min(...times))
+    const to = new Date(Math.max(...times))
+
+    const token = randomUUID()
+    if (!await this.acquireIngestLock(meter, token)) {
+      return { errors: [{ row: null, error: 'Another upload for this meter is still being stored; retry shortly' }] }
+    }
+
+    try {
+      return await this.storeReadings(meter, accepted, source, from, to)
+    } finally {
+      await Meter.releaseIngestLock(meter._id, token)
+        .catch(error => logger.warn(`Failed to release ingest lease of meter ${meter.meterId}: ${error.message}`))
+    }
+  }
+
+  // Wait up to ingestLockWait for the meter's ingest lease
+  async acquireIngestLock(meter, token) {
+    const deadline = Date.now() + this.options.ingestLockWait
+
+    while (!await Meter.acquireIngestLock(meter._id, token, this.options.ingestLockTtl)) {
+      if (Date.now() >= deadline) return false
+      await new Promise(resolve => setTimeout(resolve, 250))
+    }
+
+    return true
+  }
+
+  // Store the readings the meter has not reported yet and refresh the rollups they fall in; runs under the ingest lease
+  async storeReadings(meter, accepted, source, from, to) {
+    const existing = await MeterReading.find({ 'meta.meter': meter._id, timestamp: { $gte: from, $lte: to } })
+      .select('timestamp')
+      .lean()
+    const seen = new Set(existing.map(reading => reading.timestamp.getTime()))
+
+    const documents = []
+    for (const reading of accepted) {
+      const time = reading.timestamp.getTime()
+      if (seen.has(time)) continue
+      seen.add(time)
+
+      documents.push({
+        timestamp: reading.timestamp,
+        meta: { meter: meter._id, project: meter.project._id || meter.project },
+        ...Object.fromEntries(METER_METRICS.filter(metric => reading[metric] != null).map(metric => [metric, reading[metric]])),
+        source
+      })
+    }
+
+    if (documents.length) {
+      await MeterReading.insertMany(documents)
+      await this.refreshRollups(meter, from, to)
+      await Meter.recordIngest(meter._id, documents.length, to)
+    }
+
+    logger.info(`Ingested ${documents.length} readings for meter ${meter.meterId} (${accepted.length - documents.length} duplicates skipped)`)
+
+    return {
+      errors: [],
+      inserted: documents.length,
+      duplicates: accepted.length - documents.length,
+      from,
+      to
+    }
+  }
+
+  // Parse a CSV upload (timestamp column plus one column per metric) and ingest it
+  async ingestCsv(meter, text) {
+    let parsed
+    try {
+      parsed = parseCsvRecords(text)
+    } catch (error) {
+      return { errors: [{ row: null, error: `Invalid CSV: ${error.message}` }] }
+    }
+
+    const columns = mapCsvColumns(parsed.columns)
+    if (!columns.timestamp) {
+      return { errors: [{ row: 1, error: 'CSV header must include a timestamp column' }] }
+    }
+
+    const readings = parsed.records.map((record, index) => {
+      const reading = { row: index + 2, timestamp: record[columns.timestamp] }
+      for (const metric of METER_METRICS) {
+        const value = columns[metric] ? record[columns[metric]] : ''
+        if (value !== '') reading[metric] = value
+      }
+      return reading
+    })
+
+    return this.ingestReadings(meter, readings, 'csv')
+  }
+
+  // Recompute every rollup bucket that contains a reading between from and to
+  async refreshRollups(meter, from, to) {
+    const { timezone } = this.options
+    const project = meter.project._id || meter.project
+
+    for (const unit of ROLLUP_PERIODS) {
+      const bucket = { $dateTrunc: { date: '$timestamp', unit, timezone } }
+
+      // Widen the range to whole buckets so partially covered ones are not summed short
+      const [range] = await MeterReading.aggregate([
+        { $match: { 'meta.meter': meter._id, timestamp: { $gte: from, $lte: to } } },
+        {
+          $group: {
+            _id: null,
+            start: { $min: bucket },
+            end: { $max: { $dateAdd: { startDate: bucket, unit, amount: 1, timezone } } }
+          }
+        }
+      ])
+
+      if (!range) continue
+
+      const totals = await MeterReading.aggregate([
+        { $match: { 'meta.meter': meter._id, timestamp: { $gte: range.start, $lt: range.end } } },
+        {
+          $group: {
+            _id: bucket,
+            ...metricSums(),
+            readings: { $sum: 1 },
+            firstReadingAt: { $min: '$timestamp' },
+            lastReadingAt: { $max: '$timestamp' }
+          }
+        }
+      ])
+
+      await MeterRollup.bulkWrite(totals.map(({ _id, ...values }) => ({
+        updateOne: {
+          filter: { meter: meter._id, period: unit, periodStart: _id },
+          update: { $set: { ...values, project } },
+          upsert: true
+        }
+      })))
+    }
+  }
+
+  // Resolve a query range, defaulting to the most recent span for the interval
+  getRange(interval, from, to) {
+    const end = to ? new Date(to) : new Date()
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_SPAN[interval])
+    return { start, end }
+  }
+
+  // Raw readings or rollups of one meter, oldest first
+  async getMeterSeries(meter, { interval = 'day', from, to } = {}) {
+    const { start, end } = this.getRange(interval, from, to)
+
+    if (interval === 'raw') {
+      const points = await MeterReading.find({ 'meta.meter': meter._id, timestamp: { $gte: start, $lte: end } })
+        .sort({ timestamp: 1 })
+        .limit(this.options.maxRawPoints + 1)
+        .select(`timestamp source ${METER_METRICS.join(' ')}`)
+        .lean()
+
+      return {
+        interval,
+        from: start,
+        to: end,
+        truncated: points.length > this.options.maxRawPoints,
+        points: points.slice(0, this.options.maxRawPoints).map(({ _id, ...point }) => point)
+      }
+    }
+
+    const points = await MeterRollup.find({ meter: meter._id, period: interval, periodStart: { $gte: start, $lte: end } })
+      .sort({ periodStart: 1 })
+      .select(`periodStart readings ${METER_METRICS.join(' ')}`)
+      .lean()
+
+    return {
+      interval,
+      from: start,
+      to: end,
+      points: points.map(({ _id, periodStart, ...point }) => ({ timestamp: periodStart, ...point }))
+    }
+  }
+
+  // Rollups of all meters of a project, summed per period
+  async getProjectSeries(projectId, { interval = 'day', from, to } = {}) {
+    const { start, end } = this.getRange(interval, from, to)
+
+    const points = await MeterRollup.aggregate([
+      { $match: { project: projectId, period: interval, periodStart: { $gte: start, $lte: end } } },
+      { $group: { _id: '$periodStart', ...metricSums(), readings: { $sum: '$readings' }, meters: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+
+    return {
+      interval,
+      from: start,
+      to: end,
+      points: points.map(({ _id, ...point }) => ({ timestamp: _id, ...point }))
+    }
+  }
+
+  // Production totals of a project between two instants, from raw readings so the bounds are exact
+  async getProjectTotals(projectId, from, to) {
+    const [totals] = await MeterReading.aggregate([
+      { $match: { 'meta.project': projectId, timestamp: { $gte: from, $lte: to } } },
+      { $group: { _id: null, ...metricSums(), readings: { $sum: 1 } } }
+    ])
+
+    const { _id, ...values } = totals || { ...Object.fromEntries(METER_METRICS.map(metric => [metric, 0])), readings: 0 }
+    return values
+  }
+
+  // Production over a milestone's period (actual dates when known, planned otherwise) and the target values it yields
+  async getMilestoneProduction(milestone) {
+    const projectId = milestone.project._id || milestone.project
+    const from = milestone.actualStartDate || milestone.plannedStartDate
+    const to = new Date(Math.min((milestone.actualEndDate || new Date()).getTime(), Date.now()))
+    const totals = await this.getProjectTotals(projectId, from, to)
+
+    return {
+      from,
+      to,
+      totals,
+      targetValues: productionTargetValues(totals)
+    }
+  }
+
+  // Record production-derived values on the milestone's performance targets
+  async evaluateMilestone(milestone) {
+    const production = await this.getMilestoneProduction(milestone)
+
+    const parameters = new Set((milestone.technicalSpecs?.performanceTargets || []).map(target => target.parameter))
+    const values = Object.fromEntries(Object.entries(production.targetValues)
+      .filter(([parameter, value]) => parameters.has(parameter) && value !== null))
+
+    const evaluation = milestone.recordActualValues(values, 'meter')
+    await milestone.save()
+
+    return { ...production, evaluated: Object.keys(values), evaluation }
+  }
+}
+
+// Create singleton instance
+export const meterService = new MeterService()
+
+export default MeterService
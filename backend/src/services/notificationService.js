@@ -148,18 +148,20 @@ class NotificationService {
           isActive: true
         }),
         
+        // Tranche releases, so partially released milestones are counted too
         Milestone.aggregate([
           {
             $match: {
-              releaseDate: { $gte: sinceDate },
-              released: true,
+              'tranches.releaseDate': { $gte: sinceDate },
               isActive: true
             }
           },
+          { $unwind: '$tranches' },
+          { $match: { 'tranches.releaseDate': { $gte: sinceDate } } },
           {
             $group: {
               _id: null,
-              total: { $sum: '$subsidyAmount' },
+              total: { $sum: '$tranches.releasedAmount' },
               count: { $sum: 1 }
             }
           }
@@ -337,6 +339,25 @@ class NotificationService {
     }
   }
 
+  async notifyOracleConsensus(milestone, project, oracleData) {
+    try {
+      const auditor = project?.auditor && await User.findById(project.auditor)
+      if (auditor?.email) {
+        const template = emailTemplates.oracleConsensusReached(auditor, milestone, project, oracleData.verificationScore)
+        await sendEmail({
+          to: auditor.email,
+          ...template
+        })
+
+        logger.info(`Sent oracle consensus notification to ${auditor.email}`)
+      } else {
+        logger.warn(`Oracle consensus reached for milestone ${milestone.milestoneId} but the project has no auditor to notify`)
+      }
+    } catch (error) {
+      logger.error('Error sending oracle consensus notification:', error)
+    }
+  }
+
   // Job management methods
   startJob(name) {
     const job = this.jobs.get(name)
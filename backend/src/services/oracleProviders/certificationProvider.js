@@ -0,0 +1,39 @@
+import Joi from 'joi'
+import { OracleProvider } from './oracleProvider.js'
+
+// Certification and compliance status from the certifying body
+export class CertificationOracleProvider extends OracleProvider {
+  static type = 'certification'
+
+  // Shape of a record, pulled from /certifications/:projectId or pushed to the webhook
+  static payloadSchema = Joi.object({
+    status: Joi.string().required(),
+    certNumber: Joi.string(),
+    issuer: Joi.string(),
+    validUntil: Joi.date().iso(),
+    complianceScore: Joi.number().min(0).max(100),
+    violations: Joi.array()
+  }).unknown()
+
+  async fetchData(milestone, project) {
+    if (!this.isConfigured) {
+      return null
+    }
+
+    return this.parseReading(await this.request(`/certifications/${encodeURIComponent(project.projectId)}`, { apiKey: this.apiKey }))
+  }
+
+  parseReading(data) {
+    return {
+      certificationStatus: data.status,
+      certificationNumber: data.certNumber,
+      issuedBy: data.issuer,
+      validUntil: data.validUntil ? new Date(data.validUntil) : undefined,
+      complianceScore: data.complianceScore,
+      violations: data.violations || [],
+      timestamp: new Date()
+    }
+  }
+}
+
+export default CertificationOracleProvider
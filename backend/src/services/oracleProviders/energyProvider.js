@@ -0,0 +1,38 @@
+import Joi from 'joi'
+import { OracleProvider } from './oracleProvider.js'
+
+// Energy production and consumption reported by the plant's metering system
+export class EnergyOracleProvider extends OracleProvider {
+  static type = 'energy'
+
+  // Shape of a reading, pulled from /energy/:projectId or pushed to the webhook
+  static payloadSchema = Joi.object({
+    production: Joi.object({ total: Joi.number().min(0).required() }).unknown().required(),
+    consumption: Joi.object({ total: Joi.number().min(0) }).unknown(),
+    efficiency: Joi.number().min(0).max(100),
+    carbonMetrics: Joi.object({ offset: Joi.number().min(0) }).unknown(),
+    renewablePercentage: Joi.number().min(0).max(100),
+    timestamp: Joi.date().iso().required()
+  }).unknown()
+
+  async fetchData(milestone, project) {
+    if (!this.isConfigured) {
+      return null
+    }
+
+    return this.parseReading(await this.request(`/energy/${encodeURIComponent(project.projectId)}`, { apiKey: this.apiKey }))
+  }
+
+  parseReading(data) {
+    return {
+      energyProduced: data.production?.total,
+      energyConsumed: data.consumption?.total,
+      efficiency: data.efficiency,
+      carbonOffset: data.carbonMetrics?.offset,
+      renewablePercentage: data.renewablePercentage,
+      timestamp: new Date(data.timestamp)
+    }
+  }
+}
+
+export default EnergyOracleProvider
@@ -0,0 +1,11 @@
+// Built-in oracle provider types; more can be added with oracleService.registerProviderType()
+import { WeatherOracleProvider } from './weatherProvider.js'
+import { EnergyOracleProvider } from './energyProvider.js'
+import { CertificationOracleProvider } from './certificationProvider.js'
+
+export { OracleProvider } from './oracleProvider.js'
+export { WeatherOracleProvider, EnergyOracleProvider, CertificationOracleProvider }
+
+export const BUILT_IN_PROVIDER_TYPES = [WeatherOracleProvider, EnergyOracleProvider, CertificationOracleProvider]
+
+export const ORACLE_PROVIDER_TYPES = BUILT_IN_PROVIDER_TYPES.map(Provider => Provider.type)
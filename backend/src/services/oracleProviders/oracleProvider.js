@@ -0,0 +1,116 @@
+// Common interface for oracle data providers. Subclasses implement fetchData(milestone, project),
+// resolving with a flat object of readings or null when the provider has nothing for the project.
+// Providers that accept pushed data also declare a Joi payloadSchema and implement parseReading(payload).
+const RATE_LIMIT_WINDOW = 60 * 1000
+
+export class OracleProvider {
+  static payloadSchema = null
+
+  constructor({ id, name, endpoint, apiKey, webhookSecret, weight = 1, timeout = 5000, rateLimit = 0, enabled = true, options = {} }) {
+    this.id = id
+    this.name = name || id
+    this.endpoint = endpoint?.replace(/\/+$/, '')
+    this.apiKey = apiKey
+    this.webhookSecret = webhookSecret
+    this.weight = weight
+    this.timeout = timeout
+    this.rateLimit = rateLimit // requests per minute, 0 = unlimited
+    this.requestTimes = []
+    this.enabled = enabled
+    this.options = options
+  }
+
+  get isConfigured() {
+    return Boolean(this.endpoint)
+  }
+
+  // Pushes are only accepted once a shared secret is set to verify their signatures
+  get acceptsWebhooks() {
+    return Boolean(this.webhookSecret && this.constructor.payloadSchema)
+  }
+
+  // Milliseconds until another request fits within the rate limit
+  get availableIn() {
+    if (!this.rateLimit) return 0
+
+    const windowStart = Date.now() - RATE_LIMIT_WINDOW
+    this.requestTimes = this.requestTimes.filter(time => time > windowStart)
+
+    return this.requestTimes.length < this.rateLimit
+      ? 0
+      : this.requestTimes[0] - windowStart
+  }
+
+  // Wait for a free request slot; background jobs pace themselves with this instead of failing
+  async waitForSlot() {
+    let delay
+    while ((delay = this.availableIn) > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+
+  // GET a JSON resource from the provider, aborting after the provider's timeout
+  async request(path, params = {}) {
+    if (this.availableIn > 0) {
+      throw new Error(`${this.name} rate limit of ${this.rateLimit} requests per minute reached`)
+    }
+    this.requestTimes.push(Date.now())
+
+    const url = new URL(`${this.endpoint}${path}`)
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value)
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) })
+
+    if (!response.ok) {
+      throw new Error(`${this.name} API error: ${response.status}`)
+    }
+
+    return response.json()
+  }
+
+  async fetchData(milestone, project) {
+    throw new Error(`${this.constructor.name} does not implement fetchData`)
+  }
+
+  parseReading(payload) {
+    throw new Error(`${this.constructor.name} does not implement parseReading`)
+  }
+
+  async healthCheck() {
+    if (!this.isConfigured) {
+      return { status: 'not_configured', message: 'No endpoint configured' }
+    }
+
+    const startTime = Date.now()
+    try {
+      const response = await fetch(`${this.endpoint}/health`, { signal: AbortSignal.timeout(this.timeout) })
+      return {
+        status: response.ok ? 'healthy' : 'unhealthy',
+        responseTime: Date.now() - startTime
+      }
+    } catch (error) {
+      return { status: 'error', error: error.message }
+    }
+  }
+
+  // Public description; never exposes the API key or webhook secret
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.constructor.type,
+      name: this.name,
+      endpoint: this.endpoint,
+      weight: this.weight,
+      timeout: this.timeout,
+      rateLimit: this.rateLimit,
+      enabled: this.enabled,
+      configured: this.isConfigured,
+      hasApiKey: Boolean(this.apiKey),
+      acceptsWebhooks: this.acceptsWebhooks
+    }
+  }
+}
+
+export default OracleProvider
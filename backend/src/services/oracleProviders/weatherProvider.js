@@ -0,0 +1,50 @@
+import Joi from 'joi'
+import { OracleProvider } from './oracleProvider.js'
+
+// Weather conditions at the project site (OpenWeatherMap-compatible API)
+export class WeatherOracleProvider extends OracleProvider {
+  static type = 'weather'
+
+  // OpenWeatherMap current weather response, pulled from /weather or pushed to the webhook
+  static payloadSchema = Joi.object({
+    main: Joi.object({ temp: Joi.number(), humidity: Joi.number().min(0).max(100) }).unknown().required(),
+    wind: Joi.object({ speed: Joi.number().min(0) }).unknown(),
+    clouds: Joi.object({ all: Joi.number().min(0).max(100) }).unknown(),
+    weather: Joi.array().items(Joi.object({ main: Joi.string() }).unknown()),
+    dt: Joi.number().integer().required()
+  }).unknown()
+
+  async fetchData(milestone, project) {
+    const { latitude, longitude } = project.location?.coordinates || {}
+    if (!this.isConfigured || latitude === undefined || longitude === undefined) {
+      return null
+    }
+
+    return this.parseReading(await this.request('/weather', { lat: latitude, lon: longitude, appid: this.apiKey }))
+  }
+
+  parseReading(data) {
+    return {
+      temperature: data.main?.temp,
+      humidity: data.main?.humidity,
+      windSpeed: data.wind?.speed,
+      cloudiness: data.clouds?.all,
+      solarIrradiance: this.calculateSolarIrradiance(data),
+      weatherCondition: data.weather?.[0]?.main,
+      timestamp: new Date(data.dt * 1000)
+    }
+  }
+
+  // Calculate solar irradiance from weather data
+  calculateSolarIrradiance(weatherData) {
+    if (!weatherData.clouds) return null
+
+    // Simplified calculation - in production, use more sophisticated models
+    const cloudiness = weatherData.clouds.all || 0
+    const maxIrradiance = 1000 // W/m² (typical peak solar irradiance)
+
+    return maxIrradiance * (1 - (cloudiness / 100) * 0.8)
+  }
+}
+
+export default WeatherOracleProvider
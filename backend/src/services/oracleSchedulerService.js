@@ -0,0 +1,103 @@
+import cron from 'node-cron'
+import { Milestone } from '../models/index.js'
+import { oracleService } from './oracleService.js'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+/**
+ * Refreshes oracle data for every in-progress milestone on a cron schedule. Milestones are
+ * processed one at a time and the job waits out provider rate limits rather than failing, so a
+ * run can outlast the schedule; a run that is due while the previous one is still going is skipped.
+ */
+class OracleSchedulerService {
+  constructor(options = config.oracle.polling) {
+    this.options = options
+    this.job = null
+    this.running = false
+    this.lastRun = null
+
+    if (options.enabled) {
+      this.start()
+    }
+  }
+
+  // Schedule the polling job
+  start() {
+    if (this.job) return
+
+    this.job = cron.schedule(this.options.schedule, () => {
+      this.run().catch(error => logger.error('Error in scheduled oracle polling:', error))
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'Asia/Kolkata'
+    })
+
+    logger.info(`Oracle polling scheduled with expression: ${this.options.schedule}`)
+  }
+
+  // Unschedule the polling job; a run in progress finishes
+  stop() {
+    if (this.job) {
+      this.job.stop()
+      this.job = null
+    }
+  }
+
+  // Refresh every in-progress milestone once
+  async run() {
+    if (this.running) {
+      logger.warn('Oracle polling is still running, skipping this run')
+      return null
+    }
+
+    this.running = true
+    const summary = { startedAt: new Date(), milestones: 0, refreshed: 0, failed: 0, consensusReached: 0 }
+
+    try {
+      const milestones = await Milestone.find({ status: 'in_progress', isActive: true }).populate('project')
+      summary.milestones = milestones.length
+
+      for (const milestone of milestones) {
+        if (!milestone.project) continue
+
+        const previousScore = milestone.oracleData?.data?.verificationScore ?? 0
+
+        try {
+          const oracleData = await oracleService.fetchMilestoneData(milestone, milestone.project, {
+            source: 'scheduled',
+            throttle: true
+          })
+
+          summary.refreshed++
+          if (previousScore < oracleService.verificationThreshold && oracleData.consensus) {
+            summary.consensusReached++
+          }
+        } catch (error) {
+          summary.failed++
+          logger.error(`Scheduled oracle refresh failed for milestone ${milestone.milestoneId}:`, error)
+        }
+      }
+
+      logger.info(`Oracle polling refreshed ${summary.refreshed} of ${summary.milestones} in-progress milestones`)
+      return summary
+    } finally {
+      this.running = false
+      this.lastRun = { ...summary, finishedAt: new Date() }
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.options.enabled,
+      scheduled: Boolean(this.job),
+      schedule: this.options.schedule,
+      running: this.running,
+      lastRun: this.lastRun
+    }
+  }
+}
+
+// Create singleton instance
+export const oracleSchedulerService = new OracleSchedulerService()
+
+export default OracleSchedulerService
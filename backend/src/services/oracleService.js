@@ -1,52 +1,123 @@
-import { Project, Milestone, User, Audit } from '../models/index.js'
-import { blockchainService } from '../utils/blockchain.js'
+import { Milestone, Audit, OracleProviderConfig, OracleSnapshot } from '../models/index.js'
+import config from '../config/index.js'
 import logger from '../utils/logger.js'
+import { evaluateTarget, describeTarget } from '../utils/performanceRules.js'
+import { getProjectNetwork } from '../utils/networks.js'
+import { createOracleSigner } from '../utils/signer.util.js'
+import {
+  ATTESTATION_TYPES,
+  buildAttestationDomain,
+  buildAttestationMessage,
+  hashOracleData
+} from '../utils/oracleAttestation.js'
+import { BUILT_IN_PROVIDER_TYPES } from './oracleProviders/index.js'
+import { notificationService } from './notificationService.js'
 
 class OracleService {
   constructor() {
+    this.providerTypes = new Map()
     this.dataProviders = new Map()
-    this.verificationThreshold = 0.75 // 75% consensus required
+    this.loading = null
+    this.verificationThreshold = config.oracle.verificationThreshold // Share of weighted provider score needed for consensus
     this.initialize()
   }
 
   initialize() {
-    // Initialize data providers
-    this.dataProviders.set('weather', {
-      name: 'Weather Oracle',
-      endpoint: process.env.WEATHER_API_URL,
-      apiKey: process.env.WEATHER_API_KEY,
-      weight: 0.3
-    })
+    for (const Provider of BUILT_IN_PROVIDER_TYPES) {
+      this.registerProviderType(Provider)
+    }
 
-    this.dataProviders.set('energy', {
-      name: 'Energy Oracle',
-      endpoint: process.env.ENERGY_API_URL,
-      apiKey: process.env.ENERGY_API_KEY,
-      weight: 0.4
-    })
+    // Usable straight away; settings stored in the database are merged in on first use
+    this.dataProviders = this.buildProviders(config.oracle.providers)
 
-    this.dataProviders.set('certification', {
-      name: 'Certification Oracle',
-      endpoint: process.env.CERT_API_URL,
-      apiKey: process.env.CERT_API_KEY,
-      weight: 0.3
-    })
+    logger.info(`Oracle service initialized with data providers: ${[...this.dataProviders.keys()].join(', ')}`)
+  }
+
+  // Register a provider module (a subclass of OracleProvider with a static type)
+  registerProviderType(Provider) {
+    this.providerTypes.set(Provider.type, Provider)
+  }
+
+  getProviderTypes() {
+    return [...this.providerTypes.keys()]
+  }
 
-    logger.info('Oracle service initialized with data providers')
+  createProvider(definition) {
+    const Provider = this.providerTypes.get(definition.type)
+    if (!Provider) {
+      throw new Error(`Unknown oracle provider type: ${definition.type}`)
+    }
+    return new Provider(definition)
   }
 
-  // Fetch external data for milestone verification
-  async fetchMilestoneData(milestone, project) {
+  buildProviders(definitions) {
+    const providers = new Map()
+
+    for (const definition of definitions) {
+      try {
+        providers.set(definition.id, this.createProvider(definition))
+      } catch (error) {
+        logger.warn(`Skipping oracle provider ${definition.id}: ${error.message}`)
+      }
+    }
+
+    return providers
+  }
+
+  // Merge provider settings stored in the database over the config defaults
+  async loadProviders() {
+    const definitions = new Map(config.oracle.providers.map(definition => [definition.id, definition]))
+    const stored = await OracleProviderConfig.find().select('+apiKey +webhookSecret')
+
+    for (const doc of stored) {
+      definitions.set(doc.providerId, { ...definitions.get(doc.providerId), ...doc.toDefinition() })
+    }
+
+    this.dataProviders = this.buildProviders(definitions.values())
+    return this.dataProviders
+  }
+
+  // All providers, enabled or not
+  async getProviders() {
+    if (!this.loading) {
+      this.loading = this.loadProviders().catch(error => {
+        this.loading = null
+        throw error
+      })
+    }
+
+    await this.loading
+    return [...this.dataProviders.values()]
+  }
+
+  async getEnabledProviders() {
+    return (await this.getProviders()).filter(provider => provider.enabled)
+  }
+
+  // Pick up changed database settings
+  reloadProviders() {
+    this.loading = null
+    return this.getProviders()
+  }
+
+  // Fetch external data for milestone verification; with throttle, wait out provider rate limits instead of failing
+  async fetchMilestoneData(milestone, project, { source = 'manual', throttle = false } = {}) {
     try {
+      const providers = await this.getEnabledProviders()
       const results = []
 
       // Fetch data from multiple sources
-      for (const [providerId, provider] of this.dataProviders) {
+      for (const provider of providers) {
         try {
-          const data = await this.fetchFromProvider(providerId, milestone, project)
+          if (throttle && provider.isConfigured) {
+            await provider.waitForSlot()
+          }
+
+          const data = await provider.fetchData(milestone, project)
           if (data) {
             results.push({
-              providerId,
+              providerId: provider.id,
+              providerType: provider.constructor.type,
               providerName: provider.name,
               data,
               weight: provider.weight,
@@ -57,9 +128,10 @@ class OracleService {
         } catch (error) {
           logger.error(`Failed to fetch data from ${provider.name}:`, error)
           results.push({
-            providerId,
+            providerId: provider.id,
+            providerType: provider.constructor.type,
             providerName: provider.name,
-            error: error.message,
+            error: error.name === 'TimeoutError' ? `Timed out after ${provider.timeout}ms` : error.message,
             weight: provider.weight,
             timestamp: new Date(),
             verified: false
@@ -67,38 +139,7 @@ class OracleService {
         }
       }
 
-      // Aggregate and verify data
-      const aggregatedData = this.aggregateOracleData(results)
-      
-      // Store oracle data in milestone
-      milestone.oracleData = {
-        dataSource: 'Multiple Oracles',
-        lastUpdated: new Date(),
-        verificationHash: this.generateVerificationHash(aggregatedData),
-        data: aggregatedData
-      }
-
-      await milestone.save()
-
-      // Log oracle data update
-      await Audit.createAuditLog({
-        eventType: 'oracle_data_update',
-        resource: {
-          type: 'milestone',
-          id: milestone._id.toString(),
-          name: milestone.title
-        },
-        action: 'update',
-        description: `Oracle data updated for milestone: ${milestone.title}`,
-        category: 'system',
-        severity: 'low',
-        context: {
-          providersUsed: results.length,
-          verificationScore: aggregatedData.verificationScore
-        }
-      })
-
-      return aggregatedData
+      return await this.storeOracleData(milestone, project, results, providers, { dataSource: 'Multiple Oracles', source })
 
     } catch (error) {
       logger.error('Failed to fetch milestone oracle data:', error)
@@ -106,131 +147,102 @@ class OracleService {
     }
   }
 
-  // Fetch data from specific provider
-  async fetchFromProvider(providerId, milestone, project) {
-    const provider = this.dataProviders.get(providerId)
-    if (!provider) {
-      throw new Error(`Provider ${providerId} not found`)
+  // Apply a reading pushed by a provider, re-aggregating it with the latest readings of the other providers
+  async ingestWebhookReading(provider, milestone, project, reading, observedAt = new Date()) {
+    const providers = await this.getEnabledProviders()
+    const enabledIds = new Set(providers.map(candidate => candidate.id))
+    const previous = (milestone.oracleData?.data?.sources || [])
+      .filter(source => source.providerId !== provider.id && enabledIds.has(source.providerId))
+
+    const result = {
+      providerId: provider.id,
+      providerType: provider.constructor.type,
+      providerName: provider.name,
+      data: reading,
+      weight: provider.weight,
+      timestamp: observedAt,
+      verified: true,
+      delivery: 'webhook'
     }
 
-    switch (providerId) {
-      case 'weather':
-        return await this.fetchWeatherData(milestone, project, provider)
-      
-      case 'energy':
-        return await this.fetchEnergyData(milestone, project, provider)
-      
-      case 'certification':
-        return await this.fetchCertificationData(milestone, project, provider)
-      
-      default:
-        throw new Error(`Unknown provider: ${providerId}`)
-    }
+    return this.storeOracleData(milestone, project, [...previous, result], providers, {
+      dataSource: `Webhook: ${provider.name}`,
+      source: 'webhook'
+    })
   }
 
-  // Fetch weather data for renewable energy verification
-  async fetchWeatherData(milestone, project, provider) {
-    try {
-      if (!provider.endpoint || !project.location?.coordinates) {
-        return null
-      }
-
-      const { latitude, longitude } = project.location.coordinates
-      const response = await fetch(
-        `${provider.endpoint}/weather?lat=${latitude}&lon=${longitude}&appid=${provider.apiKey}`
-      )
-
-      if (!response.ok) {
-        throw new Error(`Weather API error: ${response.status}`)
-      }
-
-      const data = await response.json()
-      
-      return {
-        temperature: data.main?.temp,
-        humidity: data.main?.humidity,
-        windSpeed: data.wind?.speed,
-        cloudiness: data.clouds?.all,
-        solarIrradiance: this.calculateSolarIrradiance(data),
-        weatherCondition: data.weather?.[0]?.main,
-        timestamp: new Date(data.dt * 1000)
-      }
+  // Aggregate provider results, sign them, keep them as a snapshot and apply them to the milestone's targets
+  async storeOracleData(milestone, project, results, providers, { dataSource, source }) {
+    const aggregatedData = this.aggregateOracleData(results, this.getTotalPossibleWeight(providers))
+    const previousScore = milestone.oracleData?.data?.verificationScore ?? 0
+    const verificationHash = this.generateVerificationHash(aggregatedData)
+    const attestation = await this.signAttestation(milestone, project, aggregatedData)
+
+    const snapshot = new OracleSnapshot({
+      milestone: milestone._id,
+      project: project?._id,
+      source,
+      dataSource,
+      verificationScore: aggregatedData.verificationScore,
+      consensus: aggregatedData.consensus,
+      verificationHash,
+      data: aggregatedData,
+      attestation,
+      providers: results.map(result => ({
+        providerId: result.providerId,
+        providerType: result.providerType,
+        success: result.verified,
+        error: result.error
+      })),
+      capturedAt: aggregatedData.lastUpdated
+    })
 
-    } catch (error) {
-      logger.error('Weather data fetch failed:', error)
-      return null
+    // The milestone keeps the latest reading, signed so auditors can check it was not altered
+    milestone.oracleData = {
+      dataSource,
+      lastUpdated: new Date(),
+      verificationHash,
+      data: aggregatedData,
+      attestation,
+      snapshot: snapshot._id
     }
-  }
 
-  // Fetch energy production/consumption data
-  async fetchEnergyData(milestone, project, provider) {
-    try {
-      if (!provider.endpoint) {
-        return null
-      }
+    // Feed oracle readings into the milestone's performance targets
+    milestone.recordActualValues(this.extractTargetValues(milestone, aggregatedData.aggregatedData), 'oracle')
 
-      // Mock energy data - in production, integrate with actual energy meters
-      const response = await fetch(
-        `${provider.endpoint}/energy/${project.projectId}?apiKey=${provider.apiKey}`
-      )
+    await milestone.save()
+    await snapshot.save()
 
-      if (!response.ok) {
-        throw new Error(`Energy API error: ${response.status}`)
-      }
-
-      const data = await response.json()
-      
-      return {
-        energyProduced: data.production?.total,
-        energyConsumed: data.consumption?.total,
-        efficiency: data.efficiency,
-        carbonOffset: data.carbonMetrics?.offset,
-        renewablePercentage: data.renewablePercentage,
-        timestamp: new Date(data.timestamp)
-      }
-
-    } catch (error) {
-      logger.error('Energy data fetch failed:', error)
-      return null
+    if (previousScore < this.verificationThreshold && aggregatedData.consensus) {
+      await notificationService.notifyOracleConsensus(milestone, project, aggregatedData)
     }
-  }
-
-  // Fetch certification and compliance data
-  async fetchCertificationData(milestone, project, provider) {
-    try {
-      if (!provider.endpoint) {
-        return null
-      }
-
-      // Mock certification data - integrate with actual certification bodies
-      const response = await fetch(
-        `${provider.endpoint}/certifications/${project.projectId}?apiKey=${provider.apiKey}`
-      )
-
-      if (!response.ok) {
-        throw new Error(`Certification API error: ${response.status}`)
-      }
 
-      const data = await response.json()
-      
-      return {
-        certificationStatus: data.status,
-        certificationNumber: data.certNumber,
-        issuedBy: data.issuer,
-        validUntil: new Date(data.validUntil),
-        complianceScore: data.complianceScore,
-        violations: data.violations || [],
-        timestamp: new Date()
+    // Log oracle data update
+    await Audit.createAuditLog({
+      eventType: 'oracle_data_update',
+      resource: {
+        type: 'milestone',
+        id: milestone._id.toString(),
+        name: milestone.title
+      },
+      action: 'update',
+      description: `Oracle data updated for milestone: ${milestone.title}`,
+      category: 'system',
+      severity: 'low',
+      context: {
+        dataSource,
+        source,
+        snapshot: snapshot._id.toString(),
+        providersUsed: results.length,
+        verificationScore: aggregatedData.verificationScore
       }
+    })
 
-    } catch (error) {
-      logger.error('Certification data fetch failed:', error)
-      return null
-    }
+    return aggregatedData
   }
 
   // Aggregate data from multiple oracle sources
-  aggregateOracleData(results) {
+  aggregateOracleData(results, totalPossibleWeight) {
     const validResults = results.filter(r => r.verified && r.data)
     
     if (validResults.length === 0) {
@@ -242,39 +254,34 @@ class OracleService {
       }
     }
 
-    // Calculate weighted average for numerical values
-    const aggregatedData = {}
     const totalWeight = validResults.reduce((sum, r) => sum + r.weight, 0)
 
-    // Aggregate weather data
-    if (validResults.some(r => r.data.temperature !== undefined)) {
-      const weatherData = validResults
-        .filter(r => r.data.temperature !== undefined)
-        .reduce((acc, r) => {
-          acc.temperature += (r.data.temperature * r.weight) / totalWeight
-          acc.humidity += (r.data.humidity * r.weight) / totalWeight
-          acc.windSpeed += (r.data.windSpeed * r.weight) / totalWeight
-          return acc
-        }, { temperature: 0, humidity: 0, windSpeed: 0 })
-      
-      aggregatedData.weather = weatherData
+    // Weighted average of each numeric reading across providers of the same type (e.g. aggregatedData.energy.efficiency);
+    // other values come from the heaviest provider reporting them
+    const aggregatedData = {}
+    const resultsByType = new Map()
+    for (const result of validResults) {
+      resultsByType.set(result.providerType, [...(resultsByType.get(result.providerType) || []), result])
     }
 
-    // Aggregate energy data
-    if (validResults.some(r => r.data.energyProduced !== undefined)) {
-      const energyData = validResults
-        .filter(r => r.data.energyProduced !== undefined)
-        .reduce((acc, r) => {
-          acc.energyProduced += (r.data.energyProduced * r.weight) / totalWeight
-          acc.efficiency += (r.data.efficiency * r.weight) / totalWeight
-          return acc
-        }, { energyProduced: 0, efficiency: 0 })
-      
-      aggregatedData.energy = energyData
+    for (const [type, group] of resultsByType) {
+      const byWeight = [...group].sort((a, b) => b.weight - a.weight)
+      const readings = {}
+
+      for (const field of new Set(group.flatMap(r => Object.keys(r.data)))) {
+        const numeric = group.filter(r => typeof r.data[field] === 'number' && Number.isFinite(r.data[field]))
+        const weight = numeric.reduce((sum, r) => sum + r.weight, 0)
+
+        readings[field] = weight > 0
+          ? numeric.reduce((sum, r) => sum + r.data[field] * r.weight, 0) / weight
+          : byWeight.find(r => r.data[field] !== undefined && r.data[field] !== null)?.data[field]
+      }
+
+      aggregatedData[type] = readings
     }
 
     // Calculate verification score
-    const verificationScore = totalWeight / this.getTotalPossibleWeight()
+    const verificationScore = totalPossibleWeight > 0 ? totalWeight / totalPossibleWeight : 0
     const consensus = verificationScore >= this.verificationThreshold
 
     return {
@@ -286,28 +293,45 @@ class OracleService {
     }
   }
 
-  // Calculate solar irradiance from weather data
-  calculateSolarIrradiance(weatherData) {
-    if (!weatherData.clouds) return null
+  // Generate verification hash for data integrity; this is the dataHash the attestation signs
+  generateVerificationHash(data) {
+    return hashOracleData(data)
+  }
 
-    // Simplified calculation - in production, use more sophisticated models
-    const cloudiness = weatherData.clouds.all || 0
-    const maxIrradiance = 1000 // W/m² (typical peak solar irradiance)
-    
-    return maxIrradiance * (1 - (cloudiness / 100) * 0.8)
+  // Sign an EIP-712 attestation of the aggregated data with the oracle key
+  async signAttestation(milestone, project, aggregatedData) {
+    try {
+      const network = getProjectNetwork(project)
+      const domain = buildAttestationDomain(network, project.contractAddress || network.contractAddress)
+      const message = buildAttestationMessage({
+        milestone,
+        data: aggregatedData,
+        consensusScore: aggregatedData.verificationScore,
+        timestamp: aggregatedData.lastUpdated
+      })
+
+      const signer = createOracleSigner()
+      const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, message)
+
+      return { domain, message, signature, signer: signer.address, signedAt: new Date() }
+    } catch (error) {
+      logger.error(`Failed to sign oracle attestation for milestone ${milestone.milestoneId}:`, error)
+      return undefined
+    }
   }
 
-  // Generate verification hash for data integrity
-  generateVerificationHash(data) {
-    const crypto = require('crypto')
-    const dataString = JSON.stringify(data, null, 0)
-    return crypto.createHash('sha256').update(dataString).digest('hex')
+  // Address attestations are expected to be signed by
+  getOracleAddress() {
+    try {
+      return createOracleSigner().address
+    } catch (error) {
+      return null
+    }
   }
 
-  // Get total possible weight from all providers
-  getTotalPossibleWeight() {
-    return Array.from(this.dataProviders.values())
-      .reduce((sum, provider) => sum + provider.weight, 0)
+  // Get total possible weight from the providers consulted
+  getTotalPossibleWeight(providers) {
+    return providers.reduce((sum, provider) => sum + provider.weight, 0)
   }
 
   // Verify milestone completion using oracle data
@@ -354,17 +378,19 @@ class OracleService {
             const actualValue = this.extractActualValue(oracleData.aggregatedData, target.parameter)
             
             if (actualValue !== null) {
-              const achieved = actualValue >= target.targetValue
+              const { achieved, deviation } = evaluateTarget({ ...target.toObject(), actualValue })
               rules.push({
                 parameter: target.parameter,
+                operator: target.operator,
                 target: target.targetValue,
                 actual: actualValue,
+                deviation,
                 achieved
               })
               
-              if (!achieved) {
+              if (!achieved && target.isMandatory !== false) {
                 passed = false
-                details.push(`${target.parameter} target not met: ${actualValue} < ${target.targetValue}`)
+                details.push(`${target.parameter} target not met: ${describeTarget({ ...target.toObject(), actualValue })}`)
               }
             }
           }
@@ -403,9 +429,23 @@ class OracleService {
     }
   }
 
+  // Collect oracle readings for each of the milestone's performance target parameters
+  extractTargetValues(milestone, oracleData) {
+    const values = {}
+
+    for (const target of milestone.technicalSpecs?.performanceTargets || []) {
+      const value = this.extractActualValue(oracleData, target.parameter)
+      if (value !== null) {
+        values[target.parameter] = value
+      }
+    }
+
+    return values
+  }
+
   // Extract actual value from oracle data for comparison
   extractActualValue(oracleData, parameter) {
-    if (!oracleData) return null
+    if (!oracleData || !parameter) return null
 
     const parameterMap = {
       'energy_production': oracleData.energy?.energyProduced,
@@ -416,35 +456,16 @@ class OracleService {
       'solar_irradiance': oracleData.weather?.solarIrradiance
     }
 
-    return parameterMap[parameter.toLowerCase()] || null
+    return parameterMap[parameter.toLowerCase()] ?? null
   }
 
   // Health check for oracle services
   async healthCheck() {
+    const providers = await this.getEnabledProviders()
     const results = {}
-    
-    for (const [providerId, provider] of this.dataProviders) {
-      try {
-        if (provider.endpoint) {
-          const response = await fetch(`${provider.endpoint}/health`, {
-            timeout: 5000
-          })
-          results[providerId] = {
-            status: response.ok ? 'healthy' : 'unhealthy',
-            responseTime: Date.now() - startTime
-          }
-        } else {
-          results[providerId] = {
-            status: 'not_configured',
-            message: 'No endpoint configured'
-          }
-        }
-      } catch (error) {
-        results[providerId] = {
-          status: 'error',
-          error: error.message
-        }
-      }
+
+    for (const provider of providers) {
+      results[provider.id] = await provider.healthCheck()
     }
 
     return {
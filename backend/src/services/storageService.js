@@ -0,0 +1,127 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import config from '../config/index.js'
+import logger from '../utils/logger.js'
+
+// Stores files on the local filesystem under config.upload.destination
+export class LocalStorageProvider {
+  constructor(rootDir) {
+    this.name = 'local'
+    this.rootDir = path.resolve(rootDir)
+  }
+
+  // Resolve a storage key to a path, refusing anything that escapes the root directory
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key)
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+
+    return filePath
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key)
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' })
+
+    return { key, size: buffer.length }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key))
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key))
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.providers = new Map()
+    this.initialize()
+  }
+
+  initialize() {
+    this.providers.set('local', new LocalStorageProvider(config.upload.destination))
+
+    this.provider = this.providers.get(config.upload.storage)
+
+    if (!this.provider) {
+      throw new Error(`Unsupported storage driver: ${config.upload.storage}`)
+    }
+
+    logger.info(`Storage service initialized with ${this.provider.name} provider`)
+  }
+
+  // Register an additional provider (e.g. object storage) by name
+  registerProvider(name, provider) {
+    this.providers.set(name, provider)
+  }
+
+  getProvider(name) {
+    const provider = name ? this.providers.get(name) : this.provider
+
+    if (!provider) {
+      throw new Error(`Storage provider not registered: ${name}`)
+    }
+
+    return provider
+  }
+
+  // Compute the SHA-256 hex digest of a buffer
+  hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex')
+  }
+
+  // Build a collision-free storage key, keeping only a sanitised extension from the original name
+  generateKey(prefix, originalName) {
+    const extension = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '').slice(0, 10)
+    return `${prefix}/${Date.now()}-${crypto.randomBytes(12).toString('hex')}${extension}`
+  }
+
+  // Store a file buffer and return its storage metadata
+  async store(prefix, file) {
+    const key = this.generateKey(prefix, file.originalname)
+    const sha256 = this.hash(file.buffer)
+
+    await this.provider.save(key, file.buffer)
+
+    return {
+      storageProvider: this.provider.name,
+      storageKey: key,
+      size: file.buffer.length,
+      sha256
+    }
+  }
+
+  createReadStream(storageProvider, key) {
+    return this.getProvider(storageProvider).createReadStream(key)
+  }
+
+  async remove(storageProvider, key) {
+    return this.getProvider(storageProvider).delete(key)
+  }
+}
+
+// Create singleton instance
+export const storageService = new StorageService()
+
+export default StorageService
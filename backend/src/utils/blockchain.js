@@ -1,5 +1,9 @@
+import { EventEmitter } from 'events'
 import { ethers } from 'ethers'
+import config from '../config/index.js'
 import logger from './logger.js'
+import { TransactionQueue } from './transactionQueue.js'
+import { getNetwork, getEnabledNetworks } from './networks.js'
 
 // Contract ABI for Green Hydrogen Subsidy Contract
 export const CONTRACT_ABI = [
@@ -67,41 +71,44 @@ export const CONTRACT_ABI = [
   }
 ]
 
+// Subsidy amounts (INR) are stored on-chain with 18 decimals, like ether. Rounding to paise gives parseEther
+// an exact decimal string instead of a float with stray digits or exponent notation.
+export const toChainAmount = (amount) => ethers.parseEther(Number(amount).toFixed(2))
+
 // Blockchain service class
+// Talks to the subsidy contract on one network from the registry in config.blockchain.networks
 export class BlockchainService {
-  constructor() {
+  constructor(network = getNetwork()) {
+    this.network = network
     this.provider = null
     this.wallet = null
     this.contract = null
     this.initialized = false
+    this.queue = new TransactionQueue(this)
     this.init()
   }
 
   async init() {
     try {
       // Initialize provider
-      if (process.env.BLOCKCHAIN_NETWORK === 'localhost') {
-        this.provider = new ethers.JsonRpcProvider(process.env.BLOCKCHAIN_RPC_URL || 'http://localhost:8545')
-      } else {
-        this.provider = new ethers.JsonRpcProvider(process.env.BLOCKCHAIN_RPC_URL)
-      }
+      this.provider = new ethers.JsonRpcProvider(this.network.rpcUrl)
 
       // Initialize wallet
-      if (process.env.PRIVATE_KEY) {
-        this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider)
-        logger.info('Blockchain wallet initialized:', this.wallet.address)
+      if (this.network.privateKey) {
+        this.wallet = new ethers.Wallet(this.network.privateKey, this.provider)
+        logger.info(`Blockchain wallet initialized on ${this.network.key}:`, this.wallet.address)
       } else {
-        logger.warn('No private key provided for blockchain operations')
+        logger.warn(`No private key provided for blockchain operations on ${this.network.key}`)
       }
 
       // Initialize contract
-      if (process.env.CONTRACT_ADDRESS && this.wallet) {
+      if (this.network.contractAddress && this.wallet) {
         this.contract = new ethers.Contract(
-          process.env.CONTRACT_ADDRESS,
+          this.network.contractAddress,
           CONTRACT_ABI,
           this.wallet
         )
-        logger.info('Smart contract initialized:', process.env.CONTRACT_ADDRESS)
+        logger.info(`Smart contract initialized on ${this.network.key}:`, this.network.contractAddress)
       }
 
       // Test connection
@@ -109,6 +116,11 @@ export class BlockchainService {
       this.initialized = true
       logger.info('Blockchain service initialized successfully')
 
+      // Resume queued and in-flight transactions from previous runs
+      if (this.contract) {
+        this.queue.start()
+      }
+
     } catch (error) {
       logger.error('Blockchain service initialization failed:', error)
       this.initialized = false
@@ -120,13 +132,19 @@ export class BlockchainService {
       if (this.provider) {
         const network = await this.provider.getNetwork()
         logger.info('Connected to blockchain network:', {
+          network: this.network.key,
           name: network.name,
           chainId: network.chainId.toString()
         })
 
+        // Refuse to sign for the wrong chain if an RPC URL points somewhere unexpected
+        if (this.network.chainId && network.chainId !== BigInt(this.network.chainId)) {
+          throw new Error(`RPC for ${this.network.key} reports chain ${network.chainId}, expected ${this.network.chainId}`)
+        }
+
         if (this.wallet) {
           const balance = await this.provider.getBalance(this.wallet.address)
-          logger.info('Wallet balance:', ethers.formatEther(balance), 'ETH')
+          logger.info('Wallet balance:', ethers.formatEther(balance), this.network.nativeCurrency.symbol)
         }
       }
     } catch (error) {
@@ -135,35 +153,55 @@ export class BlockchainService {
     }
   }
 
+  // Queue a contract transaction and wait for it to be confirmed. Gas is estimated when it is sent.
+  // options: gasLimit (skips estimation), confirmations, timeout, reference, project, requestedBy,
+  // onQueued(tx), onSubmitted(tx), wait (false to resolve as soon as the transaction is queued)
+  async sendTransaction(functionName, args, options = {}) {
+    if (!this.initialized || !this.contract) {
+      throw new Error('Blockchain service not initialized')
+    }
+
+    const transaction = await this.queue.enqueue(functionName, args, options)
+    if (options.onQueued) {
+      await options.onQueued(transaction)
+    }
+
+    if (options.wait === false) {
+      return { success: true, queued: true, queueId: transaction._id }
+    }
+
+    const confirmed = await this.queue.waitForConfirmation(transaction._id, options)
+
+    return this.formatConfirmedTransaction(confirmed)
+  }
+
+  // Shape a confirmed queue entry like the result of a mined transaction
+  formatConfirmedTransaction(transaction) {
+    return {
+      success: true,
+      queueId: transaction._id,
+      transactionHash: transaction.txHash,
+      blockNumber: transaction.receipt?.blockNumber,
+      gasUsed: transaction.receipt?.gasUsed,
+      gasPrice: transaction.receipt?.effectiveGasPrice,
+      fee: transaction.receipt?.fee,
+      events: transaction.events
+    }
+  }
+
   // Create project on blockchain
-  async createProject(projectId, producerAddress, totalSubsidy, metadata = '') {
+  async createProject(projectId, producerAddress, totalSubsidy, metadata = '', options = {}) {
     try {
-      if (!this.initialized || !this.contract) {
-        throw new Error('Blockchain service not initialized')
-      }
-
       logger.info('Creating project on blockchain:', { projectId, producerAddress, totalSubsidy })
 
-      const tx = await this.contract.createProject(
-        projectId,
-        producerAddress,
-        ethers.parseEther(totalSubsidy.toString()),
-        metadata,
-        {
-          gasLimit: 500000 // Adjust based on contract complexity
-        }
+      const result = await this.sendTransaction(
+        'createProject',
+        [projectId, producerAddress, toChainAmount(totalSubsidy), metadata],
+        options
       )
 
-      logger.info('Project creation transaction sent:', tx.hash)
-      const receipt = await tx.wait()
-      logger.info('Project creation confirmed:', receipt.hash)
-
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      }
+      logger.info(result.queued ? 'Project creation queued:' : 'Project creation confirmed:', result.queueId || result.transactionHash)
+      return result
 
     } catch (error) {
       logger.error('Project creation failed:', error)
@@ -172,34 +210,18 @@ export class BlockchainService {
   }
 
   // Create milestone on blockchain
-  async createMilestone(projectId, milestoneId, subsidyAmount, dueDate) {
+  async createMilestone(projectId, milestoneId, subsidyAmount, dueDate, options = {}) {
     try {
-      if (!this.initialized || !this.contract) {
-        throw new Error('Blockchain service not initialized')
-      }
-
       logger.info('Creating milestone on blockchain:', { projectId, milestoneId, subsidyAmount })
 
-      const tx = await this.contract.createMilestone(
-        projectId,
-        milestoneId,
-        ethers.parseEther(subsidyAmount.toString()),
-        Math.floor(new Date(dueDate).getTime() / 1000),
-        {
-          gasLimit: 300000
-        }
+      const result = await this.sendTransaction(
+        'createMilestone',
+        [projectId, milestoneId, toChainAmount(subsidyAmount), Math.floor(new Date(dueDate).getTime() / 1000)],
+        options
       )
 
-      logger.info('Milestone creation transaction sent:', tx.hash)
-      const receipt = await tx.wait()
-      logger.info('Milestone creation confirmed:', receipt.hash)
-
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      }
+      logger.info(result.queued ? 'Milestone creation queued:' : 'Milestone creation confirmed:', result.queueId || result.transactionHash)
+      return result
 
     } catch (error) {
       logger.error('Milestone creation failed:', error)
@@ -208,52 +230,21 @@ export class BlockchainService {
   }
 
   // Release subsidy for milestone
-  async releaseSubsidy(milestoneId, producerAddress) {
+  async releaseSubsidy(milestoneId, producerAddress, options = {}) {
     try {
-      if (!this.initialized || !this.contract) {
-        throw new Error('Blockchain service not initialized')
-      }
-
       logger.info('Releasing subsidy on blockchain:', { milestoneId, producerAddress })
 
-      const tx = await this.contract.releaseSubsidy(
-        milestoneId,
-        producerAddress,
-        {
-          gasLimit: 200000
-        }
+      const result = await this.sendTransaction(
+        'releaseSubsidy',
+        [milestoneId, producerAddress],
+        options
       )
 
-      logger.info('Subsidy release transaction sent:', tx.hash)
-      const receipt = await tx.wait()
-      logger.info('Subsidy release confirmed:', receipt.hash)
-
-      // Parse events from the transaction
-      const subsidyReleasedEvent = receipt.logs.find(log => {
-        try {
-          const parsed = this.contract.interface.parseLog(log)
-          return parsed.name === 'SubsidyReleased'
-        } catch {
-          return false
-        }
-      })
-
-      let eventData = null
-      if (subsidyReleasedEvent) {
-        const parsed = this.contract.interface.parseLog(subsidyReleasedEvent)
-        eventData = {
-          milestoneId: parsed.args.milestoneId,
-          producer: parsed.args.producer,
-          amount: ethers.formatEther(parsed.args.amount)
-        }
-      }
+      logger.info('Subsidy release confirmed:', result.transactionHash)
 
       return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        eventData
+        ...result,
+        eventData: this.getSubsidyReleasedEvent(result.events)
       }
 
     } catch (error) {
@@ -262,6 +253,18 @@ export class BlockchainService {
     }
   }
 
+  // Pick the SubsidyReleased event out of a confirmed transaction's parsed events
+  getSubsidyReleasedEvent(events = []) {
+    const event = events.find(item => item.name === 'SubsidyReleased')
+    if (!event) return null
+
+    return {
+      milestoneId: event.args.milestoneId,
+      producer: event.args.producer,
+      amount: ethers.formatEther(event.args.amount)
+    }
+  }
+
   // Get transaction details
   async getTransaction(txHash) {
     try {
@@ -379,13 +382,41 @@ export class BlockchainService {
     if (this.contract) {
       this.contract.removeAllListeners()
     }
+    this.queue.stop()
     this.initialized = false
     logger.info('Blockchain service cleanup complete')
   }
 }
 
-// Create singleton instance
-export const blockchainService = new BlockchainService()
+// Settled transactions from every network's queue, re-emitted as 'confirmed' and 'failed'
+export const transactionEvents = new EventEmitter()
+
+const services = new Map()
+
+// Service for a network, created on first use
+export const getBlockchainService = (networkKey = config.blockchain.defaultNetwork) => {
+  if (!services.has(networkKey)) {
+    const network = getNetwork(networkKey)
+
+    if (!network?.enabled) {
+      throw new Error(`Blockchain network ${networkKey} is not configured`)
+    }
+
+    const service = new BlockchainService(network)
+    service.queue.on('confirmed', transaction => transactionEvents.emit('confirmed', transaction))
+    service.queue.on('failed', transaction => transactionEvents.emit('failed', transaction))
+    services.set(networkKey, service)
+  }
+
+  return services.get(networkKey)
+}
+
+// Services for every configured network
+export const getBlockchainServices = () => getEnabledNetworks().map(network => getBlockchainService(network.key))
+
+// Default network instance; the others start with it so their queued transactions resume
+export const blockchainService = getBlockchainService()
+getBlockchainServices()
 
 // Utility functions
 export const isValidAddress = (address) => {
@@ -0,0 +1,66 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, escaped quotes ("") and CRLF or LF line endings
+
+/**
+ * Parse CSV text into an array of rows, each an array of field strings. Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  const endRow = () => {
+    row.push(field)
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row)
+    row = []
+    field = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field')
+  }
+
+  if (field !== '' || row.length > 0) endRow()
+
+  return rows
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by the header names
+ */
+export const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''))
+  if (!header) return { columns: [], records: [] }
+
+  const columns = header.map(name => name.trim())
+
+  return {
+    columns,
+    records: rows.map(fields => Object.fromEntries(columns.map((name, index) => [name, fields[index]?.trim() ?? ''])))
+  }
+}
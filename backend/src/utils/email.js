@@ -93,7 +93,7 @@ export const emailTemplates = {
   }),
 
   // Password reset template
-  passwordReset: (user, resetToken) => ({
+  passwordReset: (user, resetToken, expiresIn = '10 minutes') => ({
     subject: 'Password Reset Request - Green Hydrogen Platform',
     html: `
       <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
@@ -114,7 +114,7 @@ export const emailTemplates = {
           </a>
         </div>
 
-        <p style="color: #666; font-size: 14px;">This reset link will expire in 10 minutes.</p>
+        <p style="color: #666; font-size: 14px;">This reset link will expire in ${expiresIn}.</p>
         
         <hr style="margin: 30px 0;">
         <p style="color: #666; font-size: 12px;">
@@ -124,6 +124,42 @@ export const emailTemplates = {
     `
   }),
 
+  // Invitation to join a privileged role
+  invitation: (invitation, inviter, token) => ({
+    subject: `Invitation to join Green Hydrogen Platform as ${invitation.role}`,
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <h2 style="color: #2c5530;">You're Invited!</h2>
+        <p>Hello,</p>
+        <p>${inviter.name} has invited you to join the Green Hydrogen Subsidy Management Platform.</p>
+        
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Invitation Details:</h3>
+          <p><strong>Email:</strong> ${invitation.email}</p>
+          <p><strong>Role:</strong> ${invitation.role}</p>
+          ${invitation.organization?.name ? `<p><strong>Organization:</strong> ${invitation.organization.name}</p>` : ''}
+          ${invitation.message ? `<p><strong>Message:</strong> ${invitation.message}</p>` : ''}
+        </div>
+
+        <p>Click the button below to create your account:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.CLIENT_URL}/register?invitation=${token}" 
+             style="background: #28a745; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Accept Invitation
+          </a>
+        </div>
+
+        <p style="color: #666; font-size: 14px;">This invitation expires on ${new Date(invitation.expiresAt).toLocaleDateString()} and can only be used once.</p>
+        
+        <hr style="margin: 30px 0;">
+        <p style="color: #666; font-size: 12px;">
+          If you weren't expecting this invitation, you can safely ignore this email.
+        </p>
+      </div>
+    `
+  }),
+
   // Project approval notification
   projectApproved: (user, project) => ({
     subject: `Project Approved: ${project.name}`,
@@ -188,6 +224,71 @@ export const emailTemplates = {
     `
   }),
 
+  // KYC review outcome notification
+  kycReviewOutcome: (user, status, note) => {
+    const outcomes = {
+      approved: { subject: 'KYC Approved', title: '✅ KYC Approved', color: '#28a745', background: '#d4edda', border: '#c3e6cb', message: 'Your KYC verification has been approved. You can now create projects and milestones on the platform.' },
+      rejected: { subject: 'KYC Rejected', title: 'KYC Rejected', color: '#dc3545', background: '#f8d7da', border: '#f5c6cb', message: 'Unfortunately your KYC verification has been rejected. You may correct the issues below and submit again.' },
+      more_info_required: { subject: 'Additional KYC Information Required', title: 'Additional KYC Information Required', color: '#856404', background: '#fff3cd', border: '#ffeaa7', message: 'The reviewer needs more information before your KYC verification can be completed.' }
+    }
+    const outcome = outcomes[status]
+
+    return {
+      subject: `${outcome.subject} - Green Hydrogen Platform`,
+      html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <h2 style="color: ${outcome.color};">${outcome.title}</h2>
+        <p>Dear ${user.name},</p>
+        <p>${outcome.message}</p>
+        ${note ? `
+        <div style="background: ${outcome.background}; border: 1px solid ${outcome.border}; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0;">Reviewer Notes:</h3>
+          <p>${note}</p>
+        </div>` : ''}
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.CLIENT_URL}/profile" 
+             style="background: ${outcome.color}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            View KYC Status
+          </a>
+        </div>
+
+        <p>Best regards,<br>Green Hydrogen Platform Team</p>
+      </div>
+    `
+    }
+  },
+
+  // Oracle consensus reached, milestone ready for auditor verification
+  oracleConsensusReached: (user, milestone, project, verificationScore) => ({
+    subject: `Oracle Consensus Reached: ${milestone.title}`,
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <h2 style="color: #17a2b8;">📡 Oracle Consensus Reached</h2>
+        <p>Dear ${user.name},</p>
+        <p>Oracle data for a milestone you audit now meets the verification threshold.</p>
+
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Milestone:</strong> ${milestone.title}</p>
+          <p><strong>Project:</strong> ${project.name}</p>
+          <p><strong>Consensus Score:</strong> ${Math.round(verificationScore * 100)}%</p>
+          <p><strong>Recorded:</strong> ${new Date().toLocaleString()}</p>
+        </div>
+
+        <p>Please review the oracle readings and performance targets and verify the milestone.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.CLIENT_URL}/projects/${project._id}/milestones/${milestone._id}"
+             style="background: #17a2b8; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Review Milestone
+          </a>
+        </div>
+
+        <p>Best regards,<br>Green Hydrogen Platform Team</p>
+      </div>
+    `
+  }),
+
   // Subsidy released notification
   subsidyReleased: (user, milestone, project, txHash) => ({
     subject: `Subsidy Released: ₹${milestone.subsidyAmount.toLocaleString()}`,
@@ -0,0 +1,77 @@
+// Meter reading metrics, CSV column mapping and the performance target parameters derived from readings
+import Joi from 'joi'
+
+// Quantities a meter can report; each reading holds the amount since the meter's previous reading
+export const METER_METRICS = ['hydrogenProducedKg', 'energyConsumedMwh', 'waterUsedM3']
+
+export const ROLLUP_PERIODS = ['hour', 'day', 'month']
+
+// Accepted CSV header names per field, compared case-insensitively and ignoring spaces, dashes and underscores
+const CSV_COLUMNS = {
+  timestamp: ['timestamp', 'time', 'datetime', 'readingtime'],
+  hydrogenProducedKg: ['hydrogenproducedkg', 'hydrogenkg', 'h2kg', 'h2producedkg'],
+  energyConsumedMwh: ['energyconsumedmwh', 'energymwh', 'electricitymwh', 'mwh'],
+  waterUsedM3: ['waterusedm3', 'waterm3', 'waterconsumedm3']
+}
+
+const normalizeColumn = (name) => name.toLowerCase().replace(/[\s_-]/g, '')
+
+/**
+ * Map CSV header names to reading fields; returns null for the timestamp column when it is missing
+ */
+export const mapCsvColumns = (columns) => {
+  const mapping = {}
+
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    mapping[field] = columns.find(column => aliases.includes(normalizeColumn(column))) || null
+  }
+
+  return mapping
+}
+
+const readingSchema = Joi.object({
+  timestamp: Joi.date().iso().max(Joi.ref('$latest')).required().messages({
+    'date.max': 'Reading timestamp cannot be in the future'
+  }),
+  ...Object.fromEntries(METER_METRICS.map(metric => [metric, Joi.number().min(0).allow(null)]))
+}).or(...METER_METRICS).messages({
+  'object.missing': `Reading must include at least one of ${METER_METRICS.join(', ')}`
+})
+
+/**
+ * Validate one reading against the meter's metrics. Returns { value } or { error }.
+ */
+export const validateReading = (reading, metrics) => {
+  const { error, value } = readingSchema.validate(reading, {
+    abortEarly: false,
+    context: { latest: new Date(Date.now() + 5 * 60 * 1000) } // allow for meter clock drift
+  })
+
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join(', ') }
+  }
+
+  const unsupported = METER_METRICS.filter(metric => value[metric] != null && !metrics.includes(metric))
+  if (unsupported.length) {
+    return { error: `Meter does not measure ${unsupported.join(', ')}` }
+  }
+
+  return { value }
+}
+
+/**
+ * Performance target parameters computed from production totals over a milestone's period
+ */
+export const productionTargetValues = (totals) => {
+  const { hydrogenProducedKg, energyConsumedMwh, waterUsedM3 } = totals
+
+  return {
+    hydrogen_production: hydrogenProducedKg,
+    energy_consumption: energyConsumedMwh,
+    water_consumption: waterUsedM3,
+    // kWh per kg H2
+    specific_energy_consumption: hydrogenProducedKg > 0 ? energyConsumedMwh * 1000 / hydrogenProducedKg : null,
+    // litres per kg H2
+    water_intensity: hydrogenProducedKg > 0 ? waterUsedM3 * 1000 / hydrogenProducedKg : null
+  }
+}
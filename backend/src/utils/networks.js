@@ -0,0 +1,43 @@
+import config from '../config/index.js'
+
+export const NETWORK_KEYS = Object.keys(config.blockchain.networks)
+
+// Look up a network from the registry; defaults to the configured default network
+export const getNetwork = (key = config.blockchain.defaultNetwork) => config.blockchain.networks[key] || null
+
+export const getEnabledNetworks = () => Object.values(config.blockchain.networks).filter(network => network.enabled)
+
+// Network a project is bound to; projects created before network support use the default network
+export const getProjectNetwork = (project) => getNetwork(project?.network || config.blockchain.defaultNetwork)
+
+// Query value matching a network key; records saved before network support belong to the default network
+export const networkFilter = (key) => key === config.blockchain.defaultNetwork
+  ? { $in: [key, null] }
+  : key
+
+/**
+ * Block explorer link for a transaction, address or block on a network.
+ * Returns null for networks without an explorer (e.g. localhost).
+ */
+export const getExplorerUrl = (networkKey, type, value) => {
+  const base = getNetwork(networkKey || undefined)?.explorerUrl
+
+  if (!base || !value || !['tx', 'address', 'block'].includes(type)) {
+    return null
+  }
+
+  return `${base.replace(/\/$/, '')}/${type}/${value}`
+}
+
+// Network details safe to return to clients (no RPC URL or keys)
+export const toPublicNetwork = (network) => network && {
+  key: network.key,
+  name: network.name,
+  chainId: network.chainId,
+  contractAddress: network.contractAddress || null,
+  confirmations: network.confirmations,
+  nativeCurrency: network.nativeCurrency,
+  explorerUrl: network.explorerUrl,
+  enabled: network.enabled,
+  isDefault: network.key === config.blockchain.defaultNetwork
+}
@@ -0,0 +1,82 @@
+// EIP-712 attestations the oracle signs over aggregated milestone data
+import { ethers } from 'ethers'
+import { recoverTypedDataSigner } from './signer.util.js'
+
+export const ATTESTATION_PRIMARY_TYPE = 'MilestoneAttestation'
+
+export const ATTESTATION_TYPES = {
+  MilestoneAttestation: [
+    { name: 'milestoneId', type: 'string' },
+    { name: 'dataHash', type: 'bytes32' },
+    { name: 'consensusScore', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' }
+  ]
+}
+
+// Consensus scores are signed in basis points; uint256 has no fractions
+export const SCORE_SCALE = 10000
+
+/**
+ * Serialize oracle data with object keys sorted at every level, so the hash does not depend on key order.
+ * Empty objects outside arrays are left out, as MongoDB does when it stores the data.
+ */
+export const canonicalize = (data) => JSON.stringify(data, function(key, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value
+  }
+
+  const keys = Object.keys(value).sort()
+  if (keys.length === 0 && key !== '' && !Array.isArray(this)) {
+    return undefined
+  }
+
+  return Object.fromEntries(keys.map(name => [name, value[name]]))
+})
+
+/**
+ * keccak256 of the canonical JSON of the oracle data
+ */
+export const hashOracleData = (data) => ethers.keccak256(ethers.toUtf8Bytes(canonicalize(data ?? null)))
+
+/**
+ * Signing domain: binds the attestation to the project's network and subsidy contract
+ */
+export const buildAttestationDomain = (network, contractAddress) => ({
+  name: 'GreenHydrogenSubsidyOracle',
+  version: '1',
+  chainId: network.chainId,
+  ...(contractAddress && ethers.isAddress(contractAddress) && { verifyingContract: ethers.getAddress(contractAddress) })
+})
+
+/**
+ * Typed data value for a milestone's aggregated oracle data
+ */
+export const buildAttestationMessage = ({ milestone, data, consensusScore, timestamp = new Date() }) => ({
+  milestoneId: milestone.milestoneId,
+  dataHash: hashOracleData(data),
+  consensusScore: Math.round((consensusScore || 0) * SCORE_SCALE),
+  timestamp: Math.floor(new Date(timestamp).getTime() / 1000)
+})
+
+/**
+ * Check a stored attestation against the data it covers and the expected oracle address
+ */
+export const verifyAttestation = (attestation, data, oracleAddress) => {
+  const { domain, message, signature, signer } = attestation
+  const computedDataHash = hashOracleData(data)
+  const recoveredSigner = recoverTypedDataSigner(domain, ATTESTATION_TYPES, message, signature)
+  const signatureValid = Boolean(recoveredSigner) && recoveredSigner.toLowerCase() === signer?.toLowerCase()
+  const trustedSigner = Boolean(recoveredSigner && oracleAddress) && recoveredSigner.toLowerCase() === oracleAddress.toLowerCase()
+  const dataHashValid = computedDataHash === message.dataHash
+
+  return {
+    valid: signatureValid && trustedSigner && dataHashValid,
+    signatureValid,
+    trustedSigner,
+    dataHashValid,
+    recoveredSigner,
+    expectedSigner: oracleAddress || null,
+    computedDataHash,
+    attestedDataHash: message.dataHash
+  }
+}
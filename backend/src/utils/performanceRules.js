@@ -0,0 +1,74 @@
+// Rule engine for milestone performance targets
+
+export const TARGET_OPERATORS = ['gte', 'gt', 'lte', 'lt', 'eq']
+
+const OPERATOR_SYMBOLS = {
+  gte: '>=',
+  gt: '>',
+  lte: '<=',
+  lt: '<',
+  eq: '='
+}
+
+/**
+ * Resolve a target's tolerance band to an absolute amount
+ */
+export const getToleranceAmount = (target) => {
+  const tolerance = Math.abs(target.tolerance || 0)
+
+  return target.toleranceType === 'percent'
+    ? Math.abs(target.targetValue) * tolerance / 100
+    : tolerance
+}
+
+/**
+ * Evaluate a single performance target against its actual value.
+ * Returns achieved: null when there is nothing to evaluate yet.
+ */
+export const evaluateTarget = (target) => {
+  const { targetValue, actualValue } = target
+  const operator = target.operator || 'gte'
+
+  if (typeof targetValue !== 'number' || typeof actualValue !== 'number') {
+    return { achieved: null, deviation: null, operator }
+  }
+
+  const band = getToleranceAmount(target)
+  let achieved
+
+  switch (operator) {
+    case 'gt':
+      achieved = actualValue > targetValue - band
+      break
+    case 'lte':
+      achieved = actualValue <= targetValue + band
+      break
+    case 'lt':
+      achieved = actualValue < targetValue + band
+      break
+    case 'eq':
+      achieved = Math.abs(actualValue - targetValue) <= band
+      break
+    case 'gte':
+      achieved = actualValue >= targetValue - band
+      break
+    default:
+      throw new Error(`Unsupported target operator: ${operator}`)
+  }
+
+  return { achieved, deviation: actualValue - targetValue, operator }
+}
+
+/**
+ * Describe a target for error messages and audit logs, e.g. "efficiency >= 20 (±5%)"
+ */
+export const describeTarget = (target) => {
+  const operator = target.operator || 'gte'
+  const unit = target.unit ? ` ${target.unit}` : ''
+  const tolerance = target.tolerance
+    ? ` (±${target.tolerance}${target.toleranceType === 'percent' ? '%' : unit})`
+    : ''
+  const actual = typeof target.actualValue === 'number' ? `, actual ${target.actualValue}${unit}` : ', no actual value'
+
+  return `${target.parameter} ${OPERATOR_SYMBOLS[operator]} ${target.targetValue}${unit}${tolerance}${actual}`
+}
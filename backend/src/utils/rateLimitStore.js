@@ -0,0 +1,139 @@
+import { RateLimit } from '../models/index.js'
+import config from '../config/index.js'
+
+/**
+ * In-memory rate limit store. Per-process only - use for development and tests.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.records = new Map()
+  }
+
+  cleanup(now) {
+    for (const [key, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key)
+      }
+    }
+  }
+
+  async get(key) {
+    const now = Date.now()
+    this.cleanup(now)
+    return this.records.get(key) || null
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now()
+    this.cleanup(now)
+
+    const record = this.records.get(key) || { count: 0, violations: 0, expiresAt: 0 }
+
+    if (!record.resetAt || record.resetAt <= now) {
+      record.count = 1
+      record.resetAt = now + windowMs
+    } else {
+      record.count++
+    }
+
+    record.expiresAt = Math.max(record.expiresAt, record.resetAt)
+    this.records.set(key, record)
+
+    return { ...record }
+  }
+
+  async block(key, blockedUntil, expiresAt) {
+    const record = this.records.get(key) || { violations: 0 }
+
+    this.records.set(key, {
+      ...record,
+      count: 0,
+      resetAt: null,
+      blockedUntil,
+      violations: record.violations + 1,
+      expiresAt
+    })
+  }
+
+  async reset(key) {
+    this.records.delete(key)
+  }
+}
+
+/**
+ * MongoDB-backed rate limit store shared by every API instance
+ */
+export class MongoRateLimitStore {
+  toRecord(doc) {
+    if (!doc) return null
+
+    return {
+      count: doc.count,
+      resetAt: doc.resetAt?.getTime(),
+      blockedUntil: doc.blockedUntil?.getTime(),
+      violations: doc.violations || 0,
+      expiresAt: doc.expiresAt?.getTime()
+    }
+  }
+
+  async get(key) {
+    return this.toRecord(await RateLimit.findOne({ key }).lean())
+  }
+
+  async increment(key, windowMs) {
+    const now = new Date()
+    const resetAt = new Date(now.getTime() + windowMs)
+    const windowActive = { $gt: ['$resetAt', now] }
+
+    // Single atomic update so concurrent instances never lose a hit
+    const doc = await RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [windowActive, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [windowActive, '$resetAt', resetAt] },
+          violations: { $ifNull: ['$violations', 0] },
+          expiresAt: { $max: [{ $ifNull: ['$expiresAt', resetAt] }, resetAt] }
+        }
+      }],
+      { new: true, upsert: true, lean: true }
+    )
+
+    return this.toRecord(doc)
+  }
+
+  async block(key, blockedUntil, expiresAt) {
+    await RateLimit.updateOne(
+      { key },
+      {
+        $set: {
+          count: 0,
+          blockedUntil: new Date(blockedUntil),
+          expiresAt: new Date(expiresAt)
+        },
+        $unset: { resetAt: 1 },
+        $inc: { violations: 1 }
+      },
+      { upsert: true }
+    )
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key })
+  }
+}
+
+let store
+
+/**
+ * Get the configured rate limit store (created on first use)
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = config.security.rateLimitStore === 'mongo'
+      ? new MongoRateLimitStore()
+      : new MemoryRateLimitStore()
+  }
+
+  return store
+}
@@ -0,0 +1,70 @@
+// Multi-signature approval policies for subsidy releases
+import config from '../config/index.js'
+import { verifySignature } from './signer.util.js'
+
+/**
+ * Policy that applies to a release amount: the tier with the highest minAmount not above it
+ */
+export const getReleasePolicy = (amount) => {
+  const policy = config.releaseApprovals.policies
+    .filter(tier => amount >= (tier.minAmount || 0))
+    .sort((a, b) => (b.minAmount || 0) - (a.minAmount || 0))[0]
+
+  return {
+    name: policy?.name || 'standard',
+    minAmount: policy?.minAmount || 0,
+    requiredApprovals: policy?.requiredApprovals || 0,
+    distinctOrganizations: Boolean(policy?.distinctOrganizations)
+  }
+}
+
+/**
+ * Normalize an organization name so "Ministry of Energy " and "ministry of energy" count once
+ */
+export const organizationKey = (name) => name?.trim().toLowerCase() || null
+
+/**
+ * Build the message approvers sign. It pins everything the release transfers, so a signature
+ * cannot be reused for another milestone, tranche, amount, recipient or network.
+ */
+export const buildReleaseApprovalMessage = ({ milestone, tranche, project, network }) => [
+  'Approve subsidy release',
+  `Milestone: ${milestone.milestoneId}`,
+  `Tranche: ${milestone.tranches.findIndex(candidate => candidate._id.equals(tranche._id)) + 1} of ${milestone.tranches.length} (${tranche.label})`,
+  `Project: ${project.projectId}`,
+  `Amount: ${tranche.amount} INR`,
+  `Recipient: ${project.producerWalletAddress}`,
+  `Network: ${network.name} (chain ${network.chainId})`,
+  `Contract: ${project.contractAddress}`
+].join('\n')
+
+/**
+ * Count the signatures that still match the release message against the policy's quorum.
+ * approvals are those given for one tranche; signatures over an outdated message (e.g. the
+ * recipient changed) are reported as stale.
+ */
+export const evaluateReleaseApprovals = (policy, approvals, message) => {
+  const valid = approvals.filter(approval =>
+    approval.message === message && verifySignature(message, approval.signature, approval.walletAddress)
+  )
+
+  const collected = policy.distinctOrganizations
+    ? new Set(valid.map(approval => organizationKey(approval.organization)).filter(Boolean)).size
+    : new Set(valid.map(approval => (approval.approver._id || approval.approver).toString())).size
+
+  return {
+    policy: policy.name,
+    requiredApprovals: policy.requiredApprovals,
+    distinctOrganizations: policy.distinctOrganizations,
+    collected,
+    stale: approvals.length - valid.length,
+    met: collected >= policy.requiredApprovals,
+    approvals: valid
+  }
+}
+
+/**
+ * Describe an unmet quorum, e.g. "2 approvals from distinct organizations required, 1 collected"
+ */
+export const describeQuorum = ({ requiredApprovals, distinctOrganizations, collected }) =>
+  `${requiredApprovals} approval${requiredApprovals === 1 ? '' : 's'}${distinctOrganizations ? ' from distinct organizations' : ''} required, ${collected} collected`
@@ -0,0 +1,196 @@
+// Milestone dependency graph helpers: cycle detection and critical path scheduling
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const toId = (value) => value?.toString()
+
+// Build an adjacency map of milestone id -> [{ id, type }] predecessors, ignoring links to unknown milestones
+const buildPredecessors = (milestones) => {
+  const ids = new Set(milestones.map(milestone => toId(milestone._id)))
+  const predecessors = new Map()
+
+  for (const milestone of milestones) {
+    const links = (milestone.dependencies || [])
+      .filter(dependency => ids.has(toId(dependency.milestoneId)))
+      .map(dependency => ({
+        id: toId(dependency.milestoneId),
+        type: dependency.type || 'finish_to_start'
+      }))
+
+    predecessors.set(toId(milestone._id), links)
+  }
+
+  return predecessors
+}
+
+/**
+ * Find a dependency cycle among milestones.
+ * @param {Array} milestones - Milestones with _id and dependencies
+ * @returns {Array<string>|null} Milestone ids forming the cycle (first id repeated at the end), or null
+ */
+export const findDependencyCycle = (milestones) => {
+  const predecessors = buildPredecessors(milestones)
+  const state = new Map()
+  const path = []
+
+  const visit = (id) => {
+    state.set(id, 'visiting')
+    path.push(id)
+
+    for (const { id: next } of predecessors.get(id)) {
+      if (state.get(next) === 'visiting') {
+        return [...path.slice(path.indexOf(next)), next]
+      }
+
+      if (!state.has(next)) {
+        const cycle = visit(next)
+        if (cycle) return cycle
+      }
+    }
+
+    state.set(id, 'done')
+    path.pop()
+    return null
+  }
+
+  for (const id of predecessors.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id)
+      if (cycle) return cycle
+    }
+  }
+
+  return null
+}
+
+// Order milestone ids so every predecessor comes before its dependents
+const topologicalOrder = (predecessors) => {
+  const successors = new Map([...predecessors.keys()].map(id => [id, []]))
+  const inDegree = new Map()
+
+  for (const [id, links] of predecessors) {
+    inDegree.set(id, links.length)
+    links.forEach(link => successors.get(link.id).push(id))
+  }
+
+  const queue = [...inDegree].filter(([, degree]) => degree === 0).map(([id]) => id)
+  const order = []
+
+  while (queue.length > 0) {
+    const id = queue.shift()
+    order.push(id)
+
+    for (const next of successors.get(id)) {
+      inDegree.set(next, inDegree.get(next) - 1)
+      if (inDegree.get(next) === 0) queue.push(next)
+    }
+  }
+
+  if (order.length !== predecessors.size) {
+    throw new Error('Milestone dependencies contain a cycle')
+  }
+
+  return order
+}
+
+/**
+ * Compute earliest/latest dates, slack and the critical path for a set of milestones.
+ * Durations come from the planned dates and each planned start acts as a "start no earlier than" constraint.
+ * @param {Array} milestones - Milestones with _id, title, plannedStartDate, plannedEndDate and dependencies
+ * @returns {Object} { projectStart, projectFinish, durationDays, milestones, criticalPath }
+ */
+export const computeSchedule = (milestones) => {
+  if (milestones.length === 0) {
+    return { projectStart: null, projectFinish: null, durationDays: 0, milestones: [], criticalPath: [] }
+  }
+
+  const predecessors = buildPredecessors(milestones)
+  const order = topologicalOrder(predecessors)
+  const byId = new Map(milestones.map(milestone => [toId(milestone._id), milestone]))
+
+  const projectStart = Math.min(...milestones.map(milestone => new Date(milestone.plannedStartDate).getTime()))
+  const offset = (date) => Math.round((new Date(date).getTime() - projectStart) / DAY_MS)
+  const duration = new Map(milestones.map(milestone => [
+    toId(milestone._id),
+    Math.max(0, offset(milestone.plannedEndDate) - offset(milestone.plannedStartDate))
+  ]))
+
+  // Forward pass: earliest start/finish
+  const earliestStart = new Map()
+  const earliestFinish = new Map()
+
+  for (const id of order) {
+    const ownDuration = duration.get(id)
+    let start = offset(byId.get(id).plannedStartDate)
+
+    for (const link of predecessors.get(id)) {
+      if (link.type === 'start_to_start') {
+        start = Math.max(start, earliestStart.get(link.id))
+      } else if (link.type === 'finish_to_finish') {
+        start = Math.max(start, earliestFinish.get(link.id) - ownDuration)
+      } else {
+        start = Math.max(start, earliestFinish.get(link.id))
+      }
+    }
+
+    earliestStart.set(id, start)
+    earliestFinish.set(id, start + ownDuration)
+  }
+
+  const projectFinish = Math.max(...earliestFinish.values())
+
+  // Backward pass: latest finish/start
+  const latestFinish = new Map(order.map(id => [id, projectFinish]))
+  const latestStart = new Map()
+
+  for (const id of [...order].reverse()) {
+    const finish = latestFinish.get(id)
+    latestStart.set(id, finish - duration.get(id))
+
+    for (const link of predecessors.get(id)) {
+      const predecessorDuration = duration.get(link.id)
+      const limit = link.type === 'start_to_start'
+        ? latestStart.get(id) + predecessorDuration
+        : link.type === 'finish_to_finish'
+          ? finish
+          : latestStart.get(id)
+
+      latestFinish.set(link.id, Math.min(latestFinish.get(link.id), limit))
+    }
+  }
+
+  const toDate = (days) => new Date(projectStart + days * DAY_MS)
+
+  const scheduled = order.map(id => {
+    const milestone = byId.get(id)
+    const slack = latestStart.get(id) - earliestStart.get(id)
+
+    return {
+      milestone: id,
+      title: milestone.title,
+      sequenceNumber: milestone.sequenceNumber,
+      status: milestone.status,
+      durationDays: duration.get(id),
+      earliestStart: toDate(earliestStart.get(id)),
+      earliestFinish: toDate(earliestFinish.get(id)),
+      latestStart: toDate(latestStart.get(id)),
+      latestFinish: toDate(latestFinish.get(id)),
+      slackDays: slack,
+      isCritical: slack <= 0,
+      dependencies: predecessors.get(id)
+    }
+  })
+
+  const criticalPath = scheduled
+    .filter(item => item.isCritical)
+    .sort((a, b) => a.earliestStart - b.earliestStart)
+    .map(item => item.milestone)
+
+  return {
+    projectStart: toDate(0),
+    projectFinish: toDate(projectFinish),
+    durationDays: projectFinish,
+    milestones: scheduled,
+    criticalPath
+  }
+}
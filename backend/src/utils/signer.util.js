@@ -39,6 +39,17 @@ export const verifySignature = (message, signature, expectedAddress) => {
   }
 }
 
+/**
+ * Verify an EIP-712 typed data signature; resolves the signer address, or null if the signature is malformed
+ */
+export const recoverTypedDataSigner = (domain, types, value, signature) => {
+  try {
+    return ethers.verifyTypedData(domain, types, value, signature)
+  } catch (error) {
+    return null
+  }
+}
+
 /**
  * Sign a message with a private key
  */
@@ -0,0 +1,177 @@
+import { ethers } from 'ethers'
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:'
+
+/**
+ * Build an EIP-4361 (Sign-In With Ethereum) message
+ */
+export const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  version = '1',
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+  notBefore,
+  requestId,
+  resources = []
+}) => {
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(address),
+    ''
+  ]
+
+  if (statement) {
+    lines.push(statement, '')
+  }
+
+  lines.push(
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  )
+
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`)
+  if (notBefore) lines.push(`Not Before: ${notBefore}`)
+  if (requestId) lines.push(`Request ID: ${requestId}`)
+
+  if (resources.length > 0) {
+    lines.push('Resources:', ...resources.map(resource => `- ${resource}`))
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Parse an EIP-4361 message into its fields. Throws on malformed input.
+ */
+export const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('SIWE message must be a string')
+  }
+
+  const lines = message.split('\n')
+  let index = 0
+
+  const header = lines[index++] || ''
+  if (!header.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Invalid SIWE message header')
+  }
+
+  const fields = {
+    domain: header.slice(0, -HEADER_SUFFIX.length),
+    address: lines[index++],
+    resources: []
+  }
+
+  if (!fields.domain || !ethers.isAddress(fields.address)) {
+    throw new Error('Invalid SIWE domain or address')
+  }
+
+  // EIP-4361 requires the EIP-55 checksummed form
+  if (ethers.getAddress(fields.address) !== fields.address) {
+    throw new Error('SIWE address must be EIP-55 checksummed')
+  }
+
+  if (lines[index++] !== '') {
+    throw new Error('Invalid SIWE message format')
+  }
+
+  // Optional statement followed by an empty line
+  if (lines[index] && !lines[index].startsWith('URI: ')) {
+    fields.statement = lines[index++]
+    if (lines[index++] !== '') {
+      throw new Error('Invalid SIWE message format')
+    }
+  }
+
+  const tags = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index]
+
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(index + 1).map(resource => resource.replace(/^- /, ''))
+      break
+    }
+
+    const separator = line.indexOf(': ')
+    const key = tags[line.slice(0, separator)]
+    if (separator === -1 || !key) {
+      throw new Error(`Unexpected SIWE message line: ${line}`)
+    }
+
+    fields[key] = line.slice(separator + 2)
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[required]) {
+      throw new Error(`SIWE message is missing ${required}`)
+    }
+  }
+
+  if (fields.version !== '1') {
+    throw new Error(`Unsupported SIWE version: ${fields.version}`)
+  }
+
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('Invalid SIWE nonce')
+  }
+
+  fields.chainId = parseInt(fields.chainId)
+
+  return fields
+}
+
+/**
+ * Validate the time window of a parsed SIWE message
+ */
+export const validateSiweTimestamps = (fields, now = new Date()) => {
+  const issuedAt = new Date(fields.issuedAt)
+  if (isNaN(issuedAt.getTime()) || issuedAt.getTime() > now.getTime() + 60 * 1000) {
+    return 'Invalid issuedAt timestamp'
+  }
+
+  if (fields.expirationTime) {
+    const expirationTime = new Date(fields.expirationTime)
+    if (isNaN(expirationTime.getTime()) || expirationTime <= now) {
+      return 'Sign-in message has expired'
+    }
+  }
+
+  if (fields.notBefore) {
+    const notBefore = new Date(fields.notBefore)
+    if (isNaN(notBefore.getTime()) || notBefore > now) {
+      return 'Sign-in message is not yet valid'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Recover the signer of a SIWE message and check it matches the declared address
+ */
+export const verifySiweSignature = (message, signature, address) => {
+  try {
+    const recoveredAddress = ethers.verifyMessage(message, signature)
+    return recoveredAddress.toLowerCase() === address.toLowerCase()
+  } catch (error) {
+    return false
+  }
+}
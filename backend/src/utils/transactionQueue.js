@@ -0,0 +1,540 @@
+import { EventEmitter } from 'events'
+import { randomUUID } from 'crypto'
+import { hostname } from 'os'
+import { ethers } from 'ethers'
+import { BlockchainTransaction, SignerLock } from '../models/index.js'
+import config from '../config/index.js'
+import logger from './logger.js'
+import { networkFilter } from './networks.js'
+
+// Connectivity failures where the node's answer is unknown
+const RPC_ERROR_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'UNKNOWN_ERROR']
+
+// Failures worth retrying; anything else (e.g. a revert during gas estimation) fails the transaction.
+// A fee cap breach is retried because gas price spikes are usually short-lived.
+const TRANSIENT_ERROR_CODES = [...RPC_ERROR_CODES, 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'FEE_CAP_EXCEEDED']
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Convert contract arguments and event values into plain JSON (bigints become decimal strings)
+export const toSerializable = (value) => {
+  if (typeof value === 'bigint') return value.toString()
+  if (value instanceof ethers.Indexed) return value.hash
+  if (Array.isArray(value)) return value.map(toSerializable)
+  return value
+}
+
+const bumpFee = (value, percent) => value === undefined || value === null
+  ? null
+  : (BigInt(value) * BigInt(100 + percent) + 99n) / 100n
+
+/**
+ * Persisted outbox for contract transactions on one network.
+ * Sends are serialized per signer so nonces are assigned in order: within a process by a promise chain
+ * and across API processes by a lease in MongoDB, so several instances can share one wallet.
+ * Submitted transactions are tracked until confirmed, replaced with bumped fees when stuck and retried
+ * on transient RPC errors.
+ * Emits 'confirmed' and 'failed' with the transaction document once it settles.
+ */
+export class TransactionQueue extends EventEmitter {
+  constructor(blockchain, options = config.blockchain.queue) {
+    super()
+    this.blockchain = blockchain
+    this.options = options
+    this.locks = new Map()
+    this.owner = `${hostname()}:${process.pid}:${randomUUID()}`
+    this.timer = null
+  }
+
+  // Matches this queue's transactions in BlockchainTransaction queries
+  get networkQuery() {
+    return networkFilter(this.blockchain.network.key)
+  }
+
+  // Start polling for queued and submitted transactions
+  start() {
+    if (this.timer) return
+
+    this.timer = setInterval(() => {
+      this.processAll().catch(error => logger.error('Transaction queue processing failed:', error))
+    }, this.options.pollInterval)
+    this.timer.unref?.()
+
+    logger.info(`Blockchain transaction queue started on ${this.blockchain.network.key}`)
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  // Run tasks for one signer strictly one after another within this process; see holdSignerLease for other processes
+  withSignerLock(signer, task) {
+    const previous = this.locks.get(signer) || Promise.resolve()
+    const run = previous.then(task, task)
+    this.locks.set(signer, run.catch(() => {}))
+    return run
+  }
+
+  // Persist a contract call and kick off sending it
+  async enqueue(functionName, args = [], options = {}) {
+    const { wallet, contract } = this.blockchain
+
+    if (!this.blockchain.initialized || !wallet || !contract) {
+      throw new Error('Blockchain service not initialized')
+    }
+
+    const transaction = await BlockchainTransaction.create({
+      network: this.blockchain.network.key,
+      signer: wallet.address,
+      contractAddress: await contract.getAddress(),
+      functionName,
+      args: toSerializable(args),
+      gasLimit: options.gasLimit?.toString(),
+      requiredConfirmations: options.confirmations || this.blockchain.network.confirmations,
+      reference: options.reference,
+      project: options.project,
+      requestedBy: options.requestedBy
+    })
+
+    logger.info(`Queued blockchain transaction ${transaction._id}: ${functionName}`)
+
+    this.processSigner(transaction.signer)
+      .catch(error => logger.error(`Transaction queue processing failed for ${transaction.signer}:`, error))
+
+    return transaction
+  }
+
+  // Wait until a queued transaction is confirmed; rejects with the failure, or code TIMEOUT if it is still open
+  async waitForConfirmation(id, options = {}) {
+    const { timeout = config.blockchain.confirmationTimeout, onSubmitted } = options
+    const deadline = Date.now() + timeout
+    const interval = Math.min(this.options.pollInterval, 1000)
+    let notified = false
+
+    while (true) {
+      const transaction = await BlockchainTransaction.findById(id)
+
+      if (!transaction) {
+        throw new Error(`Blockchain transaction ${id} not found`)
+      }
+
+      if (transaction.txHash && !notified && onSubmitted) {
+        notified = true
+        await onSubmitted(transaction)
+      }
+
+      if (transaction.status === 'confirmed') {
+        return transaction
+      }
+
+      if (transaction.status === 'failed') {
+        const error = new Error(transaction.lastError?.message || 'Blockchain transaction failed')
+        error.code = transaction.lastError?.code
+        error.transaction = transaction
+        throw error
+      }
+
+      if (Date.now() >= deadline) {
+        const error = new Error(`Blockchain transaction ${id} not confirmed within ${timeout}ms`)
+        error.code = 'TIMEOUT'
+        error.transaction = transaction
+        throw error
+      }
+
+      await sleep(interval)
+    }
+  }
+
+  async processAll() {
+    const signers = await BlockchainTransaction.findActiveSigners(this.networkQuery)
+
+    for (const signer of signers) {
+      await this.processSigner(signer)
+    }
+  }
+
+  // Take or renew this queue's lease on a signer; renewed before every step so a lapsed lease stops the run
+  holdSignerLease(signer) {
+    return SignerLock.acquire(this.blockchain.network.key, signer, this.owner, this.options.lockTtl)
+  }
+
+  // Check submitted transactions, then send queued ones in FIFO order
+  processSigner(signer) {
+    return this.withSignerLock(signer, async () => {
+      // Only transactions from our own wallet can be signed here
+      if (signer.toLowerCase() !== this.blockchain.wallet?.address.toLowerCase()) return
+
+      // Another process is working this signer's queue; it picks up our queued transactions too
+      if (!await this.holdSignerLease(signer)) return
+
+      try {
+        const transactions = await BlockchainTransaction.findOpenBySigner(signer, this.networkQuery)
+
+        for (const transaction of transactions.filter(item => item.status === 'submitted')) {
+          if (!await this.holdSignerLease(signer)) return
+          await this.checkSubmitted(transaction)
+        }
+
+        for (const transaction of transactions.filter(item => item.status === 'queued')) {
+          if (transaction.nextAttemptAt > new Date()) break
+          if (!await this.holdSignerLease(signer)) return
+
+          const sent = await this.send(transaction)
+          if (!sent) break
+        }
+      } finally {
+        await SignerLock.release(this.blockchain.network.key, signer, this.owner)
+          .catch(error => logger.warn(`Failed to release signer lease for ${signer}: ${error.message}`))
+      }
+    })
+  }
+
+  // Next nonce for a signer: never below the node's pending count or anything any process already used
+  async getNextNonce(signer) {
+    const pending = await this.blockchain.provider.getTransactionCount(signer, 'pending')
+    const [latestUsed] = await BlockchainTransaction.find({
+      network: this.networkQuery,
+      signer,
+      nonce: { $exists: true },
+      status: { $ne: 'failed' }
+    })
+      .sort({ nonce: -1 })
+      .limit(1)
+      .select('nonce')
+
+    return Math.max(pending, latestUsed ? latestUsed.nonce + 1 : 0)
+  }
+
+  async getFees() {
+    const feeData = await this.blockchain.provider.getFeeData()
+
+    if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      }
+    }
+
+    return { gasPrice: feeData.gasPrice }
+  }
+
+  // Estimate gas for the call and add headroom; a revert here fails the transaction like any other send error
+  async estimateGasLimit(transaction) {
+    const estimate = await this.blockchain.contract
+      .getFunction(transaction.functionName)
+      .estimateGas(...transaction.args)
+
+    transaction.gasEstimate = estimate.toString()
+
+    return estimate * BigInt(100 + this.options.gasLimitBuffer) / 100n
+  }
+
+  // Reject a send whose worst-case fee (all gas at the highest offered price) exceeds the cap for its type
+  assertWithinFeeCap(transaction, gasLimit, fees) {
+    const cap = this.blockchain.network.maxFee?.[transaction.functionName]
+    if (!cap) return
+
+    const maxFee = gasLimit * BigInt(fees.maxFeePerGas ?? fees.gasPrice)
+    const limit = ethers.parseEther(String(cap))
+
+    if (maxFee > limit) {
+      const symbol = this.blockchain.network.nativeCurrency.symbol
+      const error = new Error(`Maximum fee ${ethers.formatEther(maxFee)} ${symbol} exceeds the ${transaction.functionName} cap of ${cap} ${symbol}`)
+      error.code = 'FEE_CAP_EXCEEDED'
+      throw error
+    }
+  }
+
+  // Sign the transaction, persist its hash, then broadcast it
+  async broadcast(transaction, nonce, fees, gasLimit) {
+    const { wallet, contract, provider } = this.blockchain
+
+    const call = await contract.getFunction(transaction.functionName).populateTransaction(...transaction.args)
+    const request = await wallet.populateTransaction({
+      ...call,
+      nonce,
+      gasLimit,
+      ...fees
+    })
+    const signed = await wallet.signTransaction(request)
+    const txHash = ethers.Transaction.from(signed).hash
+
+    // Record the attempt before broadcasting so a crash can't lose track of a sent transaction
+    transaction.status = 'submitted'
+    transaction.nonce = nonce
+    transaction.txHash = txHash
+    transaction.gasLimit = request.gasLimit.toString()
+    transaction.submittedAt = transaction.submittedAt || new Date()
+    transaction.attempts.push({
+      txHash,
+      nonce,
+      maxFeePerGas: request.maxFeePerGas?.toString(),
+      maxPriorityFeePerGas: request.maxPriorityFeePerGas?.toString(),
+      gasPrice: request.gasPrice?.toString()
+    })
+    await transaction.save()
+
+    await provider.broadcastTransaction(signed)
+
+    return txHash
+  }
+
+  // Send a queued transaction; returns false when the queue for this signer should pause
+  async send(transaction) {
+    const signer = transaction.signer
+
+    try {
+      const nonce = await this.getNextNonce(signer)
+      const fees = await this.getFees()
+      const gasLimit = transaction.gasLimit
+        ? BigInt(transaction.gasLimit)
+        : await this.estimateGasLimit(transaction)
+
+      this.assertWithinFeeCap(transaction, gasLimit, fees)
+
+      const txHash = await this.broadcast(transaction, nonce, fees, gasLimit)
+
+      logger.info(`Blockchain transaction ${transaction._id} sent: ${txHash} (nonce ${nonce})`)
+
+      return true
+    } catch (error) {
+      const recorded = transaction.status === 'submitted'
+
+      // The node may have accepted the broadcast anyway: keep tracking the nonce and let replacement re-send it
+      if (recorded && RPC_ERROR_CODES.includes(error.code)) {
+        logger.warn(`Broadcast of blockchain transaction ${transaction._id} uncertain (${error.code}), tracking ${transaction.txHash}`)
+        return true
+      }
+
+      // Undo a recorded attempt whose broadcast was rejected
+      if (recorded) {
+        transaction.status = 'queued'
+        transaction.txHash = undefined
+        transaction.nonce = undefined
+        transaction.submittedAt = undefined
+        transaction.attempts = []
+      }
+
+      return this.handleSendError(transaction, error)
+    }
+  }
+
+  async handleSendError(transaction, error) {
+    if (TRANSIENT_ERROR_CODES.includes(error.code) && transaction.retries < this.options.maxRetries) {
+      logger.warn(`Blockchain transaction ${transaction._id} send failed (${error.code}), retry ${transaction.retries + 1}/${this.options.maxRetries}`)
+      await transaction.scheduleRetry(error, this.options.retryBaseDelay)
+      return false
+    }
+
+    logger.error(`Blockchain transaction ${transaction._id} failed:`, error)
+    await transaction.markFailed(error)
+    this.emit('failed', transaction)
+
+    return true
+  }
+
+  // Find the receipt for any of a transaction's attempts
+  async findReceipt(transaction) {
+    for (const attempt of [...transaction.attempts].reverse()) {
+      const receipt = await this.blockchain.provider.getTransactionReceipt(attempt.txHash)
+      if (receipt) return receipt
+    }
+
+    return null
+  }
+
+  async checkSubmitted(transaction) {
+    try {
+      let receipt = await this.findReceipt(transaction)
+
+      if (!receipt) {
+        // The nonce was mined without any of our attempts: re-check once in case it landed in between
+        const minedNonce = await this.blockchain.provider.getTransactionCount(transaction.signer, 'latest')
+
+        if (minedNonce > transaction.nonce) {
+          receipt = await this.findReceipt(transaction)
+
+          if (!receipt) {
+            await transaction.markFailed(transaction.cancelTxHash
+              ? { code: 'CANCELLED', message: `Cancelled by ${transaction.cancelTxHash} after exhausting replacements` }
+              : { code: 'NONCE_CONSUMED', message: `Nonce ${transaction.nonce} was used by another transaction` })
+            this.emit('failed', transaction)
+            return
+          }
+        }
+      }
+
+      if (receipt) {
+        await this.applyReceipt(transaction, receipt)
+        return
+      }
+
+      const lastSentAt = transaction.attempts[transaction.attempts.length - 1]?.sentAt
+      if (lastSentAt && Date.now() - lastSentAt.getTime() >= this.options.stuckAfter) {
+        await this.replace(transaction)
+      }
+    } catch (error) {
+      logger.error(`Failed to check blockchain transaction ${transaction._id}:`, error)
+    }
+  }
+
+  async applyReceipt(transaction, receipt) {
+    transaction.txHash = receipt.hash
+    transaction.confirmations = await receipt.confirmations()
+    transaction.receipt = {
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      gasUsed: receipt.gasUsed.toString(),
+      effectiveGasPrice: receipt.gasPrice?.toString(),
+      fee: receipt.fee.toString(),
+      status: receipt.status
+    }
+
+    if (receipt.status === 0) {
+      await transaction.markFailed({ code: 'CALL_EXCEPTION', message: 'Transaction reverted' })
+      this.emit('failed', transaction)
+      return
+    }
+
+    if (transaction.confirmations < transaction.requiredConfirmations) {
+      await transaction.save()
+      return
+    }
+
+    transaction.status = 'confirmed'
+    transaction.confirmedAt = new Date()
+    transaction.events = this.parseEvents(receipt)
+    await transaction.save()
+
+    logger.info(`Blockchain transaction ${transaction._id} confirmed: ${receipt.hash}`)
+    this.emit('confirmed', transaction)
+  }
+
+  parseEvents(receipt) {
+    const { contract } = this.blockchain
+    const events = []
+
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log)
+        if (parsed) {
+          events.push({
+            name: parsed.name,
+            args: Object.fromEntries(parsed.fragment.inputs.map((input, index) => [input.name, toSerializable(parsed.args[index])]))
+          })
+        }
+      } catch {
+        // Not one of our contract's events
+      }
+    }
+
+    return events
+  }
+
+  // Fees for re-sending a nonce: the previous attempt's bumped by the configured percentage, or the current ones if higher
+  async getReplacementFees(previous) {
+    const current = await this.getFees()
+    const bump = this.options.gasBumpPercent
+    const max = (a, b) => (a === null ? b : b === null || b === undefined ? a : (a > b ? a : b))
+
+    return previous.gasPrice
+      ? { gasPrice: max(bumpFee(previous.gasPrice, bump), current.gasPrice) }
+      : {
+          maxFeePerGas: max(bumpFee(previous.maxFeePerGas, bump), current.maxFeePerGas),
+          maxPriorityFeePerGas: max(bumpFee(previous.maxPriorityFeePerGas, bump), current.maxPriorityFeePerGas)
+        }
+  }
+
+  // Re-send a stuck transaction with the same nonce and bumped fees
+  async replace(transaction) {
+    const replacements = transaction.attempts.length - 1
+
+    if (replacements >= this.options.maxReplacements) {
+      if (!transaction.cancelTxHash) {
+        await this.cancel(transaction)
+      } else if (Date.now() - transaction.cancelledAt.getTime() >= this.options.stuckAfter) {
+        logger.error(`Cancellation ${transaction.cancelTxHash} of blockchain transaction ${transaction._id} is unmined too; nonce ${transaction.nonce} of ${transaction.signer} needs manual attention`)
+      }
+      return
+    }
+
+    const previous = transaction.attempts[transaction.attempts.length - 1]
+    const fees = await this.getReplacementFees(previous)
+
+    try {
+      const gasLimit = BigInt(transaction.gasLimit)
+      this.assertWithinFeeCap(transaction, gasLimit, fees)
+
+      const txHash = await this.broadcast(transaction, transaction.nonce, fees, gasLimit)
+      logger.info(`Blockchain transaction ${transaction._id} replaced with ${txHash} (nonce ${transaction.nonce})`)
+    } catch (error) {
+      // Drop an attempt the node rejected so it neither counts as a replacement nor resets the stuck timer.
+      // One whose broadcast outcome is unknown may be in the mempool and stays tracked.
+      const last = transaction.attempts[transaction.attempts.length - 1]
+      if (last.txHash !== previous.txHash && !RPC_ERROR_CODES.includes(error.code)) {
+        transaction.attempts.pop()
+        transaction.txHash = previous.txHash
+      }
+
+      // A failed replacement is retried on the next pass; the earlier attempts are still tracked
+      transaction.lastError = {
+        code: error.code,
+        message: error.shortMessage || error.message,
+        at: new Date()
+      }
+      await transaction.save()
+      logger.warn(`Replacement for blockchain transaction ${transaction._id} failed: ${error.message}`)
+    }
+  }
+
+  // Give up on a transaction still unmined after every replacement: take its nonce with an empty transfer to
+  // ourselves so later nonces can be mined. Once that lands, checkSubmitted fails the transaction; if one of
+  // its own attempts is mined first it confirms as usual. No fee cap applies to the plain 21000 gas transfer.
+  async cancel(transaction) {
+    const { wallet, provider } = this.blockchain
+    const previous = transaction.attempts[transaction.attempts.length - 1]
+
+    try {
+      const fees = await this.getReplacementFees(previous)
+      const request = await wallet.populateTransaction({
+        to: wallet.address,
+        value: 0n,
+        nonce: transaction.nonce,
+        gasLimit: 21000n,
+        ...fees
+      })
+      const signed = await wallet.signTransaction(request)
+
+      // Recorded first for the same reason as broadcast()
+      transaction.cancelTxHash = ethers.Transaction.from(signed).hash
+      transaction.cancelledAt = new Date()
+      await transaction.save()
+
+      try {
+        await provider.broadcastTransaction(signed)
+      } catch (error) {
+        if (!RPC_ERROR_CODES.includes(error.code)) {
+          transaction.cancelTxHash = undefined
+          transaction.cancelledAt = undefined
+        }
+        throw error
+      }
+
+      logger.warn(`Blockchain transaction ${transaction._id} unmined after ${transaction.attempts.length - 1} replacements, cancelling nonce ${transaction.nonce} with ${transaction.cancelTxHash}`)
+    } catch (error) {
+      // Retried on the next pass
+      transaction.lastError = {
+        code: error.code,
+        message: error.shortMessage || error.message,
+        at: new Date()
+      }
+      await transaction.save()
+      logger.warn(`Cancelling blockchain transaction ${transaction._id} failed: ${error.message}`)
+    }
+  }
+}
+
+export default TransactionQueue
@@ -28,12 +28,14 @@ export const AuthProvider = ({ children }) => {
         } else {
           // Invalid token, remove it
           localStorage.removeItem('token')
+          localStorage.removeItem('refreshToken')
           setUser(null)
           setIsAuthenticated(false)
         }
       } catch (error) {
         console.error('Auth check failed:', error)
         localStorage.removeItem('token')
+        localStorage.removeItem('refreshToken')
         setUser(null)
         setIsAuthenticated(false)
       } finally {
@@ -50,10 +52,11 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.login(credentials)
 
       if (response.success) {
-        const { token, user: userData } = response
+        const { token, refreshToken, user: userData } = response
         
-        // Store token
+        // Store tokens
         localStorage.setItem('token', token)
+        localStorage.setItem('refreshToken', refreshToken)
         
         // Update state
         setUser(userData)
@@ -81,10 +84,11 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.register(userData)
 
       if (response.success) {
-        const { token, user: newUser } = response
+        const { token, refreshToken, user: newUser } = response
         
-        // Store token
+        // Store tokens
         localStorage.setItem('token', token)
+        localStorage.setItem('refreshToken', refreshToken)
         
         // Update state
         setUser(newUser)
@@ -115,6 +119,7 @@ export const AuthProvider = ({ children }) => {
       
       // Clear local storage
       localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
       
       // Update state
       setUser(null)
@@ -125,6 +130,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout error:', error)
       // Still clear local state even if API call fails
       localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
       setUser(null)
       setIsAuthenticated(false)
       
@@ -1,9 +1,10 @@
-import React, { useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { User, Mail, Lock, Eye, EyeOff, Building, Leaf } from 'lucide-react'
 import { toast } from 'react-hot-toast'
 import { useAuth } from '../../contexts/AuthContext'
+import { authAPI } from '../../services/api'
 import Button from '../../components/ui/Button'
 import Input from '../../components/ui/Input'
 import Card from '../../components/ui/Card'
@@ -24,6 +25,27 @@ const Register = () => {
 
   const { register } = useAuth()
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const invitationToken = searchParams.get('invitation')
+
+  // Government and auditor accounts can only be created from an invitation link
+  useEffect(() => {
+    if (!invitationToken) return
+
+    authAPI.getInvitation(invitationToken)
+      .then(response => {
+        const { invitation } = response.data
+        setFormData(prev => ({
+          ...prev,
+          email: invitation.email,
+          role: invitation.role,
+          organization: invitation.organization?.name || prev.organization
+        }))
+      })
+      .catch(() => {
+        toast.error('This invitation is invalid or has expired')
+      })
+  }, [invitationToken])
 
   const roles = [
     { value: 'producer', label: 'Producer', description: 'Green hydrogen producer' },
@@ -61,6 +83,9 @@ const Register = () => {
 
     try {
       const { confirmPassword, ...registrationData } = formData
+      if (invitationToken) {
+        registrationData.invitationToken = invitationToken
+      }
       const result = await register(registrationData)
       
       if (result.success) {
@@ -124,9 +149,10 @@ const Register = () => {
               value={formData.role}
               onChange={handleChange}
               className="input w-full"
+              disabled={!!invitationToken}
               required
             >
-              {roles.map(role => (
+              {roles.filter(role => invitationToken || role.value === 'producer').map(role => (
                 <option key={role.value} value={role.value}>
                   {role.label} - {role.description}
                 </option>
@@ -24,19 +24,55 @@ api.interceptors.request.use(
   }
 )
 
+// Single in-flight refresh shared by all requests that fail with 401
+let refreshPromise = null
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken')
+  if (!refreshToken) {
+    throw new Error('No refresh token available')
+  }
+
+  const response = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+  const { token, refreshToken: rotatedToken } = response.data.data
+
+  localStorage.setItem('token', token)
+  localStorage.setItem('refreshToken', rotatedToken)
+
+  return token
+}
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
     return response.data
   },
-  (error) => {
+  async (error) => {
     const message = error.response?.data?.message || error.message || 'An error occurred'
     const status = error.response?.status
+    const originalRequest = error.config
+
+    // Access token expired - try to rotate the refresh token once and replay the request
+    if (status === 401 && originalRequest && !originalRequest._retry && !originalRequest.url?.includes('/auth/refresh')) {
+      originalRequest._retry = true
+
+      try {
+        refreshPromise = refreshPromise || refreshAccessToken()
+        const token = await refreshPromise
+        originalRequest.headers.Authorization = `Bearer ${token}`
+        return api(originalRequest)
+      } catch (refreshError) {
+        // Fall through to the normal 401 handling below
+      } finally {
+        refreshPromise = null
+      }
+    }
 
     // Handle specific error cases
     if (status === 401) {
-      // Unauthorized - clear token and redirect to login
+      // Unauthorized - clear tokens and redirect to login
       localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
       if (window.location.pathname !== '/login' && window.location.pathname !== '/register') {
         toast.error('Session expired. Please login again.')
         window.location.href = '/login'
@@ -62,7 +98,14 @@ api.interceptors.response.use(
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
+  getInvitation: (token) => api.get(`/auth/invitations/${token}`),
+  getWalletNonce: (address) => api.get('/auth/wallet/nonce', { params: { address } }),
+  walletLogin: (message, signature) => api.post('/auth/wallet/login', { message, signature }),
   logout: () => api.post('/auth/logout'),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
   me: () => api.get('/auth/me'),
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
   changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
@@ -82,7 +125,11 @@ export const projectsAPI = {
   submit: (id) => api.post(`/projects/${id}/submit`),
   approve: (id, approvalData) => api.post(`/projects/${id}/approve`, approvalData),
   reject: (id, rejectionData) => api.post(`/projects/${id}/reject`, rejectionData),
+  syncBlockchain: (id) => api.post(`/projects/${id}/blockchain-sync`),
   getStats: () => api.get('/projects/stats'),
+  getDocuments: (id) => {
+    return api.get(`/projects/${id}/documents`)
+  },
   uploadDocuments: (id, formData) => {
     return api.post(`/projects/${id}/documents`, formData, {
       headers: {
@@ -95,6 +142,9 @@ export const projectsAPI = {
       responseType: 'blob',
     })
   },
+  deleteDocument: (id, documentId) => {
+    return api.delete(`/projects/${id}/documents/${documentId}`)
+  },
 }
 
 // Milestones API
@@ -113,6 +163,16 @@ export const milestonesAPI = {
       },
     })
   },
+  downloadEvidence: (projectId, id, deliverableId, evidenceId) => {
+    return api.get(`/projects/${projectId}/milestones/${id}/deliverables/${deliverableId}/evidence/${evidenceId}`, {
+      responseType: 'blob',
+    })
+  },
+  reviewDeliverable: (projectId, id, deliverableId, reviewData) => api.put(`/projects/${projectId}/milestones/${id}/deliverables/${deliverableId}/review`, reviewData),
+  releaseSubsidy: (projectId, id, twoFactorCode, trancheId) => api.post(`/projects/${projectId}/milestones/${id}/release-subsidy`, { twoFactorCode, trancheId }),
+  getDisbursement: (projectId, id) => api.get(`/projects/${projectId}/milestones/${id}/disbursement`),
+  getReleaseApprovals: (projectId, id, trancheId) => api.get(`/projects/${projectId}/milestones/${id}/release-approvals`, { params: { trancheId } }),
+  signRelease: (projectId, id, signature, comments, trancheId) => api.post(`/projects/${projectId}/milestones/${id}/release-approvals`, { signature, comments, trancheId }),
 }
 
 // Audits API
@@ -133,6 +193,15 @@ export const auditsAPI = {
   },
 }
 
+// KYC API
+export const kycAPI = {
+  getMine: () => api.get('/kyc/me'),
+  submit: (kycData) => api.post('/kyc', kycData),
+  getQueue: (params) => api.get('/kyc/queue', { params }),
+  getSubmission: (userId) => api.get(`/kyc/${userId}`),
+  review: (userId, reviewData) => api.put(`/kyc/${userId}/review`, reviewData),
+}
+
 // Notifications API
 export const notificationsAPI = {
   getAll: (params) => api.get('/notifications', { params }),
@@ -155,12 +224,49 @@ export const dashboardAPI = {
 
 // Blockchain API
 export const blockchainAPI = {
+  getNetworks: () => api.get('/blockchain/networks'),
   getTransactions: (params) => api.get('/blockchain/transactions', { params }),
   getTransaction: (hash) => api.get(`/blockchain/transactions/${hash}`),
   verifyTransaction: (hash) => api.post(`/blockchain/transactions/${hash}/verify`),
   getContractInfo: () => api.get('/blockchain/contract'),
-  getGasPrice: () => api.get('/blockchain/gas-price'),
+  getGasPrice: (network) => api.get('/blockchain/gas-price', { params: { network } }),
+  getGasReport: (params) => api.get('/blockchain/gas-report', { params }),
   estimateGas: (operation) => api.post('/blockchain/estimate-gas', { operation }),
+  getIndexerStatus: () => api.get('/blockchain/indexer'),
+  getDiscrepancies: (params) => api.get('/blockchain/discrepancies', { params }),
+  resolveDiscrepancy: (id, resolution) => api.put(`/blockchain/discrepancies/${id}/resolve`, { resolution }),
+}
+
+// Oracle API
+export const oracleAPI = {
+  getProviders: () => api.get('/oracle/providers'),
+  saveProvider: (providerId, settings) => api.put(`/oracle/providers/${providerId}`, settings),
+  removeProvider: (providerId) => api.delete(`/oracle/providers/${providerId}`),
+  getHealth: () => api.get('/oracle/health'),
+  verifyMilestone: (milestoneId) => api.post(`/oracle/milestones/${milestoneId}/verify`),
+  getAttestation: (milestoneId, snapshot) => api.get(`/oracle/milestones/${milestoneId}/attestation`, { params: { snapshot } }),
+  getSnapshots: (milestoneId, params) => api.get(`/oracle/milestones/${milestoneId}/snapshots`, { params }),
+  runPolling: () => api.post('/oracle/polling/run'),
+}
+
+// Production meters API
+export const metersAPI = {
+  getByProject: (projectId, params) => api.get(`/projects/${projectId}/meters`, { params }),
+  register: (projectId, meterData) => api.post(`/projects/${projectId}/meters`, meterData),
+  getById: (id) => api.get(`/meters/${id}`),
+  update: (id, meterData) => api.put(`/meters/${id}`, meterData),
+  getReadings: (id, params) => api.get(`/meters/${id}/readings`, { params }),
+  submitReadings: (id, readings) => api.post(`/meters/${id}/readings`, { readings }),
+  uploadReadingsCsv: (id, file) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    return api.post(`/meters/${id}/readings/csv`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+  },
+  getProjectProduction: (projectId, params) => api.get(`/projects/${projectId}/meters/production`, { params }),
+  getMilestoneProduction: (milestoneId) => api.get(`/milestones/${milestoneId}/production`),
+  evaluateMilestone: (milestoneId) => api.post(`/milestones/${milestoneId}/production/evaluate`),
 }
 
 // Users API (Admin only)
@@ -169,9 +275,20 @@ export const usersAPI = {
   getById: (id) => api.get(`/users/${id}`),
   update: (id, userData) => api.put(`/users/${id}`, userData),
   delete: (id) => api.delete(`/users/${id}`),
-  updateStatus: (id, status) => api.put(`/users/${id}/status`, { status }),
-  updateRole: (id, role) => api.put(`/users/${id}/role`, { role }),
+  updateStatus: (id, isActive, reason) => api.put(`/users/${id}/status`, { isActive, reason }),
+  updateRole: (id, role, reason) => api.put(`/users/${id}/role`, { role, reason }),
+  forcePasswordReset: (id, reason) => api.post(`/users/${id}/force-password-reset`, { reason }),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  getActivity: (id, params) => api.get(`/users/${id}/activity`, { params }),
   getStats: () => api.get('/users/stats'),
+  getInvitations: (params) => api.get('/users/invitations', { params }),
+  invite: (invitationData) => api.post('/users/invitations', invitationData),
+  resendInvitation: (id) => api.post(`/users/invitations/${id}/resend`),
+  revokeInvitation: (id) => api.delete(`/users/invitations/${id}`),
+  getPermissionCatalog: () => api.get('/users/permissions'),
+  getPermissions: (id) => api.get(`/users/${id}/permissions`),
+  grantPermission: (id, permission) => api.post(`/users/${id}/permissions`, { permission }),
+  revokePermission: (id, permission) => api.delete(`/users/${id}/permissions/${permission}`),
 }
 
 // File upload helper